@@ -0,0 +1,101 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+
+initializeApp();
+const db = getFirestore();
+
+// --- Judge0 Configuration ---
+// Set these in functions/.env. They mirror the app's VITE_JUDGE0_* variables, but stay on the server.
+const judge0Url = (process.env.JUDGE0_URL || 'https://ce.judge0.com').replace(/\/+$/, '');
+const judge0Headers = {
+    'Content-Type': 'application/json',
+    ...(process.env.JUDGE0_AUTH_TOKEN && { [process.env.JUDGE0_AUTH_HEADER || 'X-Auth-Token']: process.env.JUDGE0_AUTH_TOKEN }),
+};
+
+const supportedLanguageIds = [54, 52, 71, 63];
+const JUDGE0_BATCH_SIZE = 20;
+const JUDGE0_POLL_TIMEOUT_MS = 120000;
+
+const encodeBase64 = (text) => Buffer.from(text || '', 'utf8').toString('base64');
+const waitFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const clamp = (value, min, max, fallback) => Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+
+const judge0Request = async (method, path, body) => {
+    const response = await fetch(`${judge0Url}${path}`, { method, headers: judge0Headers, body: body && JSON.stringify(body) });
+    if (!response.ok) throw new Error(`Judge0 responded with HTTP ${response.status}.`);
+    return response.json();
+};
+
+// Status ids 1 (In Queue) and 2 (Processing) mean Judge0 has not finished yet.
+const runBatchOnJudge0 = async (submissions) => {
+    const results = [];
+    for (let start = 0; start < submissions.length; start += JUDGE0_BATCH_SIZE) {
+        const created = await judge0Request('POST', '/submissions/batch?base64_encoded=true', { submissions: submissions.slice(start, start + JUDGE0_BATCH_SIZE) });
+        if (created.some(item => !item.token)) throw new Error('Judge0 rejected the submission.');
+        const tokens = created.map(item => item.token).join(',');
+        const deadline = Date.now() + JUDGE0_POLL_TIMEOUT_MS;
+        for (let delay = 500; ; delay = Math.min(delay * 2, 4000)) {
+            await waitFor(delay);
+            const { submissions: polled } = await judge0Request('GET', `/submissions/batch?tokens=${tokens}&base64_encoded=true&fields=status,time,memory`);
+            if (polled.every(result => result.status?.id > 2)) {
+                results.push(...polled);
+                break;
+            }
+            if (Date.now() > deadline) throw new Error(`Judge0 did not finish within ${JUDGE0_POLL_TIMEOUT_MS / 1000}s.`);
+        }
+    }
+    return results;
+};
+
+// --- Grading ---
+// Hidden tests live in problems/{id}/private/tests, which only admins and this function can read.
+// Students never see their inputs, and only this function writes solvedProblems.
+export const gradeSubmission = onCall({ timeoutSeconds: 300 }, async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Log in to submit solutions.');
+    const { appId, problemId, code, languageId, cpuTimeLimit, memoryLimit } = request.data || {};
+    if (![appId, problemId].every(id => typeof id === 'string' && /^[\w-]+$/.test(id))) throw new HttpsError('invalid-argument', 'Unknown problem.');
+    if (typeof code !== 'string' || !code.trim()) throw new HttpsError('invalid-argument', 'There is no code to submit.');
+    if (!supportedLanguageIds.includes(languageId)) throw new HttpsError('invalid-argument', 'That language cannot be graded.');
+
+    const problemRef = db.doc(`artifacts/${appId}/public/data/problems/${problemId}`);
+    const [problem, tests] = await Promise.all([problemRef.get(), problemRef.collection('private').doc('tests').get()]);
+    if (!problem.exists || !problem.data().published) throw new HttpsError('not-found', 'That problem is not published.');
+    const hiddenTests = tests.data()?.hiddenTests || [];
+    if (hiddenTests.length === 0) throw new HttpsError('failed-precondition', 'This problem has no hidden tests yet.');
+
+    let results;
+    try {
+        results = await runBatchOnJudge0(hiddenTests.map(test => ({
+            source_code: encodeBase64(code),
+            language_id: languageId,
+            stdin: encodeBase64(test.input),
+            expected_output: encodeBase64(test.expected),
+            cpu_time_limit: clamp(cpuTimeLimit, 0.5, 15, 2),
+            memory_limit: clamp(memoryLimit, 2048, 512000, 128000),
+        })));
+    } catch (err) {
+        console.error('Grading failed:', err);
+        throw new HttpsError('unavailable', err.message);
+    }
+
+    const passed = results.filter(result => result.status?.id === 3).length;
+    const firstFailure = results.find(result => result.status?.id !== 3);
+    const accepted = passed === hiddenTests.length;
+    const time = results.reduce((max, result) => result.time && (!max || Number(result.time) > Number(max)) ? result.time : max, null);
+    const memory = results.reduce((max, result) => result.memory && (!max || result.memory > max) ? result.memory : max, null);
+
+    if (accepted) {
+        const userPath = `artifacts/${appId}/users/${request.auth.uid}`;
+        const hintUsage = await db.doc(`${userPath}/hintUsage/problem-${problemId}`).get();
+        await db.doc(`${userPath}/solvedProblems/${problemId}`).set({
+            problemId,
+            title: problem.data().title,
+            languageId,
+            hintLevel: hintUsage.exists ? hintUsage.data().maxLevel || 0 : 0,
+            solvedAt: Date.now(),
+        });
+    }
+
+    return { passed, total: hiddenTests.length, accepted, status: accepted ? { id: 3, description: 'Accepted' } : firstFailure.status, time, memory };
+});
@@ -3,6 +3,14 @@ import { DndContext, closestCenter, KeyboardSensor, PointerSensor, useSensor, us
 import { arrayMove, SortableContext, sortableKeyboardCoordinates, useSortable, verticalListSortingStrategy } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import axios from "axios";
+import { basicSetup } from "codemirror";
+import { EditorView } from "@codemirror/view";
+import { EditorState, Compartment } from "@codemirror/state";
+import { cpp } from "@codemirror/lang-cpp";
+import { python } from "@codemirror/lang-python";
+import { javascript } from "@codemirror/lang-javascript";
+import { lintGutter, setDiagnostics as setLintDiagnostics } from "@codemirror/lint";
+import { oneDark } from "@codemirror/theme-one-dark";
 
 // --- Firebase Integration ---
 import { initializeApp } from "firebase/app";
@@ -27,8 +35,15 @@ import {
     orderBy,
     getDocs,
     setDoc,
-    getDoc
+    getDoc,
+    where,
+    limit,
+    startAfter,
+    documentId,
+    serverTimestamp
 } from "firebase/firestore";
+import { getStorage, ref as storageRef, uploadString, getDownloadURL, deleteObject } from "firebase/storage";
+import { getFunctions, httpsCallable } from "firebase/functions";
 
 /*
 ================================================================================
@@ -42,31 +57,9 @@ rules that allow your app to function correctly.
 1. Go to your Firebase Console.
 2. Select your project.
 3. Go to Firestore Database > Rules tab.
-4. Delete the existing rules and paste the following code:
-
-rules_version = '2';
-service cloud.firestore {
-  match /databases/{database}/documents {
-    // Public topics collection
-    match /artifacts/{appId}/public/data/topics/{topicId} {
-      allow read: if request.auth != null;
-      allow write: if request.auth != null && request.auth.uid == 'REPLACE_WITH_YOUR_ADMIN_GOOGLE_UID';
-    }
-
-    // Public users collection for the dashboard
-    match /artifacts/{appId}/public/data/users/{userId} {
-      // Admin can read all user profiles
-      allow read: if request.auth != null && request.auth.uid == 'REPLACE_WITH_YOUR_ADMIN_GOOGLE_UID';
-      // A user can create their own profile document
-      allow create: if request.auth != null && request.auth.uid == userId;
-    }
-
-    // User-specific timetables
-    match /artifacts/{appId}/users/{userId}/timetable/{timetableId} {
-      allow read, write: if request.auth != null && request.auth.uid == userId;
-    }
-  }
-}
+4. Delete the existing rules and paste the rules generated by buildSecurityRules()
+   below. The app shows them when it hits a permission error, and admins can copy
+   them from the Roles tab.
 
 5. Click "Publish". This will resolve the permission errors.
 
@@ -90,43 +83,380 @@ const ADMIN_UID = import.meta.env.VITE_ADMIN_UID;
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
+const storage = getStorage(app);
+const functions = getFunctions(app);
+
+// --- Roles & Security Rules ---
+// Roles are stored in public/data/roles/{uid} as { role, mentorUid }. Users without a role
+// document are students. VITE_ADMIN_UID is always an admin, so a new project has someone who
+// can grant the first roles.
+const roles = ['admin', 'mentor', 'student'];
+const rolesPath = `artifacts/${appId}/public/data/roles`;
+
+const roleOf = (uid, roleDoc) => {
+    if (uid && uid === ADMIN_UID) return 'admin';
+    return roles.includes(roleDoc?.role) ? roleDoc.role : 'student';
+};
+
+// Collections under users/{userId}. Only their owner can write them, except the serverWritten ones
+// that only Cloud Functions write; mentors can read the ones marked mentorReadable for the students
+// assigned to them.
+const userCollectionRules = [
+    { name: 'timetable', wildcard: 'timetableId', comment: 'User-specific timetables', mentorReadable: true },
+    { name: 'chatThreads', wildcard: 'threadId=**', comment: 'User-specific chat threads and their messages' },
+    { name: 'solvedProblems', wildcard: 'problemId', comment: 'User-specific solved problems, written only by the gradeSubmission function', mentorReadable: true, serverWritten: true },
+    { name: 'reviews', wildcard: 'itemId', comment: 'User-specific spaced-repetition reviews', mentorReadable: true },
+    { name: 'settings', wildcard: 'settingId', comment: 'User-specific settings (e.g. calendar feed)' },
+    { name: 'drafts', wildcard: 'draftId', comment: 'User-specific code drafts' },
+    { name: 'submissions', wildcard: 'submissionId', comment: 'User-specific Compiler submission history' },
+    { name: 'hintUsage', wildcard: 'scopeId', comment: 'User-specific hint usage per timetable item or problem', mentorReadable: true },
+    { name: 'quizResults', wildcard: 'resultId', comment: 'User-specific quiz attempts', mentorReadable: true },
+    { name: 'interviews', wildcard: 'interviewId', comment: 'User-specific mock interview reports', mentorReadable: true },
+    { name: 'cohorts', wildcard: 'cohortId', comment: 'Cohorts the user has joined' },
+];
+
+// Firestore security rules for the collections above. Shown in the app when the rules are
+// missing and in the admin Roles tab.
+const buildSecurityRules = (adminUid = ADMIN_UID || 'REPLACE_WITH_YOUR_ADMIN_GOOGLE_UID') => `rules_version = '2';
+service cloud.firestore {
+  match /databases/{database}/documents {
+    function roleDoc(appId, uid) {
+      return /databases/$(database)/documents/artifacts/$(appId)/public/data/roles/$(uid);
+    }
+
+    function hasRole(appId, role) {
+      return request.auth != null && exists(roleDoc(appId, request.auth.uid)) && get(roleDoc(appId, request.auth.uid)).data.role == role;
+    }
+
+    function isAdmin(appId) {
+      return request.auth != null && (request.auth.uid == '${adminUid}' || hasRole(appId, 'admin'));
+    }
+
+    function isMentorOf(appId, userId) {
+      return hasRole(appId, 'mentor') && exists(roleDoc(appId, userId)) && get(roleDoc(appId, userId)).data.mentorUid == request.auth.uid;
+    }
+
+    function topicDoc(appId, topicId) {
+      return /databases/$(database)/documents/artifacts/$(appId)/public/data/topics/$(topicId);
+    }
+
+    function cohortDoc(appId, cohortId) {
+      return /databases/$(database)/documents/artifacts/$(appId)/public/data/cohorts/$(cohortId);
+    }
+
+    function isCohortManager(appId, cohortId) {
+      return isAdmin(appId) || (request.auth != null && get(cohortDoc(appId, cohortId)).data.ownerUid == request.auth.uid);
+    }
+
+    function isCohortMember(appId, cohortId) {
+      return request.auth != null && exists(/databases/$(database)/documents/artifacts/$(appId)/public/data/cohorts/$(cohortId)/members/$(request.auth.uid));
+    }
+
+    function isCohortInvitee(appId, cohortId) {
+      return request.auth != null && request.auth.token.get('email', '') != ''
+        && exists(/databases/$(database)/documents/artifacts/$(appId)/public/data/cohortInvitations/$(cohortId + '_' + request.auth.token.email.lower()));
+    }
+
+    function hasCohortInvite(appId, cohortId) {
+      return request.resource.data.inviteCode == get(/databases/$(database)/documents/artifacts/$(appId)/public/data/cohorts/$(cohortId)/private/invite).data.code
+        || isCohortInvitee(appId, cohortId);
+    }
+
+    // Public topics collection
+    match /artifacts/{appId}/public/data/topics/{topicId} {
+      allow read: if request.auth != null;
+      allow write: if isAdmin(appId);
+    }
+
+    // Public problem bank
+    match /artifacts/{appId}/public/data/problems/{problemId} {
+      allow read: if request.auth != null;
+      allow write: if isAdmin(appId);
+    }
+
+    // Hidden tests, read only by admins and the gradeSubmission function
+    match /artifacts/{appId}/public/data/problems/{problemId}/private/{docId} {
+      allow read, write: if isAdmin(appId);
+    }
+
+    // Append-only topic audit log. Each entry is written by its actor at server time, in the same
+    // batch as the topic write that moves the topic to the entry's version.
+    match /artifacts/{appId}/public/data/topicAudit/{entryId} {
+      allow read: if isAdmin(appId);
+      allow create: if isAdmin(appId)
+        && request.resource.data.actorUid == request.auth.uid
+        && request.resource.data.timestamp == request.time
+        && getAfter(topicDoc(appId, request.resource.data.topicId)).data.version == request.resource.data.version
+        && (!exists(topicDoc(appId, request.resource.data.topicId)) || get(topicDoc(appId, request.resource.data.topicId)).data.get('version', 0) != request.resource.data.version);
+      allow update, delete: if false;
+    }
+
+    // Roles: admins grant and revoke them; users read their own, mentors read their students'
+    match /artifacts/{appId}/public/data/roles/{userId} {
+      allow read: if request.auth != null && (request.auth.uid == userId || isAdmin(appId) || resource.data.mentorUid == request.auth.uid);
+      allow write: if isAdmin(appId);
+    }
+
+    // Public users collection for the dashboard
+    match /artifacts/{appId}/public/data/users/{userId} {
+      allow read: if request.auth != null && (request.auth.uid == userId || isAdmin(appId) || isMentorOf(appId, userId));
+      allow create: if request.auth != null && request.auth.uid == userId;
+      // Users maintain their own progress counters and search fields; admins can backfill them
+      allow update: if isAdmin(appId) || (request.auth != null && request.auth.uid == userId
+        && request.resource.data.diff(resource.data).affectedKeys().hasOnly(['progress', 'nameLower', 'emailLower']));
+    }
+
+    // Cohorts: mentors and admins create them; only managers, members and invitees can read them
+    match /artifacts/{appId}/public/data/cohorts/{cohortId} {
+      allow read: if isAdmin(appId) || (request.auth != null && resource.data.ownerUid == request.auth.uid)
+        || isCohortMember(appId, cohortId) || isCohortInvitee(appId, cohortId);
+      allow create: if (isAdmin(appId) || hasRole(appId, 'mentor')) && request.resource.data.ownerUid == request.auth.uid;
+      allow update, delete: if isCohortManager(appId, cohortId);
+    }
+
+    // Cohort invite codes, readable only by the cohort's managers
+    match /artifacts/{appId}/public/data/cohorts/{cohortId}/private/{docId} {
+      allow read, write: if isCohortManager(appId, cohortId);
+    }
 
-// --- Real Gemini API Implementation ---
+    // Invite link previews, keyed by the invite code so only link holders can look one up
+    match /artifacts/{appId}/public/data/cohortLinks/{code} {
+      allow get: if request.auth != null;
+      allow create: if isCohortManager(appId, request.resource.data.cohortId);
+      allow delete: if isCohortManager(appId, resource.data.cohortId);
+    }
+
+    // Email invitations, keyed by cohort and email, readable by the invitee and the cohort's managers
+    match /artifacts/{appId}/public/data/cohortInvitations/{invitationId} {
+      allow read: if isAdmin(appId) || (request.auth != null
+        && (resource.data.ownerUid == request.auth.uid || resource.data.email == request.auth.token.get('email', '').lower()));
+      allow create: if isCohortManager(appId, request.resource.data.cohortId)
+        && invitationId == request.resource.data.cohortId + '_' + request.resource.data.email;
+      allow delete: if isCohortManager(appId, resource.data.cohortId);
+    }
+
+    // Cohort members join with the invite code or an email invitation
+    match /artifacts/{appId}/public/data/cohorts/{cohortId}/members/{userId} {
+      allow read: if isCohortMember(appId, cohortId) || isCohortManager(appId, cohortId);
+      allow create: if request.auth != null && request.auth.uid == userId && hasCohortInvite(appId, cohortId);
+      allow delete: if (request.auth != null && request.auth.uid == userId) || isCohortManager(appId, cohortId);
+    }
+
+    // Progress summaries members publish for the cohort leaderboard and heatmap
+    match /artifacts/{appId}/public/data/cohorts/{cohortId}/progress/{userId} {
+      allow read: if isCohortMember(appId, cohortId) || isCohortManager(appId, cohortId);
+      allow write: if request.auth != null && request.auth.uid == userId && isCohortMember(appId, cohortId);
+    }
+
+    // Cohort announcements
+    match /artifacts/{appId}/public/data/cohorts/{cohortId}/announcements/{announcementId} {
+      allow read: if isCohortMember(appId, cohortId) || isCohortManager(appId, cohortId);
+      allow write: if isCohortManager(appId, cohortId);
+    }
+${userCollectionRules.map(rule => `
+    // ${rule.comment}
+    match /artifacts/{appId}/users/{userId}/${rule.name}/{${rule.wildcard}} {
+      allow ${rule.serverWritten ? 'read' : 'read, write'}: if request.auth != null && request.auth.uid == userId;${rule.serverWritten ? `
+      allow write: if false;` : ''}${rule.mentorReadable ? `
+      allow read: if isMentorOf(appId, userId);` : ''}
+    }
+`).join('')}  }
+}`;
+
+// --- AI Provider Configuration ---
+// Select the provider with VITE_AI_PROVIDER: "gemini" (default), "openai" for any
+// OpenAI-compatible endpoint (including local servers such as Ollama or llama.cpp),
+// or "mock" for a deterministic offline provider.
+const aiConfig = {
+    provider: import.meta.env.VITE_AI_PROVIDER || 'gemini',
+    model: import.meta.env.VITE_AI_MODEL,
+    endpoint: import.meta.env.VITE_AI_ENDPOINT,
+    apiKey: import.meta.env.VITE_AI_API_KEY,
+    temperature: import.meta.env.VITE_AI_TEMPERATURE ? Number(import.meta.env.VITE_AI_TEMPERATURE) : undefined,
+};
+
+// Schemas throughout the app are written in Gemini's format (uppercase types).
+// OpenAI-compatible servers expect standard JSON Schema, so convert recursively.
+const toJsonSchema = (schema) => {
+    if (!schema || typeof schema !== 'object') return schema;
+    const converted = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (key === 'type' && typeof value === 'string') converted.type = value.toLowerCase();
+        else if (key === 'properties') converted.properties = Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, toJsonSchema(prop)]));
+        else if (key === 'items') converted.items = toJsonSchema(value);
+        else converted[key] = value;
+    });
+    return converted;
+};
+
+// Some models wrap JSON in a markdown fence even when asked not to.
+const stripJsonFence = (text) => {
+    const match = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    return match ? match[1] : text;
+};
+
+const hashString = (str) => {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) hash = (hash * 31 + str.charCodeAt(i)) | 0;
+    return Math.abs(hash);
+};
+
+// Builds a deterministic value matching a Gemini-style schema.
+const mockFromSchema = (schema, seed, key = 'value') => {
+    switch ((schema?.type || 'STRING').toUpperCase()) {
+        case 'OBJECT':
+            return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, prop]) => [name, mockFromSchema(prop, seed, name)]));
+        case 'ARRAY':
+            return [0, 1, 2].map(i => mockFromSchema(schema.items, seed + i, key));
+        case 'NUMBER':
+        case 'INTEGER':
+            return (seed % 5) + 1;
+        case 'BOOLEAN':
+            return seed % 2 === 0;
+        default:
+            if (schema?.enum) return schema.enum[seed % schema.enum.length];
+            return `Mock ${key} ${seed % 1000}`;
+    }
+};
+
+const aiProviders = {
+    gemini: {
+        defaultModel: 'gemini-1.5-flash-latest',
+        request: ({ prompt, jsonOutput, schema, model, apiKey, endpoint, temperature, stream }) => {
+            const baseUrl = endpoint || 'https://generativelanguage.googleapis.com/v1beta';
+            const payload = { contents: [{ parts: [{ text: prompt }] }], generationConfig: {} };
+            if (temperature !== undefined) payload.generationConfig.temperature = temperature;
+            if (jsonOutput) {
+                payload.generationConfig.response_mime_type = "application/json";
+                payload.generationConfig.response_schema = schema;
+            }
+            return {
+                url: stream
+                    ? `${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+                    : `${baseUrl}/models/${model}:generateContent?key=${apiKey}`,
+                headers: { 'Content-Type': 'application/json' },
+                body: payload,
+            };
+        },
+        parse: (result) => {
+            const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (!text) {
+                const errorInfo = result.promptFeedback || { error: "Invalid or empty response from API" };
+                throw new Error(`API Error: ${JSON.stringify(errorInfo)}`);
+            }
+            return text;
+        },
+        parseStreamChunk: (chunk) => chunk.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '',
+    },
+    openai: {
+        defaultModel: 'gpt-4o-mini',
+        request: ({ prompt, jsonOutput, schema, model, apiKey, endpoint, temperature, stream }) => {
+            const baseUrl = endpoint || 'https://api.openai.com/v1';
+            const payload = { model, messages: [{ role: 'user', content: prompt }] };
+            if (temperature !== undefined) payload.temperature = temperature;
+            if (stream) payload.stream = true;
+            if (jsonOutput) {
+                payload.response_format = schema
+                    ? { type: 'json_schema', json_schema: { name: 'response', schema: toJsonSchema(schema) } }
+                    : { type: 'json_object' };
+            }
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+            return { url: `${baseUrl}/chat/completions`, headers, body: payload };
+        },
+        parse: (result) => {
+            const text = result.choices?.[0]?.message?.content;
+            if (!text) throw new Error(`API Error: ${JSON.stringify(result.error || { error: "Invalid or empty response from API" })}`);
+            return text;
+        },
+        parseStreamChunk: (chunk) => chunk.choices?.[0]?.delta?.content || '',
+    },
+    mock: {
+        defaultModel: 'mock',
+        generate: ({ prompt, jsonOutput, schema }) => {
+            const seed = hashString(prompt);
+            if (jsonOutput) return JSON.stringify(mockFromSchema(schema || { type: 'OBJECT', properties: {} }, seed));
+            return `[mock response] ${prompt.slice(0, 120)}`;
+        },
+    },
+};
+
+const getApiKey = (providerName) => {
+    if (aiConfig.apiKey) return aiConfig.apiKey;
+    return providerName === 'gemini' ? import.meta.env.VITE_GEMINI_API_KEY : undefined;
+};
+
+const resolveProvider = () => {
+    const provider = aiProviders[aiConfig.provider];
+    if (!provider) {
+        throw new Error(`Unknown AI provider "${aiConfig.provider}". Use one of: ${Object.keys(aiProviders).join(', ')}.`);
+    }
+    const apiKey = getApiKey(aiConfig.provider);
+    if (aiConfig.provider === 'gemini' && (!apiKey || apiKey === "YOUR_GEMINI_API_KEY")) {
+        throw new Error("Gemini API key is missing. Please add VITE_GEMINI_API_KEY to your .env.local file.");
+    }
+    return { provider, apiKey, model: aiConfig.model || provider.defaultModel };
+};
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+const waitFor = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+});
+
+// Reads a server-sent events body and hands every parsed `data:` payload to onData.
+const readEventStream = async (response, onData) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const flushLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return;
+        const data = trimmed.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+        onData(JSON.parse(data));
+    };
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(flushLine);
+    }
+    flushLine(buffer + decoder.decode());
+};
+
+// --- AI API Implementation ---
+// Kept under its original name: every AI feature calls this regardless of the configured provider.
 const callGeminiAPI = async (prompt, jsonOutput = false, schema = null) => {
-    const apiKey = import.meta.env.VITE_GEMINI_API_KEY; 
-
-    if (!apiKey || apiKey === "YOUR_GEMINI_API_KEY") {
-        throw new Error("Gemini API key is missing. Please add your key to the callGeminiAPI function.");
-    }    
-    const apiUrl =`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
-    const payload = { contents: [{ parts: [{ text: prompt }] }] };
-
-    if (jsonOutput) {
-        payload.generationConfig = {
-            response_mime_type: "application/json",
-            response_schema: schema,
-        };
+    const { provider, apiKey, model } = resolveProvider();
+
+    if (provider.generate) {
+        return provider.generate({ prompt, jsonOutput, schema, model });
     }
 
+    const { url, headers, body } = provider.request({ prompt, jsonOutput, schema, model, apiKey, endpoint: aiConfig.endpoint, temperature: aiConfig.temperature });
+
     let retries = 3;
     let delay = 1000;
 
     while (retries > 0) {
         try {
-            const response = await fetch(apiUrl, {
+            const response = await fetch(url, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
+                headers,
+                body: JSON.stringify(body)
             });
 
             if (response.ok) {
                 const result = await response.json();
-                const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-                if (!text) {
-                     const errorInfo = result.promptFeedback || { error: "Invalid or empty response from API" };
-                     throw new Error(`API Error: ${JSON.stringify(errorInfo)}`);
-                }
-                return text;
+                const text = provider.parse(result);
+                return jsonOutput ? stripJsonFence(text) : text;
             } else {
                  const errorBody = await response.text();
                  console.error("API Error Body:", errorBody);
@@ -142,682 +472,6237 @@ const callGeminiAPI = async (prompt, jsonOutput = false, schema = null) => {
     }
 };
 
+// Streams a plain-text answer, calling onToken with each new piece of text.
+// Resolves with the full text, or with the partial text if `signal` is aborted.
+// If a stream breaks after some text was delivered, the retry asks the model to
+// continue from that point so nothing already shown is repeated.
+const streamGeminiAPI = async (prompt, onToken, { signal } = {}) => {
+    const { provider, apiKey, model } = resolveProvider();
+    let streamed = '';
 
-// --- Components ---
+    if (provider.generate) {
+        const words = provider.generate({ prompt, jsonOutput: false, model }).split(/(?=\s)/);
+        try {
+            for (const word of words) {
+                await waitFor(30, signal);
+                streamed += word;
+                onToken(word);
+            }
+        } catch (error) {
+            if (!isAbortError(error)) throw error;
+        }
+        return streamed;
+    }
 
-const TopicItem = ({ topic, onSelect, isSelected, user, onDelete }) => (
-    <div
-        className={`p-3 my-2 rounded-lg cursor-pointer transition-all duration-200 flex justify-between items-center ${isSelected ? 'bg-blue-600 text-white shadow-md ring-2 ring-blue-300' : 'bg-gray-50 hover:bg-gray-100 border border-gray-200'}`}
-        onClick={() => onSelect(topic)}
-    >
-        <div>
-            <span className="font-semibold text-gray-800">{topic.name}</span>
-            <p className="text-sm text-gray-500 mt-1">{topic.duration} days</p>
-        </div>
-        <div className="flex items-center">
-            <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                topic.difficulty === 'Easy' ? 'bg-green-100 text-green-800' :
-                topic.difficulty === 'Medium' ? 'bg-yellow-100 text-yellow-800' :
-                'bg-red-100 text-red-800'
-            }`}>
-                {topic.difficulty}
-            </span>
-            {user && user.uid === ADMIN_UID && (
-                <button onClick={(e) => { e.stopPropagation(); onDelete(topic.id); }} className="ml-4 text-gray-400 hover:text-red-600 transition-colors">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>
-                </button>
-            )}
-        </div>
-    </div>
-);
+    let retries = 3;
+    let delay = 1000;
 
-const SortableTimetableItem = ({ item, index, onToggleComplete }) => {
-    const { attributes, listeners, setNodeRef, transform, transition } = useSortable({ id: item.id });
-    const [explanation, setExplanation] = useState('');
-    const [isExplainLoading, setIsExplainLoading] = useState(false);
-    
-    const style = {
-        transform: CSS.Transform.toString(transform),
-        transition,
-    };
+    while (retries > 0) {
+        const attemptPrompt = streamed
+            ? `${prompt}\n\nYour previous answer was cut off. Here is what you already wrote:\n"""${streamed}"""\nContinue exactly where it stops. Do not repeat any of it.`
+            : prompt;
+        const { url, headers, body } = provider.request({ prompt: attemptPrompt, model, apiKey, endpoint: aiConfig.endpoint, temperature: aiConfig.temperature, stream: true });
 
-    const getExplanation = async () => {
-        setIsExplainLoading(true);
-        setExplanation('');
         try {
-            // --- DEBUGGING LINES ADDED HERE ---
-            console.log("Requesting explanation for item:", item); 
-            const prompt = `Explain the concept of '${item.topic}' in a simple, beginner-friendly way. Use an analogy to make it easier to understand.`;
-            console.log("Sending this prompt to Gemini:", prompt);
-            // ------------------------------------
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal
+            });
 
-            const response = await callGeminiAPI(prompt);
-            setExplanation(response);
+            if (!response.ok) {
+                const errorBody = await response.text();
+                console.error("API Error Body:", errorBody);
+                throw new Error(`API request failed with status ${response.status}`);
+            }
+            await readEventStream(response, (chunk) => {
+                const text = provider.parseStreamChunk(chunk);
+                if (!text) return;
+                streamed += text;
+                onToken(text);
+            });
+            if (!streamed) throw new Error("API Error: Invalid or empty response from API");
+            return streamed;
         } catch (error) {
-            console.error("Explanation feature failed:", error); // Added a more specific console error
-            setExplanation(`Error fetching explanation: ${error.message}`);
-        } finally {
-            setIsExplainLoading(false);
+            if (isAbortError(error)) return streamed;
+            console.error(`API stream failed: ${error.message}. Retrying in ${delay / 1000}s...`);
+            retries--;
+            if (retries === 0) throw new Error(`API call failed after multiple retries. Last error: ${error.message}`);
+            try {
+                await waitFor(delay, signal);
+            } catch {
+                return streamed;
+            }
+            delay *= 2;
         }
-    };
+    }
+};
 
-    return (
-        <div ref={setNodeRef} style={style} {...attributes} {...listeners} className={`bg-white p-5 mb-4 rounded-xl shadow-sm border border-gray-200 touch-none transition-all ${item.completed ? 'opacity-60 bg-gray-50' : 'opacity-100'}`}>
-            <div className="flex items-start justify-between">
-                <div className="flex items-start">
-                    <input
-                        type="checkbox"
-                        checked={item.completed || false}
-                        onChange={() => onToggleComplete(item.id, !item.completed)}
-                        className="h-5 w-5 rounded border-gray-300 text-blue-600 focus:ring-blue-500 mt-1 mr-4 cursor-pointer"
-                    />
-                    <div>
-                        <h3 className={`text-lg font-bold text-gray-800 ${item.completed ? 'line-through' : ''}`}>{index + 1}. {item.topic}</h3>
-                        <span className="text-sm font-semibold text-blue-600">{item.date}</span>
-                    </div>
-                </div>
-                 <button onClick={getExplanation} disabled={isExplainLoading} className="bg-blue-100 text-blue-800 text-xs font-semibold px-3 py-1 rounded-full hover:bg-blue-200 transition-colors disabled:opacity-50">
-                    ✨ {isExplainLoading ? 'Thinking...' : 'Explain with AI'}
-                </button>
-            </div>
-            {item.goal && <p className="text-gray-700 text-sm mt-3 ml-9"><strong>Goal:</strong> {item.goal}</p>}
-            <div className="mt-4 ml-9 space-y-3">
-                <div>
-                    <h4 className="font-semibold text-gray-700">What to do:</h4>
-                    <p className="text-gray-600 text-sm mt-1">{item.what}</p>
-                </div>
-                <div>
-                    <h4 className="font-semibold text-gray-700">How to do it:</h4>
-                    <p className="text-gray-600 text-sm mt-1">{item.how}</p>
-                </div>
-                <div>
-                    <h4 className="font-semibold text-gray-700">Resources:</h4>
-                    <ul className="list-disc list-inside text-sm text-gray-600 mt-1 space-y-1">
-                        {item.resources?.article && <li><strong>Article:</strong> <a href={item.resources.article} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">{item.resources.article}</a></li>}
-                        {item.resources?.video && <li><strong>Video:</strong> <a href={item.resources.video} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">{item.resources.video}</a></li>}
-                        {item.resources?.practice && <li><strong>Practice:</strong> <a href={item.resources.practice} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">{item.resources.practice}</a></li>}
-                    </ul>
-                </div>
-                {explanation && (
-                    <div className="mt-4 p-4 bg-gray-50 rounded-lg">
-                        <h4 className="font-bold text-gray-800">✨ AI Explanation</h4>
-                        <p className="text-gray-700 text-sm mt-2 whitespace-pre-wrap">{explanation}</p>
-                    </div>
-                )}
-            </div>
-        </div>
-    );
+
+// --- Local Study Scheduler ---
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
 };
 
-const Chatbot = () => {
-    const [isOpen, setIsOpen] = useState(false);
-    const [messages, setMessages] = useState([{ sender: 'ai', text: 'Hello! Ask me for help with any DSA topic.' }]);
-    const [userInput, setUserInput] = useState('');
-    const [isLoading, setIsLoading] = useState(false);
-    const chatEndRef = useRef(null);
+const daysBetween = (fromDate, toDate) => Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
 
-    useEffect(() => { chatEndRef.current?.scrollIntoView({ behavior: "smooth" }); }, [messages]);
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const difficultyRank = { Easy: 0, Medium: 1, Hard: 2 };
+// Harder topics keep more of their time when a plan is compressed and get more revision when it is extended.
+const difficultyWeights = { Easy: 0.8, Medium: 1, Hard: 1.25 };
 
-    const handleSendMessage = async (e) => {
-        e.preventDefault();
-        if (!userInput.trim() || isLoading) return;
-        setMessages(prev => [...prev, { sender: 'user', text: userInput }]);
-        const currentInput = userInput;
-        setUserInput('');
-        setIsLoading(true);
-        try {
-            const prompt = `You are a friendly DSA assistant. The user is asking: "${currentInput}". Provide a concise and helpful answer.`;
-            const aiResponse = await callGeminiAPI(prompt);
-            setMessages(prev => [...prev, { sender: 'ai', text: aiResponse }]);
-        } catch (error) {
-            setMessages(prev => [...prev, { sender: 'ai', text: `Sorry, I ran into an error: ${error.message}` }]);
-        } finally {
-            setIsLoading(false);
-        }
-    };
+const getStudyDays = (startDate, endDate, studyWeekdays, restDays) => {
+    const days = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        if (studyWeekdays.includes(weekday) && !restDays.includes(date)) days.push(date);
+    }
+    return days;
+};
 
-    return (
-        <>
-            <button onClick={() => setIsOpen(!isOpen)} className="fixed bottom-6 right-6 bg-blue-600 text-white w-16 h-16 rounded-full shadow-lg flex items-center justify-center hover:bg-blue-700 transition-transform transform hover:scale-110 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 z-50" aria-label="Toggle Chatbot">
-                {isOpen ? <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" /></svg> : <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" /></svg>}
-            </button>
-            {isOpen && (
-                <div className="fixed bottom-24 right-6 w-80 h-[28rem] bg-white rounded-xl shadow-2xl flex flex-col z-40 transition-all duration-300 ease-in-out">
-                    <div className="bg-blue-600 text-white p-4 rounded-t-xl"><h3 className="font-bold text-lg">✨ Rishu AI Assistant</h3></div>
-                    <div className="flex-1 p-4 overflow-y-auto">
-                        {messages.map((msg, index) => <div key={index} className={`flex mb-3 ${msg.sender === 'user' ? 'justify-end' : 'justify-start'}`}><div className={`px-4 py-2 rounded-lg max-w-xs break-words ${msg.sender === 'user' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-800'}`}>{msg.text}</div></div>)}
-                        {isLoading && <div className="flex justify-start"><div className="px-4 py-2 rounded-lg bg-gray-200 text-gray-800">Thinking...</div></div>}
-                        <div ref={chatEndRef} />
-                    </div>
-                    <form onSubmit={handleSendMessage} className="p-4 border-t border-gray-200">
-                        <div className="flex">
-                            <input type="text" value={userInput} onChange={(e) => setUserInput(e.target.value)} placeholder="Ask about a DSA topic..." className="flex-1 p-2 border border-gray-300 rounded-l-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500" disabled={isLoading}/>
-                            <button type="submit" className="bg-blue-600 text-white px-4 rounded-r-md hover:bg-blue-700 disabled:bg-blue-300" disabled={isLoading}>Send</button>
-                        </div>
-                    </form>
-                </div>
-            )}
-        </>
-    );
+// Splits `total` whole units in proportion to `weights` (largest remainder), giving each at least `min`.
+const apportion = (total, weights, min = 0) => {
+    const shares = weights.map(() => min);
+    const remaining = total - min * weights.length;
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+    if (remaining <= 0 || weightSum === 0) return shares;
+    const exact = weights.map(w => (w / weightSum) * remaining);
+    const floors = exact.map(Math.floor);
+    const leftover = remaining - floors.reduce((sum, n) => sum + n, 0);
+    exact.map((value, i) => ({ fraction: value - floors[i], i }))
+        .sort((a, b) => b.fraction - a.fraction || a.i - b.i)
+        .slice(0, leftover)
+        .forEach(({ i }) => { floors[i]++; });
+    return shares.map((share, i) => share + floors[i]);
 };
 
-const Compiler = () => {
-  const [languageId, setLanguageId] = useState(54); // default: C++ (GCC 9.2.0)
-  const [code, setCode] = useState(`#include <bits/stdc++.h>
-using namespace std;
-int main() {
-    cout << "Hello, World!" << endl;
-    return 0;
-}`);
-  const [output, setOutput] = useState("");
-  const [isRunning, setIsRunning] = useState(false);
-  const [explanation, setExplanation] = useState('');
-  const [isExplainLoading, setIsExplainLoading] = useState(false);
+// Lays the topics out over the available study days. Each topic gets its `duration`
+// in days (scaled down proportionally if the window is too short) followed by any
+// revision days that remain. Returns one slot per study day.
+const scheduleStudyPlan = ({ topics, startDate, endDate, studyWeekdays, restDays = [] }) => {
+    const studyDays = getStudyDays(startDate, endDate, studyWeekdays, restDays);
+    if (studyDays.length === 0) throw new Error("There are no study days available in the selected range.");
+    if (studyDays.length < topics.length) {
+        throw new Error(`${topics.length} topics need at least ${topics.length} study days, but only ${studyDays.length} are available.`);
+    }
 
-  const languageMap = {
-      54: "C++",
-      52: "C",
-      71: "Python",
-      63: "JavaScript"
-  };
+    const ordered = orderTopicsTopologically(topics);
+    const durations = ordered.map(t => Math.max(1, Math.round(Number(t.duration) || 1)));
+    const weights = ordered.map(t => difficultyWeights[t.difficulty] ?? 1);
+    const requiredDays = durations.reduce((sum, d) => sum + d, 0);
+    const scaled = studyDays.length < requiredDays;
 
-  const handleExplainCode = async () => {
-    setIsExplainLoading(true);
-    setExplanation('');
-    try {
-        const languageName = languageMap[languageId];
+    const studyAllocation = scaled ? apportion(studyDays.length, durations.map((d, i) => d * weights[i]), 1) : durations;
+    const revisionAllocation = scaled ? ordered.map(() => 0) : apportion(studyDays.length - requiredDays, weights);
+
+    const slots = [];
+    ordered.forEach((topic, i) => {
+        for (let n = 1; n <= studyAllocation[i]; n++) {
+            slots.push({ topic: topic.name, difficulty: topic.difficulty, session: 'study', sessionNumber: n, sessionCount: studyAllocation[i] });
+        }
+        for (let n = 1; n <= revisionAllocation[i]; n++) {
+            slots.push({ topic: topic.name, difficulty: topic.difficulty, session: 'revision', sessionNumber: n, sessionCount: revisionAllocation[i] });
+        }
+    });
+    return {
+        slots: slots.map((slot, i) => ({ ...slot, date: studyDays[i] })),
+        scaled,
+        requiredDays,
+        availableDays: studyDays.length,
+    };
+};
+
+// Moves incomplete items onto study days from `fromDate` onward; completed items never
+// move. Items keep their date unless it is overdue or taken by an item pushed forward.
+// "extend" lets the plan run past `endDate` as needed; "compress" keeps `endDate` and,
+// when the remaining days are too few, spreads the items evenly, doubling up on days.
+// Returns the updated items (re-ordered by date), the changed items and the new end date.
+const reschedulePlan = ({ items, fromDate, endDate, studyWeekdays, restDays = [], mode }) => {
+    const pending = items.filter(item => !item.completed).sort((a, b) => a.order - b.order);
+    if (pending.length === 0) return { items, changes: [], newEndDate: endDate };
+    if (studyWeekdays.length === 0) throw new Error("Select at least one study weekday to reschedule.");
+
+    const isStudyDay = (date) => studyWeekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay()) && !restDays.includes(date);
+    const nextStudyDay = (date) => {
+        let day = date;
+        while (!isStudyDay(day)) day = addDays(day, 1);
+        return day;
+    };
+
+    const newDates = new Map();
+    let cursor = fromDate;
+    pending.forEach(item => {
+        const date = nextStudyDay(item.date > cursor ? item.date : cursor);
+        newDates.set(item.id, date);
+        cursor = addDays(date, 1);
+    });
+
+    if (mode === 'compress' && [...newDates.values()].some(date => date > endDate)) {
+        const days = getStudyDays(fromDate, endDate, studyWeekdays, restDays);
+        if (days.length === 0) throw new Error(`There are no study days left before ${endDate}. Extend the plan instead.`);
+        pending.forEach((item, i) => {
+            newDates.set(item.id, days.length >= pending.length ? days[i] : days[Math.floor((i * days.length) / pending.length)]);
+        });
+    }
+
+    const changes = [];
+    const updated = items.map(item => {
+        const date = newDates.get(item.id);
+        if (!date || date === item.date) return item;
+        changes.push({ id: item.id, topic: item.topic, from: item.date, to: date });
+        return { ...item, date };
+    });
+    updated.sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order);
+    return {
+        items: updated.map((item, order) => ({ ...item, order })),
+        changes,
+        newEndDate: updated.reduce((latest, item) => item.date > latest ? item.date : latest, mode === 'compress' ? endDate : ''),
+    };
+};
+
+const fallbackResources = (topic) => ({
+    article: `https://www.geeksforgeeks.org/?s=${encodeURIComponent(topic)}`,
+    video: `https://www.youtube.com/results?search_query=${encodeURIComponent(`${topic} data structures algorithms`)}`,
+    practice: `https://leetcode.com/problemset/?search=${encodeURIComponent(topic)}`,
+});
+
+// Used when the AI is unavailable, so a schedule can always be saved.
+const fallbackSlotDetails = (slot) => slot.session === 'revision'
+    ? {
+        goal: `Revise ${slot.topic} (revision ${slot.sessionNumber} of ${slot.sessionCount}).`,
+        what: `Re-read your notes on ${slot.topic} and re-solve problems you found difficult.`,
+        how: 'Attempt two or three problems without looking at solutions, then review any mistakes.',
+        resources: fallbackResources(slot.topic),
+    }
+    : {
+        goal: `Learn ${slot.topic} (day ${slot.sessionNumber} of ${slot.sessionCount}).`,
+        what: `Study the core ideas of ${slot.topic} and work through introductory examples.`,
+        how: 'Read an article, watch a short video, then solve practice problems of increasing difficulty.',
+        resources: fallbackResources(slot.topic),
+    };
+
+const slotDetailsSchema = { type: "ARRAY", items: { type: "OBJECT", properties: { index: { type: "NUMBER" }, goal: { type: "STRING" }, what: { type: "STRING" }, how: { type: "STRING" }, resources: { type: "OBJECT", properties: { article: { type: "STRING" }, video: { type: "STRING" }, practice: { type: "STRING" } } } }, required: ["index", "goal", "what", "how", "resources"] } };
+
+const mergeSlotDetails = (item, detail) => detail ? {
+    ...item,
+    goal: detail.goal ?? item.goal,
+    what: detail.what ?? item.what,
+    how: detail.how ?? item.how,
+    resources: { ...item.resources, ...detail.resources },
+} : item;
+
+// Asks the AI only for the descriptive fields of each scheduled slot; dates and topics stay fixed.
+// The result is unchecked and should go through buildValidatedPlan before it is saved.
+const fillSlotDetailsWithAI = async (slots) => {
+    const slotList = slots.map((slot, i) => `${i + 1}. ${slot.date}: ${slot.topic} (${slot.difficulty}) - ${slot.session} day ${slot.sessionNumber} of ${slot.sessionCount}`).join('\n');
+    const prompt = `You are a DSA expert. A study schedule has already been fixed. For each numbered day below, write a "goal", "what" (what to study), "how" (how to study it) and a "resources" object with "article" (GeeksforGeeks, GitHub or similar), "video" (a YouTube search link) and "practice" (GeeksforGeeks or LeetCode) URLs. Return exactly ${slots.length} objects in the same order, each with "index" set to the day number. Do not change dates or topics.\n\n${slotList}`;
+    const details = JSON.parse(await callGeminiAPI(prompt, true, slotDetailsSchema));
+    return slots.map((slot, i) => mergeSlotDetails(
+        { date: slot.date, topic: slot.topic, session: slot.session, resources: {} },
+        details.find(d => d.index === i + 1) || details[i]
+    ));
+};
+
+// --- Topic Prerequisites ---
+// Topics list the ids of the topics that should be studied first in `prerequisites`.
+const prerequisiteIdsOf = (topic) => Array.isArray(topic?.prerequisites) ? topic.prerequisites : [];
+
+// Depth-first search over the prerequisite edges. Returns the topic names along a cycle
+// (first name repeated at the end), or null when the graph is acyclic.
+const findPrerequisiteCycle = (topics) => {
+    const byId = new Map(topics.map(topic => [topic.id, topic]));
+    const state = new Map();
+    const stack = [];
+    const visit = (id) => {
+        state.set(id, 'visiting');
+        stack.push(id);
+        for (const prerequisiteId of prerequisiteIdsOf(byId.get(id))) {
+            if (!byId.has(prerequisiteId)) continue;
+            if (state.get(prerequisiteId) === 'visiting') {
+                return [...stack.slice(stack.indexOf(prerequisiteId)), prerequisiteId].map(cycleId => byId.get(cycleId).name);
+            }
+            if (!state.has(prerequisiteId)) {
+                const cycle = visit(prerequisiteId);
+                if (cycle) return cycle;
+            }
+        }
+        stack.pop();
+        state.set(id, 'done');
+        return null;
+    };
+    for (const topic of topics) {
+        if (state.has(topic.id)) continue;
+        const cycle = visit(topic.id);
+        if (cycle) return cycle;
+    }
+    return null;
+};
+
+// Kahn's algorithm over the edges between the given topics. Among topics that are ready,
+// easier ones come first, which keeps the old difficulty ordering when there are no prerequisites.
+const orderTopicsTopologically = (topics) => {
+    const ids = new Set(topics.map(topic => topic.id));
+    const remaining = new Map(topics.map(topic => [topic.id, prerequisiteIdsOf(topic).filter(id => ids.has(id) && id !== topic.id).length]));
+    const byDifficulty = (a, b) => (difficultyRank[a.difficulty] ?? 1) - (difficultyRank[b.difficulty] ?? 1);
+    const ordered = [];
+    let ready = topics.filter(topic => remaining.get(topic.id) === 0);
+    while (ready.length > 0) {
+        ready.sort(byDifficulty);
+        const next = ready.shift();
+        ordered.push(next);
+        topics.forEach(topic => {
+            if (!prerequisiteIdsOf(topic).includes(next.id) || topic.id === next.id) return;
+            remaining.set(topic.id, remaining.get(topic.id) - 1);
+            if (remaining.get(topic.id) === 0) ready.push(topic);
+        });
+    }
+    // Topics caught in a cycle cannot be ordered; they are appended rather than dropped.
+    const leftover = topics.filter(topic => !ordered.includes(topic)).sort(byDifficulty);
+    return [...ordered, ...leftover];
+};
+
+// Prerequisites (including indirect ones) of the selected topics that are not selected themselves.
+// Returns [{ topic, requiredBy: [names] }].
+const findMissingPrerequisites = (selectedTopics, allTopics) => {
+    const byId = new Map(allTopics.map(topic => [topic.id, topic]));
+    const selectedIds = new Set(selectedTopics.map(topic => topic.id));
+    const missing = new Map();
+    const queue = selectedTopics.map(topic => byId.get(topic.id) || topic);
+    const seen = new Set(queue.map(topic => topic.id));
+    while (queue.length > 0) {
+        const topic = queue.shift();
+        for (const prerequisiteId of prerequisiteIdsOf(topic)) {
+            const prerequisite = byId.get(prerequisiteId);
+            if (!prerequisite) continue;
+            if (!selectedIds.has(prerequisiteId)) {
+                const entry = missing.get(prerequisiteId) || { topic: prerequisite, requiredBy: [] };
+                entry.requiredBy.push(topic.name);
+                missing.set(prerequisiteId, entry);
+            }
+            if (!seen.has(prerequisiteId)) {
+                seen.add(prerequisiteId);
+                queue.push(prerequisite);
+            }
+        }
+    }
+    return [...missing.values()];
+};
+
+// All topics that must come before topicId, directly or indirectly.
+const collectAncestors = (topicId, allTopics) => {
+    const byId = new Map(allTopics.map(topic => [topic.id, topic]));
+    const ancestors = new Set();
+    const stack = [...prerequisiteIdsOf(byId.get(topicId))];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (ancestors.has(id) || !byId.has(id)) continue;
+        ancestors.add(id);
+        stack.push(...prerequisiteIdsOf(byId.get(id)));
+    }
+    return ancestors;
+};
+
+const prerequisiteSuggestionSchema = { type: "ARRAY", items: { type: "OBJECT", properties: { topic: { type: "STRING" }, prerequisites: { type: "ARRAY", items: { type: "STRING" } } }, required: ["topic", "prerequisites"] } };
+
+// Asks the AI which of the existing topics each topic depends on. Names that do not match an
+// existing topic are ignored. Returns { [topicId]: [prerequisiteIds] }.
+const suggestPrerequisitesWithAI = async (topics) => {
+    const prompt = `You are a DSA curriculum designer. For each topic in this list, name the topics from the same list that a learner must understand first. Only use names exactly as they appear in the list, only include direct prerequisites, and never create circular dependencies.\n\n${topics.map(topic => `- ${topic.name}`).join('\n')}`;
+    const suggestions = JSON.parse(await callGeminiAPI(prompt, true, prerequisiteSuggestionSchema));
+    const byName = new Map(topics.map(topic => [topic.name.trim().toLowerCase(), topic]));
+    const result = {};
+    (Array.isArray(suggestions) ? suggestions : []).forEach(suggestion => {
+        const topic = byName.get(String(suggestion?.topic || '').trim().toLowerCase());
+        if (!topic) return;
+        result[topic.id] = [...new Set((suggestion.prerequisites || [])
+            .map(name => byName.get(String(name).trim().toLowerCase())?.id)
+            .filter(id => id && id !== topic.id))];
+    });
+    return result;
+};
+
+// --- Plan Validation ---
+const resourceKeys = ['article', 'video', 'practice'];
+const difficultyLevels = ['Easy', 'Medium', 'Hard'];
+
+const isWellFormedUrl = (value) => {
+    if (typeof value !== 'string') return false;
+    try {
+        const url = new URL(value);
+        return (url.protocol === 'https:' || url.protocol === 'http:') && url.hostname.includes('.');
+    } catch {
+        return false;
+    }
+};
+
+const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+// Returns a list of concrete violations: { index, field, message }. `index` is null
+// for plan-wide problems such as a selected topic that never appears.
+const validatePlan = (items, { startDate, endDate, topicNames }) => {
+    const violations = [];
+    items.forEach((item, index) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(item.date || '')) violations.push({ index, field: 'date', message: `Day ${index + 1} has an invalid date "${item.date}".` });
+        else if (item.date < startDate || item.date > endDate) violations.push({ index, field: 'date', message: `Day ${index + 1} (${item.date}) is outside ${startDate} to ${endDate}.` });
+        if (!topicNames.includes(item.topic)) violations.push({ index, field: 'topic', message: `Day ${index + 1} uses "${item.topic}", which was not selected.` });
+        ['goal', 'what', 'how'].forEach(field => {
+            if (isBlank(item[field])) violations.push({ index, field, message: `Day ${index + 1} is missing "${field}".` });
+        });
+        resourceKeys.forEach(key => {
+            const url = item.resources?.[key];
+            if (!isWellFormedUrl(url)) violations.push({ index, field: `resources.${key}`, message: `Day ${index + 1} has a malformed ${key} link${url ? ` "${url}"` : ''}.` });
+        });
+    });
+    topicNames.forEach(name => {
+        if (!items.some(item => item.topic === name)) violations.push({ index: null, field: 'topic', message: `Selected topic "${name}" is not covered by the plan.` });
+    });
+    return violations;
+};
+
+// Fixes what can be fixed without the model: out-of-range dates are clamped and
+// days for topics that were not selected are dropped.
+const repairPlanLocally = (items, { startDate, endDate, topicNames }) => {
+    const corrections = [];
+    const kept = items.filter(item => {
+        if (topicNames.includes(item.topic)) return true;
+        corrections.push(`Removed ${item.date}: "${item.topic}" was not one of the selected topics.`);
+        return false;
+    });
+    const repaired = kept.map(item => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(item.date || '')) return item;
+        const clamped = item.date < startDate ? startDate : item.date > endDate ? endDate : item.date;
+        if (clamped === item.date) return item;
+        corrections.push(`Moved "${item.topic}" from ${item.date} to ${clamped} to stay within the plan range.`);
+        return { ...item, date: clamped };
+    });
+    return { items: repaired, corrections };
+};
+
+// Sends the remaining violations back to the model and merges the corrected fields.
+const repairPlanWithAI = async (items, violations) => {
+    const indices = [...new Set(violations.map(v => v.index).filter(i => i !== null))];
+    if (indices.length === 0) return items;
+    const dayList = indices.map(i => `${i + 1}. ${items[i].date}: ${items[i].topic} (${items[i].session || 'study'}) - current value: ${JSON.stringify({ goal: items[i].goal, what: items[i].what, how: items[i].how, resources: items[i].resources })}`).join('\n');
+    const problems = violations.filter(v => v.index !== null).map(v => `- ${v.message}`).join('\n');
+    const prompt = `You are a DSA expert fixing a study plan. These problems were found:\n${problems}\n\nReturn corrected "goal", "what", "how" and "resources" (absolute https URLs for "article", "video" and "practice") for each of these days, with "index" set to the day number:\n${dayList}`;
+    const details = JSON.parse(await callGeminiAPI(prompt, true, slotDetailsSchema));
+    return items.map((item, i) => indices.includes(i) ? mergeSlotDetails(item, details.find(d => d.index === i + 1)) : item);
+};
+
+// Validates AI plan details, repairs simple problems locally, re-prompts the model once
+// for the rest and finally falls back to defaults. Returns the plan plus a human-readable
+// list of every correction made.
+const buildValidatedPlan = async (items, slots, constraints) => {
+    let { items: repaired, corrections } = repairPlanLocally(items, constraints);
+    let violations = validatePlan(repaired, constraints).filter(v => v.index !== null);
+
+    if (violations.length > 0) {
+        try {
+            repaired = await repairPlanWithAI(repaired, violations);
+            const remaining = validatePlan(repaired, constraints).filter(v => v.index !== null);
+            if (remaining.length < violations.length) corrections.push(`The AI fixed ${violations.length - remaining.length} of ${violations.length} problems after being re-prompted.`);
+            violations = remaining;
+        } catch (e) {
+            console.error("AI plan repair failed:", e);
+        }
+    }
+
+    violations.forEach(v => {
+        const item = repaired[v.index];
+        const fallback = fallbackSlotDetails(slots.find(s => s.date === item.date && s.topic === item.topic) || { ...item, sessionNumber: 1, sessionCount: 1 });
+        if (v.field.startsWith('resources.')) {
+            const key = v.field.split('.')[1];
+            repaired[v.index] = { ...item, resources: { ...item.resources, [key]: fallback.resources[key] } };
+        } else if (fallback[v.field] !== undefined) {
+            repaired[v.index] = { ...item, [v.field]: fallback[v.field] };
+        }
+        corrections.push(`${v.message} A default was used.`);
+    });
+
+    validatePlan(repaired, constraints).filter(v => v.index === null).forEach(v => corrections.push(v.message));
+    return { items: repaired, corrections };
+};
+
+// Normalizes a topic object produced by the AI. Returns { topic, corrections, errors };
+// a non-empty `errors` list means the topic must not be saved.
+const validateTopic = (raw) => {
+    const corrections = [];
+    const errors = [];
+    const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+    if (!name) errors.push("Topic has no name.");
+
+    let duration = Math.round(Number(raw?.duration));
+    if (!Number.isFinite(duration) || duration < 1) {
+        corrections.push(`Duration "${raw?.duration}" was invalid and set to 1 day.`);
+        duration = 1;
+    } else if (duration > 60) {
+        corrections.push(`Duration ${duration} was capped at 60 days.`);
+        duration = 60;
+    } else if (duration !== Number(raw.duration)) {
+        corrections.push(`Duration ${raw.duration} was rounded to ${duration} days.`);
+    }
+
+    let difficulty = difficultyLevels.find(level => level.toLowerCase() === String(raw?.difficulty || '').trim().toLowerCase());
+    if (!difficulty) {
+        corrections.push(`Difficulty "${raw?.difficulty}" was not recognized and set to Medium.`);
+        difficulty = 'Medium';
+    }
+
+    const subtopics = cleanStringList(raw?.subtopics);
+    const outcomes = cleanStringList(raw?.outcomes);
+    const tags = cleanStringList(raw?.tags, /[\n;,]/).map(tag => tag.toLowerCase());
+
+    const resources = [];
+    (Array.isArray(raw?.resources) ? raw.resources : cleanStringList(raw?.resources)).forEach(resource => {
+        const entry = typeof resource === 'string' ? parseResourceEntry(resource) : { label: String(resource?.label || '').trim(), url: String(resource?.url || '').trim() };
+        if (!isWellFormedUrl(entry.url)) {
+            corrections.push(`Resource "${entry.label || entry.url}" has an invalid URL and was removed.`);
+            return;
+        }
+        if (resources.some(existing => existing.url === entry.url)) return;
+        resources.push({ label: entry.label || new URL(entry.url).hostname, url: entry.url });
+    });
+
+    return { topic: { ...raw, name, duration, difficulty, subtopics, outcomes, tags, resources }, corrections, errors };
+};
+
+// Accepts an array or a delimited string (one entry per line or semicolon) and returns trimmed, unique entries.
+const cleanStringList = (value, separator = /[\n;]/) => {
+    const entries = Array.isArray(value) ? value : typeof value === 'string' ? value.split(separator) : [];
+    return [...new Set(entries.map(entry => String(entry ?? '').trim()).filter(Boolean))];
+};
+
+// Resource text is either a bare URL or "label | url".
+const parseResourceEntry = (text) => {
+    const [first, ...rest] = text.split('|').map(part => part.trim());
+    return rest.length ? { label: first, url: rest.join('|') } : { label: '', url: first };
+};
+
+const formatResourceEntry = (resource) => `${resource.label} | ${resource.url}`;
+
+
+// --- Topic Catalog Import/Export ---
+// Catalog files refer to prerequisites by name so they can move between projects.
+const catalogFields = ['duration', 'difficulty', 'prerequisites', 'subtopics', 'outcomes', 'tags', 'resources'];
+const catalogCsvColumns = ['name', ...catalogFields];
+
+const normalizeTopicName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const toCatalogEntry = (topic, topics) => ({
+    name: topic.name,
+    duration: topic.duration,
+    difficulty: topic.difficulty,
+    prerequisites: prerequisiteIdsOf(topic).map(id => topics.find(t => t.id === id)?.name).filter(Boolean),
+    subtopics: topic.subtopics || [],
+    outcomes: topic.outcomes || [],
+    tags: topic.tags || [],
+    resources: topic.resources || [],
+});
+
+const serializeCatalogJson = (topics) => JSON.stringify(topics.map(topic => toCatalogEntry(topic, topics)), null, 2);
+
+const escapeCsvField = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const formatCatalogField = (entry, field) => {
+    if (field === 'resources') return entry.resources.map(formatResourceEntry).join('; ');
+    return Array.isArray(entry[field]) ? entry[field].join('; ') : String(entry[field] ?? '');
+};
+
+const serializeCatalogCsv = (topics) => [
+    catalogCsvColumns.join(','),
+    ...topics.map(topic => {
+        const entry = toCatalogEntry(topic, topics);
+        return catalogCsvColumns.map(column => escapeCsvField(formatCatalogField(entry, column))).join(',');
+    }),
+].join('\n');
+
+// RFC 4180: fields may be quoted, and quoted fields may contain commas, doubled quotes and newlines.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Empty CSV cells count as "not given", so partial files leave the other fields alone.
+const parseCatalogCsv = (text) => {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, '')).filter(row => row.some(cell => cell.trim()));
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    if (!columns.includes('name')) throw new Error('The CSV file needs a "name" column.');
+    return rows.map(row => Object.fromEntries(columns
+        .map((column, i) => [column, row[i]])
+        .filter(([column, value]) => catalogCsvColumns.includes(column) && value !== undefined && value.trim() !== '')));
+};
+
+const parseCatalogJson = (text) => {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.topics;
+    if (!Array.isArray(list)) throw new Error('The JSON file must contain an array of topics or { "topics": [...] }.');
+    return list;
+};
+
+const catalogValueText = (entry, field) => formatCatalogField(entry, field) || '—';
+
+// Dry run of an import: each entry is validated, merged over the existing topic with the same name,
+// and classified as new, changed, unchanged, duplicate or invalid. Nothing is written.
+// Returns { entries, cycle } where cycle is non-null if applying would create circular prerequisites.
+const diffTopicCatalog = (rawEntries, existingTopics) => {
+    const existingByName = new Map(existingTopics.map(topic => [normalizeTopicName(topic.name), topic]));
+    const importedNames = new Set(rawEntries.map(raw => normalizeTopicName(raw?.name)));
+    const firstRow = new Map();
+
+    const entries = rawEntries.map((raw, index) => {
+        const row = index + 1;
+        const key = normalizeTopicName(raw?.name);
+        const existing = existingByName.get(key);
+        const before = existing ? toCatalogEntry(existing, existingTopics) : null;
+        const given = Object.fromEntries(Object.entries(raw || {}).filter(([field, value]) => catalogCsvColumns.includes(field) && value !== undefined && value !== null));
+        const { topic, corrections, errors } = validateTopic({ ...before, ...given });
+        if (errors.length > 0) return { row, status: 'invalid', name: topic.name || `Row ${row}`, errors, corrections };
+        if (firstRow.has(key)) return { row, status: 'duplicate', name: topic.name, errors: [`Same name as row ${firstRow.get(key)}; this row is skipped.`], corrections: [] };
+        firstRow.set(key, row);
+
+        const prerequisites = cleanStringList(given.prerequisites ?? before?.prerequisites ?? []).filter(name => {
+            const known = existingByName.has(normalizeTopicName(name)) || importedNames.has(normalizeTopicName(name));
+            if (!known) corrections.push(`Prerequisite "${name}" is not in the catalog and was ignored.`);
+            return known && normalizeTopicName(name) !== key;
+        });
+        const after = { name: topic.name, duration: topic.duration, difficulty: topic.difficulty, prerequisites, subtopics: topic.subtopics, outcomes: topic.outcomes, tags: topic.tags, resources: topic.resources };
+        if (!before) return { row, status: 'new', name: after.name, topic: after, corrections };
+
+        const comparable = (entry, field) => field === 'prerequisites'
+            ? JSON.stringify(entry.prerequisites.map(normalizeTopicName).sort())
+            : JSON.stringify(entry[field]);
+        const changes = ['name', ...catalogFields]
+            .filter(field => comparable(before, field) !== comparable(after, field))
+            .map(field => ({ field, from: catalogValueText(before, field), to: catalogValueText(after, field) }));
+        return { row, status: changes.length ? 'changed' : 'unchanged', name: after.name, existingId: existing.id, topic: after, changes, corrections };
+    });
+
+    // Check the catalog as it would look after the import for circular prerequisites.
+    const idFor = (name) => existingByName.get(normalizeTopicName(name))?.id || `new:${normalizeTopicName(name)}`;
+    const merged = new Map(existingTopics.map(topic => [topic.id, topic]));
+    entries.filter(entry => entry.topic).forEach(entry => {
+        const id = entry.existingId || idFor(entry.name);
+        merged.set(id, { id, name: entry.name, prerequisites: entry.topic.prerequisites.map(idFor) });
+    });
+    return { entries, cycle: findPrerequisiteCycle([...merged.values()]) };
+};
+
+// --- Topic History ---
+// Every topic write goes through writeTopicChange, which adds an audit entry with the actor, a
+// field-level diff and a full snapshot to the same batch. Deletes only set deletedAt, so any
+// snapshot can be restored later; prerequisite ids pointing at deleted topics are ignored.
+const topicsPath = `artifacts/${appId}/public/data/topics`;
+const topicAuditPath = `artifacts/${appId}/public/data/topicAudit`;
+const topicVersionFields = ['name', ...catalogFields];
+const TOPIC_UNDO_SECONDS = 10;
+
+const isActiveTopic = (topic) => !topic.deletedAt;
+
+const topicVersionOf = (topic) => ({
+    name: topic.name || '',
+    duration: topic.duration ?? null,
+    difficulty: topic.difficulty ?? null,
+    prerequisites: prerequisiteIdsOf(topic),
+    subtopics: topic.subtopics || [],
+    outcomes: topic.outcomes || [],
+    tags: topic.tags || [],
+    resources: topic.resources || [],
+});
+
+const diffTopicVersions = (before, after) => topicVersionFields
+    .filter(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, from: before?.[field] ?? null, to: after[field] ?? null }));
+
+// action is 'create', 'update', 'delete' or 'restore'. `before` is the stored topic (null when
+// creating) and `after` the complete new state (ignored for deletes). Returns the topic as now stored.
+const writeTopicChange = (batch, { action, topicId, before, after, actor }) => {
+    const ref = topicId ? doc(db, topicsPath, topicId) : doc(collection(db, topicsPath));
+    const version = (before?.version || 0) + 1;
+    const snapshot = topicVersionOf(action === 'delete' ? before : after);
+    const timestamp = Date.now();
+    let stored;
+    if (action === 'delete') {
+        stored = { ...before, deletedAt: timestamp, deletedBy: actor.uid, version };
+        batch.update(ref, { deletedAt: timestamp, deletedBy: actor.uid, version });
+    } else if (action === 'update') {
+        stored = { ...before, ...snapshot, version };
+        batch.update(ref, { ...snapshot, version });
+    } else {
+        // Creates and restores replace the whole document, which also clears deletedAt.
+        stored = { ...snapshot, version };
+        batch.set(ref, stored);
+    }
+    batch.set(doc(collection(db, topicAuditPath)), {
+        topicId: ref.id,
+        topicName: snapshot.name,
+        action,
+        version,
+        snapshot,
+        changes: action === 'delete' ? [] : diffTopicVersions(before && topicVersionOf(before), snapshot),
+        actorUid: actor.uid,
+        actorName: actor.displayName || actor.email || 'Admin',
+        // The rules require the server time here, so entries cannot be backdated.
+        timestamp: serverTimestamp(),
+    });
+    return { id: ref.id, ...stored };
+};
+
+const formatTopicValue = (field, value, topics) => {
+    if (value === null || value === undefined) return '—';
+    if (field === 'prerequisites') return value.map(id => topics.find(topic => topic.id === id)?.name || 'Unknown topic').join('; ') || '—';
+    return catalogValueText({ [field]: value }, field);
+};
+
+
+// --- User Progress Counters ---
+// Each profile in public/data/users keeps a `progress` summary, so the admin dashboard reads one
+// collection instead of every timetable. The planner updates the counts whenever the timetable
+// changes, and records activity when a plan is generated or an item is toggled.
+const usersPath = `artifacts/${appId}/public/data/users`;
+
+const emptyProgressCounters = { total: 0, completed: 0, percent: 0, streak: 0, lastActiveAt: 0, lastActiveDate: null };
+
+const countTimetableProgress = (timetable) => {
+    const completed = timetable.filter(item => item.completed).length;
+    return { total: timetable.length, completed, percent: timetable.length ? Math.round((completed / timetable.length) * 100) : 0 };
+};
+
+// Days in a row with activity. Activity twice on the same day keeps the streak.
+const nextActivityStreak = (progress, today) => {
+    if (progress?.lastActiveDate === today) return progress.streak || 1;
+    if (progress?.lastActiveDate === addDays(today, -1)) return (progress.streak || 0) + 1;
+    return 1;
+};
+
+// The stored streak only counts while the user was active today or yesterday.
+const currentStreak = (progress, today) => progress?.lastActiveDate && progress.lastActiveDate >= addDays(today, -1) ? progress.streak || 0 : 0;
+
+const searchFieldsFor = (profile) => ({
+    nameLower: (profile.displayName || '').toLowerCase(),
+    emailLower: (profile.email || '').toLowerCase(),
+});
+
+const recordStudyActivity = async (user) => {
+    if (!user || user.isAnonymous) return;
+    const profileRef = doc(db, usersPath, user.uid);
+    try {
+        const profile = await getDoc(profileRef);
+        if (!profile.exists()) return;
+        const today = toDateString(new Date());
+        await updateDoc(profileRef, {
+            'progress.lastActiveAt': Date.now(),
+            'progress.lastActiveDate': today,
+            'progress.streak': nextActivityStreak(profile.data().progress, today),
+        });
+    } catch (e) {
+        console.error("Error recording activity:", e);
+    }
+};
+
+// --- iCalendar Helpers ---
+const escapeIcsText = (text) => String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeIcsText = (text) => text.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N') ? '\n' : ch);
+
+// RFC 5545 limits content lines to 75 octets; longer lines continue with a leading space.
+const foldIcsLine = (line) => {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const ch of line) {
+        const size = new TextEncoder().encode(ch).length;
+        if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += ch;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const buildItemDescription = (item) => [
+    item.goal && `Goal: ${item.goal}`,
+    item.what && `What: ${item.what}`,
+    item.how && `How: ${item.how}`,
+    item.resources?.article && `Article: ${item.resources.article}`,
+    item.resources?.video && `Video: ${item.resources.video}`,
+    item.resources?.practice && `Practice: ${item.resources.practice}`,
+].filter(Boolean).join('\n');
+
+// One all-day event per timetable item.
+const buildTimetableIcs = (items, calendarName = 'DSA Study Plan') => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//DSA Prep Hub//Study Timetable//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+    ];
+    items.forEach((item, index) => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${item.id}@${appId}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${item.date.replace(/-/g, '')}`,
+            `DTEND;VALUE=DATE:${addDays(item.date, 1).replace(/-/g, '')}`,
+            `SUMMARY:${escapeIcsText(`${item.completed ? '✓ ' : ''}${index + 1}. ${item.topic}`)}`,
+            `DESCRIPTION:${escapeIcsText(buildItemDescription(item))}`,
+            `STATUS:${item.completed ? 'CONFIRMED' : 'TENTATIVE'}`,
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+const calendarFeedRef = (user) => doc(db, `artifacts/${appId}/users/${user.uid}/settings`, 'calendarFeed');
+
+const uploadCalendarFeed = (path, items) => uploadString(storageRef(storage, path), buildTimetableIcs(items), 'raw', { contentType: 'text/calendar; charset=utf-8' });
+
+// For timetable writes made outside the Planner, which keeps the feed in sync on its own.
+const publishCalendarFeed = async (user, items) => {
+    const feed = (await getDoc(calendarFeedRef(user))).data();
+    if (feed?.enabled && feed.path) await uploadCalendarFeed(feed.path, items);
+};
+
+// Reads VEVENTs back into timetable items. Descriptions written by buildTimetableIcs are
+// split into their fields; any other description becomes the goal.
+const parseTimetableIcs = (text) => {
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const items = [];
+    let event = null;
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') { event = {}; return; }
+        if (line === 'END:VEVENT') {
+            if (event?.date && event.summary) items.push(event);
+            event = null;
+            return;
+        }
+        if (!event) return;
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+        if (name === 'DTSTART') {
+            const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+            if (match) event.date = `${match[1]}-${match[2]}-${match[3]}`;
+        } else if (name === 'SUMMARY') {
+            event.summary = unescapeIcsText(value);
+        } else if (name === 'DESCRIPTION') {
+            event.description = unescapeIcsText(value);
+        }
+    });
+
+    const fieldPrefixes = { 'Goal:': 'goal', 'What:': 'what', 'How:': 'how', 'Article:': 'article', 'Video:': 'video', 'Practice:': 'practice' };
+    return items.sort((a, b) => a.date.localeCompare(b.date)).map(event => {
+        const completed = event.summary.startsWith('✓ ');
+        const item = {
+            date: event.date,
+            topic: event.summary.replace(/^✓ /, '').replace(/^\d+\.\s*/, '').trim(),
+            goal: '', what: '', how: '',
+            resources: {},
+            completed,
+        };
+        let matched = false;
+        (event.description || '').split('\n').forEach(line => {
+            const prefix = Object.keys(fieldPrefixes).find(p => line.startsWith(p));
+            if (!prefix) return;
+            matched = true;
+            const field = fieldPrefixes[prefix];
+            const value = line.slice(prefix.length).trim();
+            if (['article', 'video', 'practice'].includes(field)) item.resources[field] = value;
+            else item[field] = value;
+        });
+        if (!matched && event.description) item.goal = event.description;
+        return item;
+    });
+};
+
+const downloadTextFile = (filename, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// --- Spaced Repetition (SM-2) ---
+const reviewRatings = [
+    { quality: 1, label: 'Forgot', color: 'bg-red-100 text-red-800 hover:bg-red-200' },
+    { quality: 3, label: 'Hard', color: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200' },
+    { quality: 4, label: 'Good', color: 'bg-blue-100 text-blue-800 hover:bg-blue-200' },
+    { quality: 5, label: 'Easy', color: 'bg-green-100 text-green-800 hover:bg-green-200' },
+];
+
+const createReviewSchedule = (item, today) => ({
+    itemId: item.id,
+    topic: item.topic,
+    easeFactor: 2.5,
+    interval: 1,
+    repetitions: 0,
+    dueDate: addDays(today, 1),
+    history: [],
+});
+
+// Applies one SM-2 step for a recall quality between 0 (blackout) and 5 (perfect).
+const applySM2 = (review, quality, today) => {
+    let { easeFactor, interval, repetitions } = review;
+    if (quality < 3) {
+        repetitions = 0;
+        interval = 1;
+    } else {
+        repetitions += 1;
+        interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * easeFactor);
+    }
+    easeFactor = Math.max(1.3, easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    return {
+        ...review,
+        easeFactor: Math.round(easeFactor * 100) / 100,
+        interval,
+        repetitions,
+        dueDate: addDays(today, interval),
+        history: [...(review.history || []), { date: today, quality, interval }],
+    };
+};
+
+
+// --- Components ---
+
+const ReviewQueue = ({ reviews, onRate }) => (
+    <div className="mb-8 bg-white p-6 rounded-xl shadow-lg border-l-4 border-purple-500">
+        <h2 className="text-2xl font-bold text-gray-800">Due for Review ({reviews.length})</h2>
+        <p className="text-gray-500 text-sm mt-1">How well do you remember each topic?</p>
+        <ul className="mt-3 space-y-3">
+            {reviews.map(review => (
+                <li key={review.id}>
+                    <span className="font-semibold text-gray-700">{review.topic}</span>
+                    <div className="flex flex-wrap gap-2 mt-1">
+                        {reviewRatings.map(rating => (
+                            <button key={rating.quality} onClick={() => onRate(review, rating.quality)} className={`px-3 py-1 text-xs font-semibold rounded-full transition-colors ${rating.color}`}>{rating.label}</button>
+                        ))}
+                    </div>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+
+const TopicItem = ({ topic, onSelect, isSelected, isAdmin, onDelete }) => (
+    <div
+        className={`p-3 my-2 rounded-lg cursor-pointer transition-all duration-200 flex justify-between items-center ${isSelected ? 'bg-blue-600 text-white shadow-md ring-2 ring-blue-300' : 'bg-gray-50 hover:bg-gray-100 border border-gray-200'}`}
+        onClick={() => onSelect(topic)}
+    >
+        <div>
+            <span className="font-semibold text-gray-800">{topic.name}</span>
+            <p className="text-sm text-gray-500 mt-1">{topic.duration} days</p>
+        </div>
+        <div className="flex items-center">
+            <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                topic.difficulty === 'Easy' ? 'bg-green-100 text-green-800' :
+                topic.difficulty === 'Medium' ? 'bg-yellow-100 text-yellow-800' :
+                'bg-red-100 text-red-800'
+            }`}>
+                {topic.difficulty}
+            </span>
+            {isAdmin && (
+                <button onClick={(e) => { e.stopPropagation(); onDelete(topic.id); }} className="ml-4 text-gray-400 hover:text-red-600 transition-colors">
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>
+                </button>
+            )}
+        </div>
+    </div>
+);
+
+// --- Topic Graph ---
+const topicStatusStyles = {
+    completed: { fill: '#dcfce7', stroke: '#16a34a', label: 'Completed' },
+    inProgress: { fill: '#fef9c3', stroke: '#ca8a04', label: 'In progress' },
+    planned: { fill: '#dbeafe', stroke: '#2563eb', label: 'Planned' },
+    none: { fill: '#f3f4f6', stroke: '#9ca3af', label: 'Not in plan' },
+};
+
+const getTopicStatus = (topicName, timetable) => {
+    const items = timetable.filter(item => item.topic === topicName);
+    if (items.length === 0) return 'none';
+    const completed = items.filter(item => item.completed).length;
+    if (completed === items.length) return 'completed';
+    return completed > 0 ? 'inProgress' : 'planned';
+};
+
+// Places each topic one column to the right of its deepest prerequisite.
+const layoutTopicGraph = (topics) => {
+    const byId = new Map(topics.map(topic => [topic.id, topic]));
+    const levels = new Map();
+    const levelOf = (id, visiting = new Set()) => {
+        if (levels.has(id)) return levels.get(id);
+        if (visiting.has(id)) return 0;
+        visiting.add(id);
+        const prerequisiteLevels = prerequisiteIdsOf(byId.get(id)).filter(pid => byId.has(pid)).map(pid => levelOf(pid, visiting) + 1);
+        const level = Math.max(0, ...prerequisiteLevels);
+        levels.set(id, level);
+        return level;
+    };
+    const columns = [];
+    topics.forEach(topic => {
+        const level = levelOf(topic.id);
+        (columns[level] = columns[level] || []).push(topic);
+    });
+    const positions = new Map();
+    columns.forEach((column, level) => column.forEach((topic, row) => positions.set(topic.id, { x: level, y: row })));
+    return { positions, columnCount: columns.length, rowCount: Math.max(1, ...columns.map(column => column?.length || 0)) };
+};
+
+const TopicGraph = ({ topics, timetable, onSelectWithPrerequisites }) => {
+    const [focusedId, setFocusedId] = useState(null);
+    const { positions, columnCount, rowCount } = layoutTopicGraph(topics);
+    const nodeWidth = 150;
+    const nodeHeight = 40;
+    const columnGap = 70;
+    const rowGap = 20;
+    const position = (id) => {
+        const { x, y } = positions.get(id);
+        return { x: 10 + x * (nodeWidth + columnGap), y: 10 + y * (nodeHeight + rowGap) };
+    };
+    const ancestors = focusedId ? collectAncestors(focusedId, topics) : new Set();
+    const isHighlighted = (id) => !focusedId || id === focusedId || ancestors.has(id);
+    const focusedTopic = topics.find(topic => topic.id === focusedId);
+
+    if (topics.length === 0) return <p className="text-sm text-gray-500">No topics yet.</p>;
+
+    return (
+        <div>
+            <div className="flex flex-wrap gap-3 text-xs mb-2">
+                {Object.values(topicStatusStyles).map(style => (
+                    <span key={style.label} className="flex items-center">
+                        <span className="inline-block w-3 h-3 mr-1 rounded border" style={{ backgroundColor: style.fill, borderColor: style.stroke }}></span>
+                        {style.label}
+                    </span>
+                ))}
+            </div>
+            <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+                <svg width={20 + columnCount * (nodeWidth + columnGap) - columnGap} height={20 + rowCount * (nodeHeight + rowGap) - rowGap}>
+                    <defs>
+                        <marker id="topic-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                            <path d="M 0 0 L 10 5 L 0 10 z" fill="#6b7280" />
+                        </marker>
+                    </defs>
+                    {topics.flatMap(topic => prerequisiteIdsOf(topic).filter(id => positions.has(id)).map(prerequisiteId => {
+                        const from = position(prerequisiteId);
+                        const to = position(topic.id);
+                        const x1 = from.x + nodeWidth;
+                        const y1 = from.y + nodeHeight / 2;
+                        const x2 = to.x;
+                        const y2 = to.y + nodeHeight / 2;
+                        const onPath = focusedId && isHighlighted(topic.id) && isHighlighted(prerequisiteId);
+                        return (
+                            <path
+                                key={`${prerequisiteId}-${topic.id}`}
+                                d={`M ${x1} ${y1} C ${x1 + columnGap / 2} ${y1}, ${x2 - columnGap / 2} ${y2}, ${x2} ${y2}`}
+                                fill="none"
+                                stroke={onPath ? '#2563eb' : '#9ca3af'}
+                                strokeWidth={onPath ? 2 : 1}
+                                opacity={!focusedId || onPath ? 1 : 0.25}
+                                markerEnd="url(#topic-graph-arrow)"
+                            />
+                        );
+                    }))}
+                    {topics.map(topic => {
+                        const { x, y } = position(topic.id);
+                        const style = topicStatusStyles[getTopicStatus(topic.name, timetable)];
+                        return (
+                            <g key={topic.id} onClick={() => setFocusedId(focusedId === topic.id ? null : topic.id)} opacity={isHighlighted(topic.id) ? 1 : 0.3} className="cursor-pointer">
+                                <title>{`${topic.name} (${style.label})`}</title>
+                                <rect x={x} y={y} width={nodeWidth} height={nodeHeight} rx="8" fill={style.fill} stroke={style.stroke} strokeWidth={topic.id === focusedId ? 3 : 1.5} />
+                                <text x={x + nodeWidth / 2} y={y + nodeHeight / 2 + 4} textAnchor="middle" fontSize="12" fill="#1f2937">
+                                    {topic.name.length > 20 ? `${topic.name.slice(0, 19)}…` : topic.name}
+                                </text>
+                            </g>
+                        );
+                    })}
+                </svg>
+            </div>
+            {focusedTopic ? (
+                <div className="flex items-center justify-between mt-2 text-sm">
+                    <span className="text-gray-700">
+                        <strong>{focusedTopic.name}</strong> needs: {ancestors.size ? topics.filter(topic => ancestors.has(topic.id)).map(topic => topic.name).join(', ') : 'nothing'}
+                    </span>
+                    {onSelectWithPrerequisites && (
+                        <button onClick={() => onSelectWithPrerequisites([focusedTopic, ...topics.filter(topic => ancestors.has(topic.id))])} className="px-3 py-1 text-xs font-semibold bg-blue-600 text-white rounded-md hover:bg-blue-700">
+                            Select with prerequisites
+                        </button>
+                    )}
+                </div>
+            ) : (
+                <p className="mt-2 text-xs text-gray-500">Click a topic to highlight what it depends on.</p>
+            )}
+        </div>
+    );
+};
+
+// --- Hint Ladder ---
+// Each level reveals a little more; levels are requested one at a time and never skipped.
+const hintLevels = [
+    { level: 1, label: 'Nudge', instruction: 'Give a single short nudge: one question or observation that points toward the key idea. Do not name the algorithm or data structure, and do not give any code.' },
+    { level: 2, label: 'Approach', instruction: 'Describe the approach in a few sentences: the algorithm or data structure to use and why it works, including its time complexity. Do not give code or pseudocode.' },
+    { level: 3, label: 'Pseudocode', instruction: 'Give language-neutral pseudocode for the approach with brief comments. Do not write code in a real programming language.' },
+    { level: 4, label: 'Full solution', instruction: 'Give a complete, working solution with a short explanation of how it works.' },
+];
+
+const buildHintPrompt = ({ level, subject, code, languageName, previousHints }) => {
+    const sections = [`You are a DSA tutor giving graded hints. The learner is working on: ${subject}`];
+    if (code?.trim()) sections.push(`Their current ${languageName || ''} code is:\n\`\`\`\n${code}\n\`\`\`\nBase the hint on where this code stands, including any mistakes in it.`);
+    if (previousHints.length > 0) sections.push(`Hints already given:\n${previousHints.map(hint => `${hint.level}. ${hintLevels[hint.level - 1].label}: ${hint.text}`).join('\n')}`);
+    sections.push(`Now give hint level ${level} of ${hintLevels.length} (${hintLevels[level - 1].label}). ${hintLevels[level - 1].instruction}`);
+    return sections.join('\n\n');
+};
+
+// Revealed hints are stored in users/{uid}/hintUsage/{scopeType}-{scopeId}, so progress can
+// distinguish work completed unaided from work completed with hints (maxLevel).
+const hintUsageRef = (user, scopeType, scopeId) => doc(db, `artifacts/${appId}/users/${user.uid}/hintUsage`, `${scopeType}-${scopeId}`);
+
+const HintLadder = ({ user, scopeType, scopeId, title, subject, code, languageName, onHintRecorded }) => {
+    const [hints, setHints] = useState([]);
+    const [pendingHint, setPendingHint] = useState(null);
+    const [error, setError] = useState('');
+    const abortRef = useRef(null);
+
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(hintUsageRef(user, scopeType, scopeId), (snapshot) => {
+            setHints(snapshot.exists() ? snapshot.data().hints || [] : []);
+        }, (err) => console.error("Error fetching hints:", err));
+        return () => unsubscribe();
+    }, [user, scopeType, scopeId]);
+
+    const next = hintLevels[hints.length];
+
+    const requestHint = async () => {
+        if (!next) return;
+        if (next.level === hintLevels.length && !window.confirm('Show the full solution? This will be recorded as solved with hints.')) return;
+        setError('');
+        setPendingHint({ level: next.level, text: '' });
+        let text = '';
+        try {
+            abortRef.current = new AbortController();
+            await streamGeminiAPI(
+                buildHintPrompt({ level: next.level, subject, code, languageName, previousHints: hints }),
+                (token) => {
+                    text += token;
+                    setPendingHint(prev => ({ ...prev, text: prev.text + token }));
+                },
+                { signal: abortRef.current.signal }
+            );
+        } catch (err) {
+            console.error("Hint request failed:", err);
+            setError(`Could not get a hint: ${err.message}`);
+        } finally {
+            abortRef.current = null;
+        }
+        // A stopped or interrupted hint still counts once any of it has been shown.
+        if (text.trim()) {
+            const hint = { level: next.level, text, requestedAt: Date.now() };
+            try {
+                await setDoc(hintUsageRef(user, scopeType, scopeId), {
+                    scopeType,
+                    scopeId,
+                    title,
+                    hints: [...hints, hint],
+                    maxLevel: hint.level,
+                    updatedAt: hint.requestedAt
+                });
+                onHintRecorded?.(hint.level);
+            } catch (err) {
+                console.error("Error saving hint:", err);
+                setError("The hint was shown but could not be saved.");
+            }
+        }
+        setPendingHint(null);
+    };
+
+    const stopHint = () => abortRef.current?.abort();
+
+    return (
+        <div className="mt-4 p-4 bg-yellow-50 rounded-lg">
+            <h4 className="font-bold text-gray-800">💡 Hints</h4>
+            {hints.map(hint => (
+                <div key={hint.level} className="mt-3">
+                    <span className="text-xs font-semibold text-yellow-800">Level {hint.level}: {hintLevels[hint.level - 1].label}</span>
+                    <p className="text-gray-700 text-sm mt-1 whitespace-pre-wrap">{hint.text}</p>
+                </div>
+            ))}
+            {pendingHint && (
+                <div className="mt-3">
+                    <span className="text-xs font-semibold text-yellow-800">Level {pendingHint.level}: {hintLevels[pendingHint.level - 1].label}</span>
+                    <p className="text-gray-700 text-sm mt-1 whitespace-pre-wrap">{pendingHint.text || 'Thinking...'}</p>
+                </div>
+            )}
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+            <div className="mt-3">
+                {pendingHint ? (
+                    <button onClick={stopHint} className="bg-red-100 text-red-800 text-xs font-semibold px-3 py-1 rounded-full hover:bg-red-200">■ Stop</button>
+                ) : next ? (
+                    <button onClick={requestHint} className="bg-yellow-200 text-yellow-900 text-xs font-semibold px-3 py-1 rounded-full hover:bg-yellow-300">
+                        Get hint {next.level} of {hintLevels.length}: {next.label}
+                    </button>
+                ) : (
+                    <span className="text-xs text-gray-500">All hints revealed.</span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Quizzes ---
+const QUIZ_QUESTION_COUNT = 5;
+const QUIZ_PASS_PERCENT = 70;
+
+const quizSchema = { type: "OBJECT", properties: { questions: { type: "ARRAY", items: { type: "OBJECT", properties: {
+    type: { type: "STRING", enum: ["multiple_choice", "predict_output"] },
+    prompt: { type: "STRING" },
+    code: { type: "STRING" },
+    options: { type: "ARRAY", items: { type: "STRING" } },
+    answerIndex: { type: "NUMBER" },
+    answer: { type: "STRING" },
+    explanation: { type: "STRING" }
+}, required: ["type", "prompt", "explanation"] } } }, required: ["questions"] };
+
+// Drops questions the key cannot grade: choices need a valid answerIndex, output questions need code and an answer.
+const validateQuiz = (raw) => (Array.isArray(raw?.questions) ? raw.questions : []).filter(question => {
+    if (typeof question?.prompt !== 'string' || !question.prompt.trim()) return false;
+    if (question.type === 'multiple_choice') {
+        return Array.isArray(question.options) && question.options.length >= 2
+            && Number.isInteger(question.answerIndex) && question.answerIndex >= 0 && question.answerIndex < question.options.length;
+    }
+    if (question.type === 'predict_output') return Boolean(question.code?.trim()) && typeof question.answer === 'string';
+    return false;
+});
+
+const generateQuiz = async (item) => {
+    const prompt = `Write a quiz of ${QUIZ_QUESTION_COUNT} questions that checks understanding of the DSA topic "${item.topic}".${item.goal ? ` The study goal was: ${item.goal}` : ''} Mix two types:
+- "multiple_choice": a conceptual question with 4 "options" and the zero-based "answerIndex" of the single correct option.
+- "predict_output": a short, deterministic Python or JavaScript snippet in "code" and its exact printed output in "answer".
+Every question needs an "explanation" of the correct answer.`;
+    const questions = validateQuiz(JSON.parse(await callGeminiAPI(prompt, true, quizSchema)));
+    if (questions.length === 0) throw new Error("The generated quiz had no usable questions.");
+    return questions;
+};
+
+// Graded locally against the generated key; output answers are compared ignoring trailing whitespace.
+const gradeQuiz = (questions, answers) => {
+    const results = questions.map((question, i) => question.type === 'multiple_choice'
+        ? answers[i] === question.answerIndex
+        : normalizeOutput(answers[i]) === normalizeOutput(question.answer));
+    const score = results.filter(Boolean).length;
+    const percent = Math.round((score / questions.length) * 100);
+    return { results, score, total: questions.length, percent, passed: percent >= QUIZ_PASS_PERCENT };
+};
+
+const QuizPanel = ({ item, onGraded }) => {
+    const [questions, setQuestions] = useState([]);
+    const [answers, setAnswers] = useState({});
+    const [grade, setGrade] = useState(null);
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [error, setError] = useState('');
+
+    const startQuiz = async () => {
+        setIsGenerating(true);
+        setError('');
+        setGrade(null);
+        setAnswers({});
+        try {
+            setQuestions(await generateQuiz(item));
+        } catch (err) {
+            console.error("Quiz generation failed:", err);
+            setError(`Could not create a quiz: ${err.message}`);
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    const submitQuiz = () => {
+        const result = gradeQuiz(questions, answers);
+        setGrade(result);
+        onGraded?.(questions, answers, result);
+    };
+
+    const setAnswer = (index, value) => setAnswers(prev => ({ ...prev, [index]: value }));
+
+    return (
+        <div className="mt-4 p-4 bg-green-50 rounded-lg">
+            <div className="flex items-center justify-between">
+                <h4 className="font-bold text-gray-800">📝 Quiz</h4>
+                <button onClick={startQuiz} disabled={isGenerating} className="bg-green-200 text-green-900 text-xs font-semibold px-3 py-1 rounded-full hover:bg-green-300 disabled:opacity-50">
+                    {isGenerating ? 'Generating...' : questions.length ? 'New quiz' : 'Start quiz'}
+                </button>
+            </div>
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+            {questions.map((question, i) => {
+                const isWrong = grade && !grade.results[i];
+                return (
+                    <div key={i} className={`mt-4 p-3 rounded-md bg-white border ${grade ? (isWrong ? 'border-red-300' : 'border-green-300') : 'border-gray-200'}`}>
+                        <p className="text-sm font-semibold text-gray-800">{i + 1}. {question.prompt}</p>
+                        {question.code && <pre className="mt-2 bg-gray-900 text-gray-100 p-2 rounded text-xs overflow-x-auto">{question.code}</pre>}
+                        {question.type === 'multiple_choice' ? (
+                            <div className="mt-2 space-y-1">
+                                {question.options.map((option, j) => (
+                                    <label key={j} className={`flex items-center text-sm ${grade && j === question.answerIndex ? 'text-green-700 font-semibold' : 'text-gray-700'}`}>
+                                        <input type="radio" name={`quiz-${item.id}-${i}`} checked={answers[i] === j} onChange={() => setAnswer(i, j)} disabled={!!grade} className="mr-2"/>
+                                        {option}
+                                    </label>
+                                ))}
+                            </div>
+                        ) : (
+                            <textarea rows={2} value={answers[i] || ''} onChange={(e) => setAnswer(i, e.target.value)} disabled={!!grade} placeholder="Expected output" className="mt-2 w-full p-2 font-mono text-xs border border-gray-300 rounded-md"/>
+                        )}
+                        {isWrong && (
+                            <div className="mt-2 text-xs text-gray-700">
+                                {question.type === 'predict_output' && <p>Correct output: <code className="bg-gray-100 px-1">{question.answer}</code></p>}
+                                <p className="mt-1">{question.explanation}</p>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+            {questions.length > 0 && !grade && (
+                <button onClick={submitQuiz} className="mt-4 bg-green-600 text-white text-sm font-semibold px-4 py-2 rounded-lg hover:bg-green-700">Submit answers</button>
+            )}
+            {grade && (
+                <p className={`mt-4 text-sm font-semibold ${grade.passed ? 'text-green-700' : 'text-red-600'}`}>
+                    {grade.score} / {grade.total} correct ({grade.percent}%). {grade.passed ? 'Passed!' : `${QUIZ_PASS_PERCENT}% is needed to pass.`}
+                </p>
+            )}
+        </div>
+    );
+};
+
+const SortableTimetableItem = ({ item, index, onToggleComplete, problems = [], solvedProblemIds, onOpenProblem, user, code, languageName, onHintUsed, onQuizGraded, requireQuiz }) => {
+    // Only the grip starts a drag, so typing and clicking in the quiz and hint panels inside the card work normally.
+    const { attributes, listeners, setNodeRef, setActivatorNodeRef, transform, transition } = useSortable({ id: item.id });
+    const [showHints, setShowHints] = useState(false);
+    const [showQuiz, setShowQuiz] = useState(false);
+    // With the quiz requirement on, an open item can only be completed by passing its quiz.
+    const completionLocked = requireQuiz && !item.completed;
+    
+    const style = {
+        transform: CSS.Transform.toString(transform),
+        transition,
+    };
+
+    return (
+        <div ref={setNodeRef} style={style} className={`bg-white p-5 mb-4 rounded-xl shadow-sm border border-gray-200 transition-all ${item.completed ? 'opacity-60 bg-gray-50' : 'opacity-100'}`}>
+            <div className="flex items-start justify-between">
+                <div className="flex items-start">
+                    <input
+                        type="checkbox"
+                        checked={item.completed || false}
+                        onChange={() => onToggleComplete(item.id, !item.completed)}
+                        disabled={completionLocked}
+                        title={completionLocked ? 'Pass the quiz to complete this item' : undefined}
+                        className="h-5 w-5 rounded border-gray-300 text-blue-600 focus:ring-blue-500 mt-1 mr-4 cursor-pointer disabled:cursor-not-allowed"
+                    />
+                    <div>
+                        <h3 className={`text-lg font-bold text-gray-800 ${item.completed ? 'line-through' : ''}`}>{index + 1}. {item.topic}</h3>
+                        <span className="text-sm font-semibold text-blue-600">{item.date}</span>
+                    </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                    {item.completed && item.hintLevel > 0 && <span className="text-xs text-yellow-700">Completed with hints (level {item.hintLevel})</span>}
+                    {item.quizBestPercent !== undefined && <span className={`text-xs ${item.quizBestPercent >= QUIZ_PASS_PERCENT ? 'text-green-700' : 'text-gray-500'}`}>Quiz best: {item.quizBestPercent}%</span>}
+                    <button onClick={() => setShowQuiz(!showQuiz)} className="bg-green-100 text-green-800 text-xs font-semibold px-3 py-1 rounded-full hover:bg-green-200 transition-colors">
+                        {showQuiz ? 'Hide quiz' : '📝 Quiz me'}
+                    </button>
+                    <button onClick={() => setShowHints(!showHints)} className="bg-blue-100 text-blue-800 text-xs font-semibold px-3 py-1 rounded-full hover:bg-blue-200 transition-colors">
+                        {showHints ? 'Hide hints' : '💡 Hints'}
+                    </button>
+                    <button ref={setActivatorNodeRef} {...attributes} {...listeners} aria-label={`Reorder ${item.topic}`} title="Drag to reorder" className="px-1 text-gray-400 hover:text-gray-700 cursor-grab touch-none">⠿</button>
+                </div>
+            </div>
+            {item.goal && <p className="text-gray-700 text-sm mt-3 ml-9"><strong>Goal:</strong> {item.goal}</p>}
+            <div className="mt-4 ml-9 space-y-3">
+                <div>
+                    <h4 className="font-semibold text-gray-700">What to do:</h4>
+                    <p className="text-gray-600 text-sm mt-1">{item.what}</p>
+                </div>
+                <div>
+                    <h4 className="font-semibold text-gray-700">How to do it:</h4>
+                    <p className="text-gray-600 text-sm mt-1">{item.how}</p>
+                </div>
+                <div>
+                    <h4 className="font-semibold text-gray-700">Resources:</h4>
+                    <ul className="list-disc list-inside text-sm text-gray-600 mt-1 space-y-1">
+                        {item.resources?.article && <li><strong>Article:</strong> <a href={item.resources.article} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">{item.resources.article}</a></li>}
+                        {item.resources?.video && <li><strong>Video:</strong> <a href={item.resources.video} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">{item.resources.video}</a></li>}
+                        {item.resources?.practice && <li><strong>Practice:</strong> <a href={item.resources.practice} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">{item.resources.practice}</a></li>}
+                    </ul>
+                </div>
+                {problems.length > 0 && (
+                    <div>
+                        <h4 className="font-semibold text-gray-700">Practice Problems:</h4>
+                        <ul className="text-sm mt-1 space-y-1">
+                            {problems.map(problem => (
+                                <li key={problem.id} className="flex items-center">
+                                    <button onClick={() => onOpenProblem(problem)} className="text-blue-500 hover:underline">{problem.title}</button>
+                                    {problem.difficulty && <span className="ml-2 text-xs text-gray-500">{problem.difficulty}</span>}
+                                    {solvedProblemIds?.has(problem.id) && <span className="ml-2 text-xs font-semibold text-green-600">✓ Solved</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+                {showQuiz && <QuizPanel item={item} onGraded={(questions, answers, result) => onQuizGraded?.(item, questions, answers, result)} />}
+                {showHints && user && (
+                    <HintLadder
+                        user={user}
+                        scopeType="item"
+                        scopeId={item.id}
+                        title={item.topic}
+                        subject={`the study topic "${item.topic}".${item.goal ? ` Goal: ${item.goal}` : ''}${item.what ? ` Task: ${item.what}` : ''}`}
+                        code={code}
+                        languageName={languageName}
+                        onHintRecorded={(level) => onHintUsed?.(item.id, level)}
+                    />
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Chat History Helpers ---
+const CHAT_HISTORY_TOKEN_BUDGET = 2000;
+const CHAT_GREETING = 'Hello! Ask me for help with any DSA topic.';
+
+// Rough estimate (about 4 characters per token), good enough to keep prompts bounded.
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Keeps the most recent messages that fit within the token budget, oldest first.
+const trimHistoryToBudget = (messages, budget = CHAT_HISTORY_TOKEN_BUDGET) => {
+    const kept = [];
+    let used = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(messages[i].text);
+        if (used + cost > budget) break;
+        kept.unshift(messages[i]);
+        used += cost;
+    }
+    return kept;
+};
+
+const buildChatPrompt = (history, question, context) => {
+    const sections = ["You are a friendly DSA assistant. Provide concise and helpful answers."];
+    if (context?.todayItem) {
+        const { topic, goal, what } = context.todayItem;
+        sections.push(`The user's study plan for today is "${topic}".${goal ? ` Goal: ${goal}` : ''}${what ? ` Task: ${what}` : ''}`);
+    }
+    if (context?.code?.trim()) {
+        const budget = CHAT_HISTORY_TOKEN_BUDGET * 4;
+        const code = context.code.length > budget ? `${context.code.slice(0, budget)}\n...` : context.code;
+        sections.push(`The user currently has this ${context.language || ''} code open in the compiler:\n\`\`\`\n${code}\n\`\`\``);
+    }
+    const transcript = trimHistoryToBudget(history).map(msg => `${msg.sender === 'user' ? 'User' : 'Assistant'}: ${msg.text}`).join('\n');
+    if (transcript) sections.push(`Conversation so far:\n${transcript}`);
+    sections.push(`User: ${question}\nAssistant:`);
+    return sections.join('\n\n');
+};
+
+const Chatbot = ({ user, context }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [threads, setThreads] = useState([]);
+    const [activeThreadId, setActiveThreadId] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [pendingReply, setPendingReply] = useState(null);
+    const [showThreads, setShowThreads] = useState(false);
+    const [editingThreadId, setEditingThreadId] = useState(null);
+    const [editingTitle, setEditingTitle] = useState('');
+    const [userInput, setUserInput] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const chatEndRef = useRef(null);
+    const abortRef = useRef(null);
+
+    const threadsPath = `artifacts/${appId}/users/${user.uid}/chatThreads`;
+
+    useEffect(() => { chatEndRef.current?.scrollIntoView({ behavior: "smooth" }); }, [messages, pendingReply]);
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    useEffect(() => {
+        const q = query(collection(db, threadsPath), orderBy("updatedAt", "desc"));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setThreads(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching chat threads:", err));
+        return () => unsubscribe();
+    }, [threadsPath]);
+
+    useEffect(() => {
+        if (!activeThreadId) { setMessages([]); return; }
+        const q = query(collection(db, `${threadsPath}/${activeThreadId}/messages`), orderBy("createdAt"));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setMessages(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching chat messages:", err));
+        return () => unsubscribe();
+    }, [threadsPath, activeThreadId]);
+
+    const saveMessage = async (threadId, sender, text) => {
+        const now = Date.now();
+        await addDoc(collection(db, `${threadsPath}/${threadId}/messages`), { sender, text, createdAt: now });
+        await updateDoc(doc(db, threadsPath, threadId), { updatedAt: now });
+    };
+
+    const handleSendMessage = async (e) => {
+        e.preventDefault();
+        if (!userInput.trim() || isLoading) return;
+        const currentInput = userInput;
+        const history = messages;
+        setUserInput('');
+        setIsLoading(true);
+        setPendingReply('');
+        let reply = '';
+        try {
+            let threadId = activeThreadId;
+            if (!threadId) {
+                const now = Date.now();
+                const threadRef = await addDoc(collection(db, threadsPath), { title: currentInput.slice(0, 40), createdAt: now, updatedAt: now });
+                threadId = threadRef.id;
+                setActiveThreadId(threadId);
+            }
+            await saveMessage(threadId, 'user', currentInput);
+
+            const prompt = buildChatPrompt(history, currentInput, context);
+            abortRef.current = new AbortController();
+            try {
+                await streamGeminiAPI(prompt, (token) => {
+                    reply += token;
+                    setPendingReply(reply);
+                }, { signal: abortRef.current.signal });
+            } catch (error) {
+                reply += `${reply ? '\n\n' : ''}Sorry, I ran into an error: ${error.message}`;
+            }
+            if (reply) await saveMessage(threadId, 'ai', reply);
+        } catch (error) {
+            console.error("Error saving chat message:", error);
+            setMessages(prev => [...prev, { id: `local-${Date.now()}`, sender: 'ai', text: `Sorry, I couldn't save this conversation: ${error.message}` }]);
+        } finally {
+            abortRef.current = null;
+            setPendingReply(null);
+            setIsLoading(false);
+        }
+    };
+
+    const handleStop = () => abortRef.current?.abort();
+
+    const handleNewChat = () => {
+        if (isLoading) return;
+        setActiveThreadId(null);
+        setShowThreads(false);
+    };
+
+    const handleSelectThread = (threadId) => {
+        if (isLoading) return;
+        setActiveThreadId(threadId);
+        setShowThreads(false);
+    };
+
+    const handleRenameThread = async (threadId) => {
+        const title = editingTitle.trim();
+        setEditingThreadId(null);
+        if (!title) return;
+        try {
+            await updateDoc(doc(db, threadsPath, threadId), { title });
+        } catch (e) {
+            console.error("Error renaming chat thread:", e);
+        }
+    };
+
+    const handleDeleteThread = async (threadId) => {
+        if (isLoading) return;
+        try {
+            const threadMessages = await getDocs(collection(db, `${threadsPath}/${threadId}/messages`));
+            const batch = writeBatch(db);
+            threadMessages.forEach(doc => batch.delete(doc.ref));
+            batch.delete(doc(db, threadsPath, threadId));
+            await batch.commit();
+            if (threadId === activeThreadId) setActiveThreadId(null);
+        } catch (e) {
+            console.error("Error deleting chat thread:", e);
+        }
+    };
+
+    const visibleMessages = [{ id: 'greeting', sender: 'ai', text: CHAT_GREETING }, ...messages];
+    const activeThread = threads.find(t => t.id === activeThreadId);
+
+    return (
+        <>
+            <button onClick={() => setIsOpen(!isOpen)} className="fixed bottom-6 right-6 bg-blue-600 text-white w-16 h-16 rounded-full shadow-lg flex items-center justify-center hover:bg-blue-700 transition-transform transform hover:scale-110 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 z-50" aria-label="Toggle Chatbot">
+                {isOpen ? <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" /></svg> : <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" /></svg>}
+            </button>
+            {isOpen && (
+                <div className="fixed bottom-24 right-6 w-80 h-[28rem] bg-white rounded-xl shadow-2xl flex flex-col z-40 transition-all duration-300 ease-in-out">
+                    <div className="bg-blue-600 text-white p-4 rounded-t-xl flex items-center justify-between">
+                        <div className="min-w-0">
+                            <h3 className="font-bold text-lg">✨ Rishu AI Assistant</h3>
+                            <p className="text-xs text-blue-100 truncate">{activeThread ? activeThread.title : 'New conversation'}</p>
+                        </div>
+                        <div className="flex space-x-1">
+                            <button onClick={handleNewChat} disabled={isLoading} className="px-2 py-1 rounded hover:bg-blue-700 disabled:opacity-50" title="New chat">＋</button>
+                            <button onClick={() => setShowThreads(!showThreads)} className="px-2 py-1 rounded hover:bg-blue-700" title="Conversations">☰</button>
+                        </div>
+                    </div>
+                    {showThreads ? (
+                        <div className="flex-1 p-2 overflow-y-auto">
+                            {threads.length === 0 && <p className="text-sm text-gray-500 text-center p-4">No saved conversations yet.</p>}
+                            {threads.map(thread => (
+                                <div key={thread.id} className={`flex items-center justify-between p-2 mb-1 rounded-lg ${thread.id === activeThreadId ? 'bg-blue-50' : 'hover:bg-gray-100'}`}>
+                                    {editingThreadId === thread.id ? (
+                                        <input autoFocus type="text" value={editingTitle} onChange={(e) => setEditingTitle(e.target.value)} onBlur={() => handleRenameThread(thread.id)} onKeyDown={(e) => { if (e.key === 'Enter') handleRenameThread(thread.id); if (e.key === 'Escape') setEditingThreadId(null); }} className="flex-1 p-1 text-sm border border-gray-300 rounded"/>
+                                    ) : (
+                                        <button onClick={() => handleSelectThread(thread.id)} className="flex-1 text-left text-sm text-gray-800 truncate">{thread.title || 'Untitled'}</button>
+                                    )}
+                                    <button onClick={() => { setEditingThreadId(thread.id); setEditingTitle(thread.title || ''); }} className="ml-2 text-xs text-gray-400 hover:text-blue-600">Rename</button>
+                                    <button onClick={() => handleDeleteThread(thread.id)} className="ml-2 text-xs text-gray-400 hover:text-red-600">Delete</button>
+                                </div>
+                            ))}
+                        </div>
+                    ) : (
+                        <div className="flex-1 p-4 overflow-y-auto">
+                            {visibleMessages.map(msg => <div key={msg.id} className={`flex mb-3 ${msg.sender === 'user' ? 'justify-end' : 'justify-start'}`}><div className={`px-4 py-2 rounded-lg max-w-xs break-words whitespace-pre-wrap ${msg.sender === 'user' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-800'}`}>{msg.text}</div></div>)}
+                            {pendingReply !== null && <div className="flex justify-start"><div className="px-4 py-2 rounded-lg max-w-xs break-words whitespace-pre-wrap bg-gray-200 text-gray-800">{pendingReply || 'Thinking...'}</div></div>}
+                            <div ref={chatEndRef} />
+                        </div>
+                    )}
+                    <form onSubmit={handleSendMessage} className="p-4 border-t border-gray-200">
+                        <div className="flex">
+                            <input type="text" value={userInput} onChange={(e) => setUserInput(e.target.value)} placeholder="Ask about a DSA topic..." className="flex-1 p-2 border border-gray-300 rounded-l-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500" disabled={isLoading}/>
+                            {isLoading ? (
+                                <button type="button" onClick={handleStop} className="bg-red-500 text-white px-4 rounded-r-md hover:bg-red-600">Stop</button>
+                            ) : (
+                                <button type="submit" className="bg-blue-600 text-white px-4 rounded-r-md hover:bg-blue-700">Send</button>
+                            )}
+                        </div>
+                    </form>
+                </div>
+            )}
+        </>
+    );
+};
+
+// --- Execution Backends ---
+const parseHeaderConfig = (raw) => {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        console.error("Invalid VITE_JUDGE0_HEADERS, expected a JSON object:", err);
+        return {};
+    }
+};
+
+const executionConfig = {
+    backend: import.meta.env.VITE_EXECUTION_BACKEND || 'judge0',
+    judge0Url: (import.meta.env.VITE_JUDGE0_URL || "https://ce.judge0.com").replace(/\/+$/, ''),
+    judge0Headers: {
+        ...(import.meta.env.VITE_JUDGE0_AUTH_TOKEN && { [import.meta.env.VITE_JUDGE0_AUTH_HEADER || 'X-Auth-Token']: import.meta.env.VITE_JUDGE0_AUTH_TOKEN }),
+        ...parseHeaderConfig(import.meta.env.VITE_JUDGE0_HEADERS),
+    },
+};
+
+const languageMap = {
+    54: "C++",
+    52: "C",
+    71: "Python",
+    63: "JavaScript"
+};
+
+// Judge0 status ids: 1 In Queue, 2 Processing, 3 Accepted, 4 Wrong Answer,
+// 5 Time Limit Exceeded, 6 Compilation Error, 7-12 Runtime Errors, 13 Internal Error, 14 Exec Format Error.
+// Every backend reports results in this shape so verdicts, diffs and history work the same everywhere.
+// Judge0 reports Accepted whenever a program without an expected output exits cleanly, so such
+// runs pass checked: false and get a neutral verdict instead.
+const getVerdict = (status, { checked = true } = {}) => {
+    const id = status?.id;
+    if (id === 3 && !checked) return { label: 'Ran', color: 'bg-gray-100 text-gray-800' };
+    if (id === 3) return { label: 'Accepted', color: 'bg-green-100 text-green-800' };
+    if (id === 4) return { label: 'Wrong Answer', color: 'bg-red-100 text-red-800' };
+    if (id === 5) return { label: 'Time Limit Exceeded', color: 'bg-yellow-100 text-yellow-800' };
+    if (id === 6) return { label: 'Compilation Error', color: 'bg-orange-100 text-orange-800' };
+    if (status.description?.includes('Memory Limit Exceeded')) return { label: 'Memory Limit Exceeded', color: 'bg-purple-100 text-purple-800' };
+    if (id >= 7 && id <= 12) return { label: 'Runtime Error', color: 'bg-purple-100 text-purple-800' };
+    if (id === 1 || id === 2) return { label: status.description, color: 'bg-blue-100 text-blue-800' };
+    return { label: status?.description || 'Unknown', color: 'bg-gray-100 text-gray-800' };
+};
+
+// Judge0 is used with base64 payloads so source, stdin and output survive any byte sequence.
+// Output that is not valid UTF-8 decodes with replacement characters instead of failing the request.
+const encodeBase64 = (text) => {
+    const bytes = new TextEncoder().encode(text || '');
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+};
+
+const decodeBase64 = (encoded) => {
+    if (!encoded) return encoded;
+    const binary = atob(encoded.replace(/\s/g, ''));
+    return new TextDecoder('utf-8').decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+const JUDGE0_FIELDS = 'token,stdout,stderr,compile_output,message,status,time,memory';
+const JUDGE0_BATCH_SIZE = 20;
+const JUDGE0_MAX_RATE_LIMIT_RETRIES = 4;
+const JUDGE0_POLL_TIMEOUT_MS = 120000;
+
+// Status ids 1 (In Queue) and 2 (Processing) mean Judge0 has not finished yet.
+const isPendingStatus = (status) => status?.id === 1 || status?.id === 2;
+
+const decodeJudge0Result = (result) => ({
+    ...result,
+    stdout: decodeBase64(result.stdout),
+    stderr: decodeBase64(result.stderr),
+    compile_output: decodeBase64(result.compile_output),
+    message: decodeBase64(result.message),
+});
+
+const toJudge0Submission = ({ code, languageId, stdin, expectedOutput, cpuTimeLimit, memoryLimit }) => {
+    const payload = { source_code: encodeBase64(code), language_id: languageId };
+    if (stdin) payload.stdin = encodeBase64(stdin);
+    if (expectedOutput) payload.expected_output = encodeBase64(expectedOutput);
+    if (cpuTimeLimit) payload.cpu_time_limit = cpuTimeLimit;
+    if (memoryLimit) payload.memory_limit = memoryLimit;
+    return payload;
+};
+
+// Sends one Judge0 request, waiting out 429 responses using Retry-After or exponential backoff.
+const judge0Request = async (method, path, data) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios({
+                method,
+                url: `${executionConfig.judge0Url}${path}`,
+                data,
+                headers: { "Content-Type": "application/json", ...executionConfig.judge0Headers },
+            });
+            return response.data;
+        } catch (err) {
+            if (err.response?.status !== 429 || attempt >= JUDGE0_MAX_RATE_LIMIT_RETRIES) throw err;
+            const retryAfter = Number(err.response.headers?.['retry-after']);
+            await waitFor(retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** attempt);
+        }
+    }
+};
+
+// Polls until no submission is pending, backing off from 500ms to 4s between requests.
+const pollJudge0 = async (tokens, onStatus) => {
+    const results = tokens.map(token => ({ token, status: { id: 1, description: 'In Queue' } }));
+    const deadline = Date.now() + JUDGE0_POLL_TIMEOUT_MS;
+    let delay = 500;
+    for (;;) {
+        const pendingIndexes = tokens.map((_, i) => i).filter(i => isPendingStatus(results[i].status));
+        if (pendingIndexes.length === 0) return results;
+        if (Date.now() > deadline) throw new Error(`Judge0 did not finish within ${JUDGE0_POLL_TIMEOUT_MS / 1000}s.`);
+        await waitFor(delay);
+        delay = Math.min(delay * 2, 4000);
+        const pendingTokens = pendingIndexes.map(i => tokens[i]).join(',');
+        const { submissions } = await judge0Request('get', `/submissions/batch?tokens=${pendingTokens}&base64_encoded=true&fields=${JUDGE0_FIELDS}`);
+        submissions.forEach((submission, j) => {
+            const index = pendingIndexes[j];
+            const previous = results[index];
+            results[index] = decodeJudge0Result(submission);
+            if (previous.status?.id !== submission.status?.id) onStatus?.(index, submission.status);
+        });
+    }
+};
+
+const runBatchOnJudge0 = async (submissions, { onStatus } = {}) => {
+    const results = [];
+    for (let start = 0; start < submissions.length; start += JUDGE0_BATCH_SIZE) {
+        const chunk = submissions.slice(start, start + JUDGE0_BATCH_SIZE);
+        const created = await judge0Request('post', '/submissions/batch?base64_encoded=true', { submissions: chunk.map(toJudge0Submission) });
+        // Batch creation reports per-item validation errors instead of tokens.
+        const invalid = created.findIndex(item => !item.token);
+        if (invalid !== -1) throw new Error(`Judge0 rejected submission ${start + invalid + 1}: ${JSON.stringify(created[invalid])}`);
+        chunk.forEach((_, i) => onStatus?.(start + i, { id: 1, description: 'In Queue' }));
+        const chunkResults = await pollJudge0(created.map(item => item.token), (i, status) => onStatus?.(start + i, status));
+        results.push(...chunkResults);
+    }
+    return results;
+};
+
+const runOnJudge0 = async (submission, { onStatus } = {}) => {
+    const [result] = await runBatchOnJudge0([submission], { onStatus: (_, status) => onStatus?.(status) });
+    return result;
+};
+
+// Turns a failed execution request into a message the user can act on.
+const describeExecutionError = (err) => {
+    const status = err.response?.status;
+    const detail = err.response?.data?.error || err.response?.data?.message;
+    if (status === 429) return 'Judge0 rate limit reached. Wait a moment and try again, or configure a self-hosted instance.';
+    if (status === 401 || status === 403) return 'Judge0 rejected the request. Check VITE_JUDGE0_AUTH_TOKEN and VITE_JUDGE0_HEADERS.';
+    if (status === 422) return `Judge0 rejected the submission: ${detail || JSON.stringify(err.response.data)}`;
+    if (status >= 500) return `Judge0 is unavailable (HTTP ${status}). Try again later.`;
+    if (err.request && !err.response) return `Could not reach Judge0 at ${executionConfig.judge0Url}.`;
+    return detail || err.message;
+};
+
+// Caps captured console output so a runaway print loop cannot exhaust the page's memory.
+const SANDBOX_OUTPUT_LIMIT = 1024 * 1024;
+const SANDBOX_MEMORY_POLL_MS = 250;
+
+// Body of the sandbox worker. It is serialised with toString(), so it must not reference anything outside itself.
+// User code gets its own console, process, require and timers, and self, globalThis and postMessage are
+// shadowed. Code that still reaches the real global cannot forge a result: results carry a nonce that only
+// this closure knows, and the host ignores messages without it.
+const sandboxWorkerMain = () => {
+    const send = self.postMessage.bind(self);
+    const nativeSetTimeout = self.setTimeout.bind(self);
+    const nativeSetInterval = self.setInterval.bind(self);
+    const nativeClearTimeout = self.clearTimeout.bind(self);
+    const nativeClearInterval = self.clearInterval.bind(self);
+    // performance.memory is only reported by Chromium; the host-side measurement covers the rest where it can.
+    const usedHeap = () => self.performance?.memory?.usedJSHeapSize;
+
+    ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches'].forEach(name => {
+        try { self[name] = undefined; } catch { /* not writable in this browser */ }
+    });
+
+    self.onmessage = ({ data }) => {
+        self.onmessage = null;
+        const { nonce, code, stdin, outputLimit, memoryLimitBytes } = data;
+        let stdout = '';
+        let stderr = '';
+        let runtimeError = null;
+        let memoryExceeded = false;
+        let finished = false;
+        const heapBaseline = usedHeap();
+        let peakHeap = heapBaseline;
+
+        const memoryLimitError = new RangeError('Memory limit exceeded');
+        const checkMemory = () => {
+            const heap = usedHeap();
+            if (heap === undefined) return;
+            peakHeap = Math.max(peakHeap, heap);
+            if (!memoryLimitBytes || heap - heapBaseline <= memoryLimitBytes) return;
+            // Flagged before throwing, so the verdict stands even if the user's code catches the error.
+            memoryExceeded = true;
+            throw memoryLimitError;
+        };
+
+        const write = (stream, text) => {
+            if (stdout.length + stderr.length + text.length > outputLimit) throw new RangeError('Output limit exceeded');
+            checkMemory();
+            if (stream === 'stdout') stdout += text;
+            else stderr += text;
+        };
+        const format = (args) => args.map(arg => {
+            if (typeof arg === 'string') return arg;
+            try { return JSON.stringify(arg) ?? String(arg); } catch { return String(arg); }
+        }).join(' ') + '\n';
+        const sandboxConsole = {
+            log: (...args) => write('stdout', format(args)),
+            info: (...args) => write('stdout', format(args)),
+            debug: (...args) => write('stdout', format(args)),
+            warn: (...args) => write('stderr', format(args)),
+            error: (...args) => write('stderr', format(args)),
+        };
+        const exitSignal = {};
+        const sandboxProcess = {
+            argv: ['node', 'script.js'],
+            env: {},
+            stdout: { write: (text) => write('stdout', String(text)) },
+            stderr: { write: (text) => write('stderr', String(text)) },
+            exit: () => { throw exitSignal; },
+        };
+        const sandboxRequire = (name) => {
+            if (name === 'fs' || name === 'node:fs') return { readFileSync: () => stdin };
+            throw new Error(`Cannot find module '${name}' (only 'fs' stdin reads are available in the browser sandbox)`);
+        };
+
+        // Functions built with new Function() report line numbers offset by their generated header.
+        let lineOffset = 0;
+        try { new Function('throw new Error()')(); } catch (probe) {
+            const match = probe.stack?.match(/(?:<anonymous>|Function):(\d+):\d+/);
+            if (match) lineOffset = Number(match[1]) - 1;
+        }
+        const describeError = (err) => {
+            const location = err?.stack?.match(/(?:<anonymous>|Function):(\d+):(\d+)/);
+            const summary = err instanceof Error ? `${err.name}: ${err.message}` : `Uncaught ${String(err)}`;
+            return location ? `script.js:${Number(location[1]) - lineOffset}:${location[2]}\n${summary}` : summary;
+        };
+
+        const startedAt = performance.now();
+        // Like Node, the program is finished once no timers are left; the host's time limit stops it otherwise.
+        const pendingTimers = new Map();
+        const report = (result) => {
+            if (finished) return;
+            finished = true;
+            pendingTimers.forEach((clear, id) => clear(id));
+            const memory = peakHeap !== undefined ? Math.round((peakHeap - heapBaseline) / 1024) : null;
+            send({ nonce, stdout, stderr, memory, time: (performance.now() - startedAt) / 1000, ...result });
+        };
+        const reportRun = () => report({ stderr: runtimeError ? `${stderr}${runtimeError}\n` : stderr, runtimeError, memoryExceeded });
+        // Zero-delay check, so promise callbacks queued by the last task run (and can add timers) first.
+        const reportWhenIdle = () => nativeSetTimeout(() => { if (pendingTimers.size === 0) reportRun(); }, 0);
+        const runTask = (task) => {
+            if (finished) return;
+            try {
+                task();
+                checkMemory();
+            } catch (err) {
+                if (err !== exitSignal && err !== memoryLimitError) runtimeError = describeError(err);
+                reportRun();
+                return;
+            }
+            if (memoryExceeded) reportRun();
+            else reportWhenIdle();
+        };
+        const schedule = (nativeSchedule, nativeClear, repeat) => (callback, delay, ...args) => {
+            if (typeof callback !== 'function') throw new TypeError('The "callback" argument must be of type function');
+            const id = nativeSchedule(() => {
+                if (!repeat) pendingTimers.delete(id);
+                runTask(() => callback(...args));
+            }, delay);
+            pendingTimers.set(id, nativeClear);
+            return id;
+        };
+        const clear = (id) => {
+            pendingTimers.get(id)?.(id);
+            pendingTimers.delete(id);
+            reportWhenIdle();
+        };
+        const sandboxSetTimeout = schedule(nativeSetTimeout, nativeClearTimeout, false);
+        const sandboxTimers = {
+            setTimeout: sandboxSetTimeout,
+            setInterval: schedule(nativeSetInterval, nativeClearInterval, true),
+            setImmediate: (callback, ...args) => sandboxSetTimeout(callback, 0, ...args),
+            clearTimeout: clear,
+            clearInterval: clear,
+            clearImmediate: clear,
+        };
+
+        const globals = { require: sandboxRequire, process: sandboxProcess, console: sandboxConsole, ...sandboxTimers, self: undefined, globalThis: undefined, postMessage: undefined };
+        let program;
+        try {
+            program = new Function(...Object.keys(globals), code);
+        } catch (err) {
+            report({ compileError: `${err.name}: ${err.message}`, time: 0 });
+            return;
+        }
+
+        self.onunhandledrejection = (event) => {
+            event.preventDefault();
+            runtimeError = runtimeError || describeError(event.reason);
+        };
+
+        // Node runs scripts with `this` set to module.exports, not the global object.
+        runTask(() => program.apply({}, Object.values(globals)));
+    };
+};
+
+const normalizeOutput = (text) => (text || '').replace(/\s+$/, '').split('\n').map(line => line.trimEnd()).join('\n');
+
+const runInBrowserSandbox = ({ code, stdin, expectedOutput, cpuTimeLimit, memoryLimit }) => new Promise((resolve) => {
+    const workerUrl = URL.createObjectURL(new Blob([`(${sandboxWorkerMain.toString()})();`], { type: 'text/javascript' }));
+    const worker = new Worker(workerUrl);
+    const nonce = crypto.randomUUID();
+    const timeLimit = cpuTimeLimit || 2;
+    const memoryLimitBytes = (memoryLimit || 0) * 1024;
+    const startedAt = performance.now();
+    let memoryPoll = null;
+    let isFinished = false;
+    const finish = (result) => {
+        if (isFinished) return;
+        isFinished = true;
+        clearTimeout(timer);
+        clearTimeout(memoryPoll);
+        worker.terminate();
+        URL.revokeObjectURL(workerUrl);
+        resolve(result);
+    };
+    const memoryLimitExceeded = (memory) => finish({
+        status: { id: 12, description: 'Runtime Error (Memory Limit Exceeded)' },
+        time: ((performance.now() - startedAt) / 1000).toFixed(3),
+        memory,
+        message: `Used more than ${memoryLimit} KB`,
+    });
+    const timer = setTimeout(() => finish({
+        status: { id: 5, description: 'Time Limit Exceeded' },
+        time: String(timeLimit),
+        message: `Stopped after ${timeLimit}s`,
+    }), timeLimit * 1000);
+
+    // The worker can only check its heap between tasks and on output. Where the page is cross-origin
+    // isolated, the host also measures the worker, which catches allocation loops that never yield.
+    if (memoryLimitBytes && window.crossOriginIsolated && performance.measureUserAgentSpecificMemory) {
+        const measure = async () => {
+            try {
+                const { breakdown } = await performance.measureUserAgentSpecificMemory();
+                const bytes = breakdown
+                    .filter(entry => entry.attribution.some(attribution => attribution.url === workerUrl))
+                    .reduce((sum, entry) => sum + entry.bytes, 0);
+                if (bytes > memoryLimitBytes) memoryLimitExceeded(Math.round(bytes / 1024));
+                else if (!isFinished) memoryPoll = setTimeout(measure, SANDBOX_MEMORY_POLL_MS);
+            } catch (err) {
+                console.error("Sandbox memory measurement failed:", err);
+            }
+        };
+        memoryPoll = setTimeout(measure, SANDBOX_MEMORY_POLL_MS);
+    }
+
+    worker.onmessage = ({ data }) => {
+        // Anything without the nonce was posted by the user's code, not by the sandbox.
+        if (data?.nonce !== nonce) return;
+        const result = { stdout: data.stdout, stderr: data.stderr || null, time: data.time.toFixed(3), memory: data.memory };
+        if (data.compileError) {
+            finish({ ...result, compile_output: data.compileError, status: { id: 6, description: 'Compilation Error' } });
+        } else if (data.memoryExceeded) {
+            memoryLimitExceeded(data.memory);
+        } else if (data.runtimeError) {
+            finish({ ...result, status: { id: 11, description: 'Runtime Error (NZEC)' } });
+        } else if (expectedOutput && normalizeOutput(data.stdout) !== normalizeOutput(expectedOutput)) {
+            finish({ ...result, status: { id: 4, description: 'Wrong Answer' } });
+        } else {
+            finish({ ...result, status: { id: 3, description: 'Accepted' } });
+        }
+    };
+    // Uncaught worker failures, including the browser killing it for running out of memory.
+    worker.onerror = (event) => {
+        event.preventDefault();
+        finish({ status: { id: 12, description: 'Runtime Error (Other)' }, stderr: event.message || 'The sandbox stopped unexpectedly (possibly out of memory).' });
+    };
+    worker.postMessage({ nonce, code, stdin: stdin || '', outputLimit: SANDBOX_OUTPUT_LIMIT, memoryLimitBytes });
+});
+
+// Runs submissions one after another for backends without a batch API.
+const runSequentially = (run) => async (submissions, { onStatus } = {}) => {
+    const results = [];
+    for (const [index, submission] of submissions.entries()) {
+        onStatus?.(index, { id: 2, description: 'Processing' });
+        const result = await run(submission);
+        onStatus?.(index, result.status);
+        results.push(result);
+    }
+    return results;
+};
+
+const executionBackends = {
+    judge0: { label: 'Judge0', languages: [54, 52, 71, 63], run: runOnJudge0, runBatch: runBatchOnJudge0 },
+    browser: { label: 'Browser sandbox', languages: [63], run: runInBrowserSandbox, runBatch: runSequentially(runInBrowserSandbox) },
+};
+
+const defaultBackendId = executionBackends[executionConfig.backend] ? executionConfig.backend : 'judge0';
+
+const backendSupportError = (backendId, languageId) => {
+    const backend = executionBackends[backendId];
+    if (backend.languages.includes(languageId)) return null;
+    return `${backend.label} cannot run ${languageMap[languageId]}. It supports: ${backend.languages.map(id => languageMap[id]).join(', ')}.`;
+};
+
+const resolveBackend = (backendId, languageId) => {
+    const backend = executionBackends[backendId];
+    if (!backend) throw new Error(`Unknown execution backend "${backendId}".`);
+    const unsupported = backendSupportError(backendId, languageId);
+    if (unsupported) throw new Error(unsupported);
+    return backend;
+};
+
+// onStatus receives each intermediate Judge0 status (In Queue, Processing) and the final one.
+const executeCode = async (backendId, submission, { onStatus } = {}) =>
+    resolveBackend(backendId, submission.languageId).run(submission, { onStatus });
+
+// Runs several inputs for the same code; onStatus is called with the submission index.
+const executeBatch = async (backendId, submissions, { onStatus } = {}) => {
+    if (submissions.length === 0) return [];
+    return resolveBackend(backendId, submissions[0].languageId).runBatch(submissions, { onStatus });
+};
+
+// Grades a problem against its hidden tests on Judge0 from the server (functions/index.js), whatever
+// backend the Compiler runs on, so students never receive the tests.
+const gradeSubmission = httpsCallable(functions, 'gradeSubmission');
+
+// Line-by-line comparison used to highlight where actual output departs from the expected output.
+const diffOutputLines = (expected, actual) => {
+    const expectedLines = (expected || '').replace(/\s+$/, '').split('\n');
+    const actualLines = (actual || '').replace(/\s+$/, '').split('\n');
+    const length = Math.max(expectedLines.length, actualLines.length);
+    return Array.from({ length }, (_, i) => ({
+        expected: expectedLines[i],
+        actual: actualLines[i],
+        match: (expectedLines[i] ?? '').trimEnd() === (actualLines[i] ?? '').trimEnd(),
+    }));
+};
+
+const TestCaseResult = ({ testCase, result }) => {
+    const verdict = getVerdict(result.status, { checked: !!testCase.expected });
+    const actual = result.stdout || '';
+    const errorOutput = result.compile_output || result.stderr || result.message;
+    return (
+        <div className="mt-2 text-sm">
+            <div className="flex items-center space-x-3">
+                <span className={`px-2 py-1 text-xs font-medium rounded-full ${verdict.color}`}>{verdict.label}</span>
+                {result.time != null && <span className="text-gray-500">{result.time}s</span>}
+                {result.memory != null && <span className="text-gray-500">{result.memory} KB</span>}
+            </div>
+            {verdict.label === 'Wrong Answer' && (
+                <table className="mt-2 w-full font-mono text-xs border border-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr><th className="p-1 text-left">Expected</th><th className="p-1 text-left">Actual</th></tr>
+                    </thead>
+                    <tbody>
+                        {diffOutputLines(testCase.expected, actual).map((line, i) => (
+                            <tr key={i} className={line.match ? '' : 'bg-red-50'}>
+                                <td className={`p-1 whitespace-pre ${line.match ? 'text-gray-700' : 'text-green-700'}`}>{line.expected ?? ''}</td>
+                                <td className={`p-1 whitespace-pre ${line.match ? 'text-gray-700' : 'text-red-700'}`}>{line.actual ?? ''}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {errorOutput && <pre className="mt-2 bg-gray-900 text-red-300 p-2 rounded text-xs overflow-x-auto">{errorOutput}</pre>}
+        </div>
+    );
+};
+
+// --- Code Editor ---
+const starterTemplates = {
+    54: `#include <bits/stdc++.h>
+using namespace std;
+int main() {
+    cout << "Hello, World!" << endl;
+    return 0;
+}`,
+    52: `#include <stdio.h>
+
+int main(void) {
+    printf("Hello, World!\\n");
+    return 0;
+}`,
+    71: `def main():
+    print("Hello, World!")
+
+
+if __name__ == "__main__":
+    main()`,
+    63: `const lines = require("fs").readFileSync(0, "utf8").split("\\n");
+
+console.log("Hello, World!");`,
+};
+
+const editorLanguages = { 54: cpp, 52: cpp, 71: python, 63: javascript };
+
+// Turns Judge0 compile_output / stderr into editor diagnostics: [{ line, column, message, severity }].
+const parseCompilerDiagnostics = (output, languageId) => {
+    if (!output) return [];
+    if (languageId === 54 || languageId === 52) {
+        return [...output.matchAll(/^[^:\n]+:(\d+):(\d+):\s*(fatal error|error|warning):\s*(.*)$/gm)].map(match => ({
+            line: Number(match[1]),
+            column: Number(match[2]),
+            severity: match[3] === 'warning' ? 'warning' : 'error',
+            message: match[4],
+        }));
+    }
+    const lines = output.trim().split('\n');
+    const message = lines[lines.length - 1];
+    if (languageId === 71) {
+        const frames = [...output.matchAll(/File "[^"]*", line (\d+)/g)];
+        return frames.length ? [{ line: Number(frames[frames.length - 1][1]), column: 1, severity: 'error', message }] : [];
+    }
+    if (languageId === 63) {
+        const location = output.match(/\.js:(\d+)(?::(\d+))?/);
+        const errorLine = lines.find(line => /^\w*Error\b/.test(line)) || message;
+        return location ? [{ line: Number(location[1]), column: Number(location[2]) || 1, severity: 'error', message: errorLine }] : [];
+    }
+    return [];
+};
+
+const CodeEditor = ({ value, onChange, languageId, diagnostics }) => {
+    const containerRef = useRef(null);
+    const viewRef = useRef(null);
+    const languageCompartment = useRef(new Compartment());
+    // Read by the editor's listeners, which are registered once.
+    const latestRef = useRef({ value, onChange, languageId });
+    latestRef.current = { value, onChange, languageId };
+
+    useEffect(() => {
+        const view = new EditorView({
+            parent: containerRef.current,
+            state: EditorState.create({
+                doc: latestRef.current.value,
+                extensions: [
+                    basicSetup,
+                    oneDark,
+                    lintGutter(),
+                    languageCompartment.current.of(editorLanguages[latestRef.current.languageId]()),
+                    EditorView.updateListener.of(update => {
+                        // Skip changes that only mirror a new `value` prop.
+                        const text = update.state.doc.toString();
+                        if (update.docChanged && text !== latestRef.current.value) latestRef.current.onChange(text);
+                    }),
+                    EditorView.theme({ '&': { height: '100%', minHeight: '18rem' }, '.cm-scroller': { overflow: 'auto' } }),
+                ],
+            }),
+        });
+        viewRef.current = view;
+        return () => view.destroy();
+    }, []);
+
+    useEffect(() => {
+        const view = viewRef.current;
+        if (view && view.state.doc.toString() !== value) {
+            view.dispatch({ changes: { from: 0, to: view.state.doc.length, insert: value } });
+        }
+    }, [value]);
+
+    useEffect(() => {
+        viewRef.current?.dispatch({ effects: languageCompartment.current.reconfigure(editorLanguages[languageId]()) });
+    }, [languageId]);
+
+    useEffect(() => {
+        const view = viewRef.current;
+        if (!view) return;
+        const doc = view.state.doc;
+        const mapped = (diagnostics || []).filter(d => d.line >= 1 && d.line <= doc.lines).map(d => {
+            const line = doc.line(d.line);
+            const from = Math.min(line.from + Math.max(0, d.column - 1), line.to);
+            return { from, to: line.to, severity: d.severity, message: d.message };
+        });
+        view.dispatch(setLintDiagnostics(view.state, mapped));
+    }, [diagnostics]);
+
+    return <div ref={containerRef} className="w-full flex-grow rounded-lg overflow-hidden border border-gray-700 text-sm"/>;
+};
+
+// --- Submission History ---
+// Line diff based on the longest common subsequence. Returns side-by-side rows of
+// { left, right, type } where type is 'same', 'removed', 'added' or 'changed'.
+const diffSourceLines = (oldText, newText) => {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const rows = [];
+    let i = 0, j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            rows.push({ left: a[i++], right: b[j++], type: 'same' });
+        } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            rows.push({ left: null, right: b[j++], type: 'added' });
+        } else {
+            rows.push({ left: a[i++], right: null, type: 'removed' });
+        }
+    }
+    // Pair a removal directly followed by an addition into one changed row.
+    const merged = [];
+    rows.forEach(row => {
+        const last = merged[merged.length - 1];
+        if (row.type === 'added' && last?.type === 'removed' && last.right === null) {
+            merged[merged.length - 1] = { left: last.left, right: row.right, type: 'changed' };
+        } else {
+            merged.push(row);
+        }
+    });
+    return merged;
+};
+
+const diffRowStyles = {
+    same: ['', ''],
+    removed: ['bg-red-900/40', ''],
+    added: ['', 'bg-green-900/40'],
+    changed: ['bg-red-900/40', 'bg-green-900/40'],
+};
+
+const SourceDiff = ({ left, right }) => (
+    <div className="mt-3 overflow-x-auto">
+        <div className="grid grid-cols-2 gap-2 text-xs text-gray-500 mb-1">
+            <span>{new Date(left.createdAt).toLocaleString()} · {languageMap[left.languageId]}</span>
+            <span>{new Date(right.createdAt).toLocaleString()} · {languageMap[right.languageId]}</span>
+        </div>
+        <table className="w-full font-mono text-xs bg-gray-900 text-gray-100 rounded">
+            <tbody>
+                {diffSourceLines(left.source, right.source).map((row, i) => (
+                    <tr key={i}>
+                        <td className={`px-2 whitespace-pre w-1/2 align-top ${diffRowStyles[row.type][0]}`}>{row.left ?? ''}</td>
+                        <td className={`px-2 whitespace-pre w-1/2 align-top ${diffRowStyles[row.type][1]}`}>{row.right ?? ''}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </div>
+);
+
+const SubmissionHistory = ({ user, onRestore }) => {
+    const [submissions, setSubmissions] = useState([]);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [expandedId, setExpandedId] = useState(null);
+
+    useEffect(() => {
+        const q = query(collection(db, `artifacts/${appId}/users/${user.uid}/submissions`), orderBy("createdAt", "desc"), limit(50));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setSubmissions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching submissions:", err));
+        return () => unsubscribe();
+    }, [user]);
+
+    // Keeps at most two selections; the older one is shown on the left.
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2));
+    };
+
+    const selected = submissions.filter(s => selectedIds.includes(s.id)).sort((a, b) => a.createdAt - b.createdAt);
+
+    if (submissions.length === 0) return <p className="text-sm text-gray-500 mt-2">No runs yet. Every run is saved here.</p>;
+
+    return (
+        <div className="mt-2">
+            <p className="text-xs text-gray-500 mb-2">Select two runs to compare them side by side.</p>
+            <div className="max-h-72 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-200">
+                {submissions.map(submission => {
+                    const verdict = getVerdict(submission.status, { checked: submission.checked !== false });
+                    return (
+                        <div key={submission.id} className="p-2 text-sm">
+                            <div className="flex items-center space-x-3">
+                                <input type="checkbox" checked={selectedIds.includes(submission.id)} onChange={() => toggleSelected(submission.id)} className="h-4 w-4"/>
+                                <button onClick={() => setExpandedId(expandedId === submission.id ? null : submission.id)} className="flex-1 text-left text-gray-700">
+                                    {new Date(submission.createdAt).toLocaleString()} · {languageMap[submission.languageId]} · {submission.kind}
+                                </button>
+                                <span className={`px-2 py-1 text-xs font-medium rounded-full ${verdict.color}`}>{verdict.label}</span>
+                                {submission.time != null && <span className="text-xs text-gray-500">{submission.time}s</span>}
+                                {submission.memory != null && <span className="text-xs text-gray-500">{submission.memory} KB</span>}
+                                <button onClick={() => onRestore(submission)} className="text-xs text-blue-600 hover:underline">Restore</button>
+                            </div>
+                            {expandedId === submission.id && (
+                                <div className="mt-2 grid grid-cols-2 gap-2 text-xs font-mono">
+                                    <pre className="bg-gray-100 p-2 rounded overflow-x-auto">{submission.stdin || '(no input)'}</pre>
+                                    <pre className="bg-gray-100 p-2 rounded overflow-x-auto">{submission.output || '(no output)'}</pre>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+            {selected.length === 2 && <SourceDiff left={selected[0]} right={selected[1]} />}
+        </div>
+    );
+};
+
+// --- Complexity Analyzer ---
+const complexityClasses = [
+    { label: 'O(1)', f: () => 1 },
+    { label: 'O(log n)', f: n => Math.log2(n) },
+    { label: 'O(n)', f: n => n },
+    { label: 'O(n log n)', f: n => n * Math.log2(n) },
+    { label: 'O(n^2)', f: n => n ** 2 },
+    { label: 'O(n^3)', f: n => n ** 3 },
+    { label: 'O(2^n)', f: n => 2 ** n },
+];
+
+const defaultInputGenerator = `// Runs in the browser sandbox. Read the size n from stdin and print one input for your program.
+const n = Number(require("fs").readFileSync(0, "utf8"));
+const values = Array.from({ length: n }, () => Math.floor(Math.random() * 1e9));
+console.log(n);
+console.log(values.join(" "));`;
+
+// Least-squares fit of y = a + b * f(n) with b >= 0; a negative slope falls back to a constant fit.
+const fitComplexityClass = (points, f) => {
+    const xs = points.map(point => f(point.n));
+    if (!xs.every(Number.isFinite)) return null;
+    const ys = points.map(point => point.y);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    const sxy = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+    const slope = sxx > 0 ? Math.max(0, sxy / sxx) : 0;
+    const intercept = meanY - slope * meanX;
+    const residual = ys.reduce((sum, y, i) => sum + (y - (intercept + slope * xs[i])) ** 2, 0);
+    return { intercept, slope, residual };
+};
+
+// Picks the class with the smallest residual, preferring the simpler class when two fit about equally well,
+// so that measurement noise does not promote O(n) to O(n log n).
+const fitComplexity = (points) => {
+    if (points.length < 3) return null;
+    const fits = complexityClasses
+        .map(complexity => ({ ...complexity, fit: fitComplexityClass(points, complexity.f) }))
+        .filter(candidate => candidate.fit);
+    const best = Math.min(...fits.map(candidate => candidate.fit.residual));
+    const tolerance = best * 1.1 + 1e-12;
+    const chosen = fits.find(candidate => candidate.fit.residual <= tolerance);
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    const total = points.reduce((sum, point) => sum + (point.y - meanY) ** 2, 0);
+    return {
+        label: chosen.label,
+        predict: (n) => chosen.fit.intercept + chosen.fit.slope * chosen.f(n),
+        rSquared: total > 0 ? 1 - chosen.fit.residual / total : 1,
+    };
+};
+
+// Maps notations such as "O(N lg N)" or "O(n²)" onto the labels used by complexityClasses.
+const normalizeComplexity = (text) => (text || '').toLowerCase()
+    .replace(/²/g, '^2').replace(/³/g, '^3')
+    .replace(/\s|\*|·|×/g, '')
+    .replace(/log\(n\)|lgn|log2n|log_2n/g, 'logn')
+    .replace(/\^\{?(\d+|n)\}?/g, '^$1')
+    .replace(/n\^1(?!\d)/g, 'n');
+
+const complexityClaimSchema = { type: "OBJECT", properties: { time: { type: "STRING" }, space: { type: "STRING" }, reasoning: { type: "STRING" } }, required: ["time", "space", "reasoning"] };
+
+const ComplexityChart = ({ points, fit, unit }) => {
+    const width = 420;
+    const height = 200;
+    const pad = 36;
+    const maxN = Math.max(...points.map(point => point.n));
+    const minN = Math.min(...points.map(point => point.n));
+    const curve = fit ? Array.from({ length: 50 }, (_, i) => {
+        const n = minN + ((maxN - minN) * i) / 49;
+        return { n, y: Math.max(0, fit.predict(n)) };
+    }) : [];
+    const maxY = Math.max(...points.map(point => point.y), ...curve.map(point => point.y)) || 1;
+    const x = (n) => pad + ((n - minN) / (maxN - minN || 1)) * (width - 2 * pad);
+    const y = (value) => height - pad - (value / maxY) * (height - 2 * pad);
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full max-w-lg bg-white border border-gray-200 rounded">
+            <line x1={pad} y1={height - pad} x2={width - pad} y2={height - pad} stroke="#9ca3af" />
+            <line x1={pad} y1={pad} x2={pad} y2={height - pad} stroke="#9ca3af" />
+            <text x={pad} y={height - pad + 16} fontSize="10" fill="#6b7280">n = {minN}</text>
+            <text x={width - pad} y={height - pad + 16} fontSize="10" fill="#6b7280" textAnchor="end">n = {maxN}</text>
+            <text x={pad - 4} y={pad - 8} fontSize="10" fill="#6b7280">{maxY.toPrecision(3)} {unit}</text>
+            {curve.length > 0 && (
+                <polyline fill="none" stroke="#2563eb" strokeWidth="2" points={curve.map(point => `${x(point.n)},${y(point.y)}`).join(' ')} />
+            )}
+            {points.map(point => <circle key={point.n} cx={x(point.n)} cy={y(point.y)} r="4" fill="#dc2626" />)}
+        </svg>
+    );
+};
+
+const ComplexityAnalyzer = ({ code, languageId, backendId, cpuTimeLimit, memoryLimit }) => {
+    const [generator, setGenerator] = useState(defaultInputGenerator);
+    const [sizesText, setSizesText] = useState('1000, 2000, 4000, 8000, 16000, 32000');
+    const [measurements, setMeasurements] = useState([]);
+    const [timeFit, setTimeFit] = useState(null);
+    const [memoryFit, setMemoryFit] = useState(null);
+    const [aiClaim, setAiClaim] = useState(null);
+    const [progress, setProgress] = useState('');
+    const [notice, setNotice] = useState('');
+    const [error, setError] = useState('');
+    const [isMeasuring, setIsMeasuring] = useState(false);
+    const runRef = useRef(0);
+
+    const measure = async () => {
+        const sizes = [...new Set(sizesText.split(/[\s,]+/).map(Number).filter(n => Number.isInteger(n) && n > 0))].sort((a, b) => a - b);
+        if (sizes.length < 3) {
+            setError('Enter at least three different positive input sizes.');
+            return;
+        }
+        setIsMeasuring(true);
+        setError('');
+        setNotice('');
+        setMeasurements([]);
+        setTimeFit(null);
+        setMemoryFit(null);
+        setAiClaim(null);
+
+        // The AI estimate arrives independently; a newer measurement discards an older estimate.
+        const run = ++runRef.current;
+        const languageName = languageMap[languageId];
+        callGeminiAPI(
+            `State the worst-case time and space complexity of the following ${languageName} program in Big-O notation using n for the input size, with a one-sentence reason.\n\n\`\`\`${languageName}\n${code}\n\`\`\``,
+            true,
+            complexityClaimSchema
+        ).then(JSON.parse)
+            .catch(err => ({ error: err.message }))
+            .then(claim => { if (runRef.current === run) setAiClaim(claim); });
+
+        try {
+            const inputs = [];
+            for (const n of sizes) {
+                setProgress(`Generating input for n = ${n}...`);
+                const generated = await runInBrowserSandbox({ code: generator, stdin: String(n), cpuTimeLimit: 10 });
+                if (generated.status?.id !== 3) {
+                    throw new Error(`Input generator failed for n = ${n}: ${generated.compile_output || generated.stderr || generated.message || generated.status?.description}`);
+                }
+                inputs.push(generated.stdout);
+            }
+
+            setProgress('Running your program...');
+            const results = await executeBatch(
+                backendId,
+                inputs.map(stdin => ({ code, languageId, stdin, cpuTimeLimit, memoryLimit })),
+                { onStatus: (index, status) => setProgress(`n = ${sizes[index]}: ${status.description}`) }
+            );
+
+            // Sizes after the first failure (usually a time limit) are left out of the fit.
+            const failedAt = results.findIndex(result => result.status?.id !== 3);
+            const usable = (failedAt === -1 ? results : results.slice(0, failedAt)).map((result, i) => ({
+                n: sizes[i],
+                time: Number(result.time),
+                memory: result.memory ?? null,
+            }));
+            if (failedAt !== -1) {
+                setNotice(`Stopped at n = ${sizes[failedAt]}: ${getVerdict(results[failedAt].status).label}. Larger sizes were not measured.`);
+            }
+            setMeasurements(usable);
+            if (usable.length < 3) {
+                setError('Fewer than three sizes ran successfully, so no complexity could be fitted.');
+            } else {
+                setTimeFit(fitComplexity(usable.map(point => ({ n: point.n, y: point.time }))));
+                if (usable.every(point => typeof point.memory === 'number')) {
+                    setMemoryFit(fitComplexity(usable.map(point => ({ n: point.n, y: point.memory }))));
+                }
+                if (Math.max(...usable.map(point => point.time)) < 0.05) {
+                    setNotice(prev => `${prev ? `${prev} ` : ''}All runs finished in under 50 ms, which is close to timer resolution. Try larger sizes for a reliable fit.`);
+                }
+            }
+        } catch (err) {
+            console.error("Complexity measurement failed:", err);
+            setError(err.response ? describeExecutionError(err) : err.message);
+        } finally {
+            setProgress('');
+            setIsMeasuring(false);
+        }
+    };
+
+    const comparison = (claimed, measured) => {
+        if (!claimed || !measured) return null;
+        return normalizeComplexity(claimed) === normalizeComplexity(measured.label)
+            ? <span className="text-green-600">matches</span>
+            : <span className="text-orange-600">differs</span>;
+    };
+
+    return (
+        <div className="mt-3 p-4 border border-gray-200 rounded-lg space-y-3">
+            <p className="text-sm text-gray-600">Your program runs once per input size on the selected backend. The generator below is JavaScript that receives n on stdin and prints the matching input.</p>
+            <textarea rows={6} value={generator} onChange={(e) => setGenerator(e.target.value)} className="w-full p-2 font-mono text-sm border border-gray-300 rounded-md" />
+            <div className="flex items-center space-x-3">
+                <label className="text-sm text-gray-600 flex-grow">Input sizes
+                    <input type="text" value={sizesText} onChange={(e) => setSizesText(e.target.value)} className="ml-2 w-2/3 p-1 border border-gray-300 rounded-md" />
+                </label>
+                <button onClick={measure} disabled={isMeasuring} className="px-4 py-2 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 disabled:opacity-50">
+                    {isMeasuring ? 'Measuring...' : 'Measure'}
+                </button>
+            </div>
+            {progress && <p className="text-sm text-gray-500">{progress}</p>}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            {notice && <p className="text-sm text-yellow-700">{notice}</p>}
+            {measurements.length > 0 && (
+                <table className="w-full text-sm border border-gray-200">
+                    <thead className="bg-gray-50"><tr><th className="p-1 text-left">n</th><th className="p-1 text-left">Time (s)</th><th className="p-1 text-left">Memory (KB)</th></tr></thead>
+                    <tbody>
+                        {measurements.map(point => (
+                            <tr key={point.n}><td className="p-1">{point.n}</td><td className="p-1">{point.time}</td><td className="p-1">{point.memory ?? '—'}</td></tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {timeFit && (
+                <>
+                    <ComplexityChart points={measurements.map(point => ({ n: point.n, y: point.time }))} fit={timeFit} unit="s" />
+                    <div className="grid grid-cols-2 gap-3 text-sm">
+                        <div className="p-3 bg-gray-50 rounded">
+                            <h4 className="font-semibold text-gray-700">Measured</h4>
+                            <p>Time: <span className="font-mono">{timeFit.label}</span> (R² {timeFit.rSquared.toFixed(3)})</p>
+                            {memoryFit && <p>Memory: <span className="font-mono">{memoryFit.label}</span> (R² {memoryFit.rSquared.toFixed(3)})</p>}
+                        </div>
+                        <div className="p-3 bg-purple-50 rounded">
+                            <h4 className="font-semibold text-gray-700">AI claim</h4>
+                            {!aiClaim && <p className="text-gray-500">Waiting for the AI...</p>}
+                            {aiClaim?.error && <p className="text-red-600">Could not get the AI's estimate: {aiClaim.error}</p>}
+                            {aiClaim && !aiClaim.error && (
+                                <>
+                                    <p>Time: <span className="font-mono">{aiClaim.time}</span> {comparison(aiClaim.time, timeFit)}</p>
+                                    <p>Space: <span className="font-mono">{aiClaim.space}</span> {comparison(aiClaim.space, memoryFit)}</p>
+                                    <p className="mt-1 text-gray-600">{aiClaim.reasoning}</p>
+                                </>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Statement, constraints and sample tests for the problem currently open in the Compiler.
+const ProblemStatement = ({ problem, solvedRecord, onClose }) => (
+  <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+    <div className="flex items-start justify-between">
+      <div>
+        <h3 className="text-xl font-bold text-gray-800">{problem.title}</h3>
+        <div className="flex items-center space-x-2 mt-1">
+          {problem.difficulty && <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800">{problem.difficulty}</span>}
+          {solvedRecord && (solvedRecord.hintLevel > 0
+            ? <span className="px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">✓ Solved with hints (level {solvedRecord.hintLevel})</span>
+            : <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800">✓ Solved unaided</span>)}
+        </div>
+      </div>
+      <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">Close problem</button>
+    </div>
+    <p className="text-gray-700 text-sm mt-3 whitespace-pre-wrap">{problem.statement}</p>
+    {problem.constraints && (
+      <div className="mt-3">
+        <h4 className="font-semibold text-gray-700 text-sm">Constraints:</h4>
+        <p className="text-gray-600 text-sm whitespace-pre-wrap">{problem.constraints}</p>
+      </div>
+    )}
+    {problem.sampleTests?.map((test, i) => (
+      <div key={i} className="mt-3 grid grid-cols-2 gap-3 text-xs font-mono">
+        <div><span className="font-sans font-semibold text-gray-700">Sample input {i + 1}</span><pre className="bg-white p-2 rounded border border-gray-200 overflow-x-auto">{test.input}</pre></div>
+        <div><span className="font-sans font-semibold text-gray-700">Sample output {i + 1}</span><pre className="bg-white p-2 rounded border border-gray-200 overflow-x-auto">{test.expected}</pre></div>
+      </div>
+    ))}
+  </div>
+);
+
+const Compiler = ({ user, problem, onCloseProblem, onContextChange }) => {
+  const [languageId, setLanguageId] = useState(54); // default: C++ (GCC 9.2.0)
+  // Edited code per language. Languages without an entry show their draft-free default below.
+  // The Compiler is keyed by problem id, so opening a problem starts from its starter code and samples.
+  const [codeByLanguage, setCodeByLanguage] = useState({});
+  const [draftsLoaded, setDraftsLoaded] = useState(false);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const code = codeByLanguage[languageId] ?? (problem?.starterCode?.[languageId] || starterTemplates[languageId]);
+  const setCode = (value) => setCodeByLanguage(prev => ({ ...prev, [languageId]: value }));
+  const draftScope = problem ? `problem-${problem.id}` : 'scratch';
+  const [output, setOutput] = useState("");
+  const [isRunning, setIsRunning] = useState(false);
+  const [testCases, setTestCases] = useState(() => problem?.sampleTests?.length
+    ? problem.sampleTests.map((test, i) => ({ id: i + 1, input: test.input, expected: test.expected }))
+    : [{ id: 1, input: '', expected: '' }]);
+  const [testResults, setTestResults] = useState({});
+  const [isTesting, setIsTesting] = useState(false);
+  const [cpuTimeLimit, setCpuTimeLimit] = useState(2);
+  const [memoryLimit, setMemoryLimit] = useState(128000);
+  const [backendId, setBackendId] = useState(defaultBackendId);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitResult, setSubmitResult] = useState(null);
+  const [submitProgress, setSubmitProgress] = useState('');
+  const [solvedRecord, setSolvedRecord] = useState(null);
+  const [showHints, setShowHints] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showComplexity, setShowComplexity] = useState(false);
+  const [explanation, setExplanation] = useState('');
+  const [isExplainLoading, setIsExplainLoading] = useState(false);
+  const explainAbortRef = useRef(null);
+
+  useEffect(() => () => explainAbortRef.current?.abort(), []);
+
+  useEffect(() => {
+    if (!user || !problem) { setSolvedRecord(null); return; }
+    const unsubscribe = onSnapshot(doc(db, `artifacts/${appId}/users/${user.uid}/solvedProblems`, problem.id), (snapshot) => {
+      setSolvedRecord(snapshot.exists() ? snapshot.data() : null);
+    }, (err) => console.error("Error fetching solved status:", err));
+    return () => unsubscribe();
+  }, [user, problem]);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    const q = query(collection(db, `artifacts/${appId}/users/${user.uid}/drafts`), where("scope", "==", draftScope));
+    getDocs(q).then(snapshot => {
+      if (cancelled) return;
+      const drafts = {};
+      snapshot.forEach(doc => { drafts[doc.data().languageId] = doc.data().code; });
+      // Anything typed before the drafts arrived wins over the stored draft.
+      setCodeByLanguage(prev => ({ ...drafts, ...prev }));
+    }).catch(err => console.error("Error loading drafts:", err))
+      .finally(() => { if (!cancelled) setDraftsLoaded(true); });
+    return () => { cancelled = true; };
+  }, [user, draftScope]);
+
+  const editedCode = codeByLanguage[languageId];
+  useEffect(() => {
+    if (!user || !draftsLoaded || editedCode === undefined) return;
+    const timer = setTimeout(() => {
+      setDoc(doc(db, `artifacts/${appId}/users/${user.uid}/drafts`, `${draftScope}-${languageId}`), {
+        scope: draftScope,
+        languageId,
+        code: editedCode,
+        updatedAt: Date.now()
+      }).catch(err => console.error("Error saving draft:", err));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [user, draftsLoaded, draftScope, languageId, editedCode]);
+
+  // Every run is kept so users can review how a solution evolved.
+  // checked is false when there was no expected output to compare against.
+  const recordSubmission = (kind, { stdin = '', data, output, checked = false }) => {
+    if (!user) return;
+    addDoc(collection(db, `artifacts/${appId}/users/${user.uid}/submissions`), {
+      kind,
+      languageId,
+      source: code,
+      stdin,
+      output: output ?? (data?.stdout || data?.stderr || data?.compile_output || data?.message || ''),
+      status: data?.status || null,
+      time: data?.time ?? null,
+      memory: data?.memory ?? null,
+      checked,
+      problemId: problem?.id || null,
+      backend: backendId,
+      createdAt: Date.now()
+    }).catch(err => console.error("Error saving submission:", err));
+  };
+
+  const restoreSubmission = (submission) => {
+    setLanguageId(submission.languageId);
+    setCodeByLanguage(prev => ({ ...prev, [submission.languageId]: submission.source }));
+    setDiagnostics([]);
+  };
+
+  const selectLanguage = (id) => {
+    setLanguageId(id);
+    setDiagnostics([]);
+  };
+
+  const resetToTemplate = () => {
+    setCode(problem?.starterCode?.[languageId] || starterTemplates[languageId]);
+    setDiagnostics([]);
+  };
+
+  const handleExplainCode = async () => {
+    setIsExplainLoading(true);
+    setExplanation('');
+    try {
+        const languageName = languageMap[languageId];
         const prompt = `Explain the following ${languageName} code line by line, identify potential bugs, and suggest improvements:\n\n\`\`\`${languageName}\n${code}\n\`\`\``;
-        const response = await callGeminiAPI(prompt);
-        setExplanation(response);
+        explainAbortRef.current = new AbortController();
+        await streamGeminiAPI(prompt, (token) => setExplanation(prev => prev + token), { signal: explainAbortRef.current.signal });
     } catch (error) {
-        setExplanation(`Error fetching explanation: ${error.message}`);
+        setExplanation(prev => `${prev}${prev ? '\n\n' : ''}Error fetching explanation: ${error.message}`);
     } finally {
+        explainAbortRef.current = null;
         setIsExplainLoading(false);
     }
-  };
+  };
+
+  const stopExplanation = () => explainAbortRef.current?.abort();
+
+  const currentLanguageName = languageMap[languageId];
+  const unsupportedLanguage = backendSupportError(backendId, languageId);
+  useEffect(() => {
+    onContextChange?.({ code, language: currentLanguageName });
+  }, [code, currentLanguageName, onContextChange]);
+
+  const runCode = async () => {
+    setIsRunning(true);
+    setOutput("Running...");
+
+    try {
+      const data = await executeCode(backendId, { code, languageId, cpuTimeLimit, memoryLimit }, {
+        onStatus: (status) => { if (isPendingStatus(status)) setOutput(`${status.description}...`); }
+      });
+
+      const result =
+        data.stdout || data.stderr || data.compile_output || "No output";
+      setOutput(result);
+      setDiagnostics(parseCompilerDiagnostics(data.compile_output || data.stderr, languageId));
+      recordSubmission('run', { data });
+    } catch (err) {
+      console.error("Execution Error:", err.response?.data || err.message);
+      setOutput("Error: " + describeExecutionError(err));
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const addTestCase = () => {
+    setTestCases(prev => [...prev, { id: Math.max(0, ...prev.map(tc => tc.id)) + 1, input: '', expected: '' }]);
+  };
+
+  const updateTestCase = (id, field, value) => {
+    setTestCases(prev => prev.map(tc => tc.id === id ? { ...tc, [field]: value } : tc));
+  };
+
+  const removeTestCase = (id) => {
+    setTestCases(prev => prev.filter(tc => tc.id !== id));
+    setTestResults(prev => { const next = { ...prev }; delete next[id]; return next; });
+  };
+
+  const runTestCases = async () => {
+    setIsTesting(true);
+    setTestResults({});
+    const cases = [...testCases];
+    try {
+      const results = await executeBatch(
+        backendId,
+        cases.map(testCase => ({ code, languageId, stdin: testCase.input, expectedOutput: testCase.expected, cpuTimeLimit, memoryLimit })),
+        { onStatus: (index, status) => { if (isPendingStatus(status)) setTestResults(prev => ({ ...prev, [cases[index].id]: { status } })); } }
+      );
+      results.forEach((data, index) => {
+        setTestResults(prev => ({ ...prev, [cases[index].id]: data }));
+        recordSubmission('test', { stdin: cases[index].input, data, checked: !!cases[index].expected });
+      });
+      const compileOutput = results.find(data => data.compile_output)?.compile_output;
+      if (compileOutput) setDiagnostics(parseCompilerDiagnostics(compileOutput, languageId));
+    } catch (err) {
+      console.error("Execution Error:", err.response?.data || err.message);
+      const failure = { status: { id: 0, description: 'Error' }, message: describeExecutionError(err) };
+      setTestResults(Object.fromEntries(cases.map(testCase => [testCase.id, failure])));
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  // Cases without an expected output only run, so they count towards neither side.
+  const checkedCases = testCases.filter(testCase => testCase.expected);
+  const passedCount = checkedCases.filter(testCase => testResults[testCase.id]?.status?.id === 3).length;
+
+  // Hidden tests run on the server through the gradeSubmission function, which also records the
+  // problem as solved. Their inputs never reach the browser.
+  const submitSolution = async () => {
+    if (!problem) return;
+    setIsSubmitting(true);
+    setSubmitResult(null);
+    setSubmitProgress('grading on the server...');
+    try {
+      const { data } = await gradeSubmission({ appId, problemId: problem.id, code, languageId, cpuTimeLimit, memoryLimit });
+      setSubmitResult({ passed: data.passed, total: data.total, verdict: getVerdict(data.status).label });
+      // Hidden test inputs are not stored, only the overall result.
+      recordSubmission('submit', {
+        data: { status: data.status, time: data.time, memory: data.memory },
+        output: `${data.passed} / ${data.total} hidden tests passed`,
+        checked: true
+      });
+    } catch (err) {
+      console.error("Grading Error:", err);
+      setSubmitResult({ passed: 0, total: 0, verdict: `Error: ${err.message}` });
+    } finally {
+      setIsSubmitting(false);
+      setSubmitProgress('');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg h-full flex flex-col">
+      <h2 className="text-3xl font-bold mb-4 text-gray-800">
+        Code Editor & Compiler
+      </h2>
+
+      {problem && <ProblemStatement problem={problem} solvedRecord={solvedRecord} onClose={onCloseProblem} />}
+
+      <div className="mb-4 border-b border-gray-200">
+        <nav className="-mb-px flex space-x-6" aria-label="Tabs">
+          <button onClick={() => selectLanguage(54)} className={`${languageId === 54 ? "border-blue-500 text-blue-600" : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"} whitespace-nowrap py-2 px-3 border-b-2 font-medium text-sm`}>C++</button>
+          <button onClick={() => selectLanguage(52)} className={`${languageId === 52 ? "border-blue-500 text-blue-600" : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"} whitespace-nowrap py-2 px-3 border-b-2 font-medium text-sm`}>C</button>
+          <button onClick={() => selectLanguage(71)} className={`${languageId === 71 ? "border-blue-500 text-blue-600" : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"} whitespace-nowrap py-2 px-3 border-b-2 font-medium text-sm`}>Python</button>
+          <button onClick={() => selectLanguage(63)} className={`${languageId === 63 ? "border-blue-500 text-blue-600" : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"} whitespace-nowrap py-2 px-3 border-b-2 font-medium text-sm`}>JavaScript</button>
+        </nav>
+      </div>
+
+      <CodeEditor value={code} onChange={setCode} languageId={languageId} diagnostics={diagnostics} />
+      <div className="flex items-center justify-between mt-1">
+        <label className="text-sm text-gray-600">Run on
+          <select value={backendId} onChange={(e) => setBackendId(e.target.value)} className="ml-2 p-1 border border-gray-300 rounded-md">
+            {Object.entries(executionBackends).map(([id, backend]) => (
+              <option key={id} value={id}>{backend.label}</option>
+            ))}
+          </select>
+        </label>
+        <button onClick={resetToTemplate} className="text-xs text-gray-500 hover:text-gray-800">Reset to starter template</button>
+      </div>
+
+      <div className="flex items-center space-x-4 mt-4">
+        <button onClick={runCode} disabled={isRunning || !!unsupportedLanguage} className="px-6 py-2 bg-blue-600 text-white rounded-lg shadow-md hover:bg-blue-700 disabled:opacity-50">
+            {isRunning ? "Running..." : "▶ Run Code"}
+        </button>
+        {problem && (
+            <button onClick={submitSolution} disabled={isSubmitting} className="px-6 py-2 bg-green-600 text-white rounded-lg shadow-md hover:bg-green-700 disabled:opacity-50">
+                {isSubmitting ? "Submitting..." : "Submit"}
+            </button>
+        )}
+        {problem ? (
+            <button onClick={() => setShowHints(!showHints)} className="px-6 py-2 bg-yellow-500 text-white rounded-lg shadow-md hover:bg-yellow-600">
+                {showHints ? 'Hide hints' : '💡 Hints'}
+            </button>
+        ) : isExplainLoading ? (
+            <button onClick={stopExplanation} className="px-6 py-2 bg-red-600 text-white rounded-lg shadow-md hover:bg-red-700">
+                ■ Stop
+            </button>
+        ) : (
+            <button onClick={handleExplainCode} className="px-6 py-2 bg-purple-600 text-white rounded-lg shadow-md hover:bg-purple-700">
+                ✨ Explain Code with AI
+            </button>
+        )}
+      </div>
+      {unsupportedLanguage && <p className="mt-2 text-sm text-orange-600">{unsupportedLanguage}</p>}
+      {problem && showHints && user && (
+        <HintLadder
+          user={user}
+          scopeType="problem"
+          scopeId={problem.id}
+          title={problem.title}
+          subject={`the problem "${problem.title}".\n${problem.statement}${problem.constraints ? `\nConstraints: ${problem.constraints}` : ''}`}
+          code={code}
+          languageName={currentLanguageName}
+        />
+      )}
+
+      {isSubmitting && submitProgress && <p className="mt-4 text-sm text-gray-600">Hidden tests: {submitProgress}</p>}
+      {submitResult && (
+        <p className={`mt-4 text-sm font-semibold ${submitResult.verdict === 'Accepted' ? 'text-green-600' : 'text-red-600'}`}>
+          Submission: {submitResult.verdict} ({submitResult.passed} / {submitResult.total} hidden tests passed)
+        </p>
+      )}
+
+      <h3 className="text-lg font-semibold mt-6 text-gray-800">Output:</h3>
+      <pre className="bg-black text-white p-4 rounded mt-2 overflow-x-auto">
+        {output}
+      </pre>
+
+      <div className="mt-6">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-800">Test Cases</h3>
+          <div className="flex items-center space-x-3 text-sm">
+            <label className="text-gray-600">CPU limit (s)
+              <input type="number" min="0.5" max="15" step="0.5" value={cpuTimeLimit} onChange={(e) => setCpuTimeLimit(Number(e.target.value))} className="ml-2 w-16 p-1 border border-gray-300 rounded-md"/>
+            </label>
+            <label className="text-gray-600">Memory (KB)
+              <input type="number" min="2048" max="512000" step="1024" value={memoryLimit} onChange={(e) => setMemoryLimit(Number(e.target.value))} className="ml-2 w-24 p-1 border border-gray-300 rounded-md"/>
+            </label>
+          </div>
+        </div>
+        {testCases.map((testCase, index) => (
+          <div key={testCase.id} className="mt-3 p-3 border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <span className="font-semibold text-gray-700">Case {index + 1}</span>
+              <button onClick={() => removeTestCase(testCase.id)} disabled={isTesting} className="text-xs text-gray-400 hover:text-red-600 disabled:opacity-50">Remove</button>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <textarea rows={3} value={testCase.input} onChange={(e) => updateTestCase(testCase.id, 'input', e.target.value)} placeholder="Input (stdin)" className="p-2 font-mono text-sm border border-gray-300 rounded-md"/>
+              <textarea rows={3} value={testCase.expected} onChange={(e) => updateTestCase(testCase.id, 'expected', e.target.value)} placeholder="Expected output" className="p-2 font-mono text-sm border border-gray-300 rounded-md"/>
+            </div>
+            {testResults[testCase.id] && <TestCaseResult testCase={testCase} result={testResults[testCase.id]} />}
+          </div>
+        ))}
+        <div className="flex items-center space-x-4 mt-3">
+          <button onClick={addTestCase} disabled={isTesting} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 disabled:opacity-50">+ Add Case</button>
+          <button onClick={runTestCases} disabled={isTesting || testCases.length === 0 || !!unsupportedLanguage} className="px-4 py-2 bg-green-600 text-white rounded-lg shadow-md hover:bg-green-700 disabled:opacity-50">
+            {isTesting ? "Running tests..." : "▶ Run Tests"}
+          </button>
+          {!isTesting && Object.keys(testResults).length > 0 && <span className="text-sm text-gray-600">{passedCount} / {checkedCases.length} passed{checkedCases.length < testCases.length && ` · ${testCases.length - checkedCases.length} without expected output`}</span>}
+        </div>
+      </div>
+      <div className="mt-6">
+        <button onClick={() => setShowComplexity(!showComplexity)} className="text-lg font-semibold text-gray-800 hover:text-blue-600">
+          {showComplexity ? '▾' : '▸'} 📈 Measure Complexity
+        </button>
+        {showComplexity && (unsupportedLanguage
+          ? <p className="mt-2 text-sm text-orange-600">{unsupportedLanguage}</p>
+          : <ComplexityAnalyzer code={code} languageId={languageId} backendId={backendId} cpuTimeLimit={cpuTimeLimit} memoryLimit={memoryLimit} />)}
+      </div>
+      {(explanation || isExplainLoading) && (
+        <div className="mt-6">
+            <h3 className="text-lg font-semibold text-gray-800">✨ AI Code Explanation:</h3>
+            <div className="bg-gray-100 text-gray-800 p-4 rounded mt-2 overflow-x-auto whitespace-pre-wrap">
+                {explanation || "Analyzing..."}
+            </div>
+        </div>
+      )}
+
+      {user && (
+        <div className="mt-6">
+          <button onClick={() => setShowHistory(!showHistory)} className="text-lg font-semibold text-gray-800 hover:text-blue-600">
+            {showHistory ? '▾' : '▸'} Submission History
+          </button>
+          {showHistory && <SubmissionHistory user={user} onRestore={restoreSubmission} />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TimetablePlanner = ({ user, isAdmin, onTodayItemChange, onOpenProblem, codeContext }) => {
+    const [allTopics, setAllTopics] = useState([]);
+    const [selectedTopics, setSelectedTopics] = useState([]);
+    const [recentlyDeletedTopic, setRecentlyDeletedTopic] = useState(null);
+    const [startDate, setStartDate] = useState(new Date().toISOString().split('T')[0]);
+    const [endDate, setEndDate] = useState(() => { const d = new Date(); d.setDate(d.getDate() + 29); return d.toISOString().split('T')[0]; });
+    const [studyWeekdays, setStudyWeekdays] = useState([0, 1, 2, 3, 4, 5, 6]);
+    const [restDays, setRestDays] = useState([]);
+    const [restDayInput, setRestDayInput] = useState('');
+    const [planNotices, setPlanNotices] = useState([]);
+    const [rescheduleMode, setRescheduleMode] = useState(null);
+    const [reschedulePreview, setReschedulePreview] = useState(null);
+    const [timetable, setTimetable] = useState([]);
+    const [isTimetableLoaded, setIsTimetableLoaded] = useState(false);
+    const [cohortIds, setCohortIds] = useState([]);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [permissionError, setPermissionError] = useState(false);
+    const [isGeneratingInitialTopics, setIsGeneratingInitialTopics] = useState(false);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [problems, setProblems] = useState([]);
+    const [solvedProblemIds, setSolvedProblemIds] = useState(new Set());
+    const [reviews, setReviews] = useState([]);
+    const [calendarFeed, setCalendarFeed] = useState(null);
+    const [preferences, setPreferences] = useState({});
+    const [showTopicGraph, setShowTopicGraph] = useState(false);
+    const [calendarMessage, setCalendarMessage] = useState('');
+    const importInputRef = useRef(null);
+    
+    useEffect(() => {
+        const topicsCollection = collection(db, `artifacts/${appId}/public/data/topics`);
+        
+        const unsubscribe = onSnapshot(topicsCollection, async (snapshot) => {
+            setPermissionError(false);
+            if (snapshot.empty) {
+                console.log("No topics found in Firestore. Generating with AI.");
+                setIsGeneratingInitialTopics(true);
+                try {
+                    const prompt = "You are a DSA expert. Generate a list of 10 fundamental Data Structures and Algorithms topics for a beginner. The output must be a valid JSON array of objects. Each object must have keys: 'name' (string), 'duration' (integer representing days), and 'difficulty' (string: 'Easy', 'Medium', or 'Hard').";
+                    const schema = { type: "ARRAY", items: { type: "OBJECT", properties: { name: { type: "STRING" }, duration: { type: "NUMBER" }, difficulty: { type: "STRING" } }, required: ["name", "duration", "difficulty"] } };
+                    
+                    const jsonString = await callGeminiAPI(prompt, true, schema);
+                    const seenNames = new Set();
+                    const generatedTopics = JSON.parse(jsonString)
+                        .map(validateTopic)
+                        .filter(({ topic, errors }) => {
+                            const key = topic.name.toLowerCase();
+                            if (errors.length > 0 || seenNames.has(key)) return false;
+                            seenNames.add(key);
+                            return true;
+                        })
+                        .map(({ topic }) => topic);
+                    if (generatedTopics.length === 0) throw new Error("The AI did not return any valid topics.");
+
+                    const batch = writeBatch(db);
+                    generatedTopics.forEach(topic => writeTopicChange(batch, { action: 'create', before: null, after: topic, actor: user }));
+                    await batch.commit();
+                    
+                } catch (e) {
+                    console.error("Failed to generate or save initial topics:", e);
+                    setError("Could not generate initial topics with AI. Please check your API key and try again.");
+                    setAllTopics([]);
+                } finally {
+                    setIsGeneratingInitialTopics(false);
+                }
+            } else {
+                const topicsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isActiveTopic);
+                setAllTopics(topicsData);
+            }
+        }, (err) => {
+            console.error("Error fetching topics:", err);
+            if (err.code === 'permission-denied') {
+                setPermissionError(true);
+            } else {
+                setError("Could not fetch topics. An unknown error occurred.");
+                setAllTopics([]);
+            }
+        });
+        return () => unsubscribe();
+    }, [user]);
+
+    useEffect(() => {
+        if (!user) return;
+        const timetableCollection = collection(db, `artifacts/${appId}/users/${user.uid}/timetable`);
+        const q = query(timetableCollection, orderBy("order"));
+        // Counters on the profile are only written when they change.
+        let publishedCounts = null;
+        const publishProgressCounts = (timetableData) => {
+            if (user.isAnonymous) return;
+            const counts = countTimetableProgress(timetableData);
+            const key = JSON.stringify(counts);
+            if (key === publishedCounts) return;
+            publishedCounts = key;
+            updateDoc(doc(db, usersPath, user.uid), {
+                'progress.total': counts.total,
+                'progress.completed': counts.completed,
+                'progress.percent': counts.percent,
+                ...searchFieldsFor(user),
+            }).catch(err => console.error("Error updating progress counters:", err));
+        };
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            const timetableData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setTimetable(timetableData);
+            setIsTimetableLoaded(true);
+            publishProgressCounts(timetableData);
+        }, (err) => {
+            console.error("Error fetching timetable:", err);
+            setError("Could not fetch your timetable. Please check your Firestore security rules.");
+        });
+        return () => unsubscribe();
+    }, [user]);
+
+    useEffect(() => {
+        const q = query(collection(db, `artifacts/${appId}/public/data/problems`), where("published", "==", true));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setProblems(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching problems:", err));
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(collection(db, `artifacts/${appId}/users/${user.uid}/solvedProblems`), (snapshot) => {
+            setSolvedProblemIds(new Set(snapshot.docs.map(doc => doc.id)));
+        }, (err) => console.error("Error fetching solved problems:", err));
+        return () => unsubscribe();
+    }, [user]);
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(collection(db, `artifacts/${appId}/users/${user.uid}/reviews`), (snapshot) => {
+            setReviews(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching reviews:", err));
+        return () => unsubscribe();
+    }, [user]);
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(calendarFeedRef(user), (snapshot) => {
+            setCalendarFeed(snapshot.exists() ? snapshot.data() : null);
+        }, (err) => console.error("Error fetching calendar feed settings:", err));
+        return () => unsubscribe();
+    }, [user]);
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(doc(db, `artifacts/${appId}/users/${user.uid}/settings`, 'preferences'), (snapshot) => {
+            setPreferences(snapshot.exists() ? snapshot.data() : {});
+        }, (err) => console.error("Error fetching preferences:", err));
+        return () => unsubscribe();
+    }, [user]);
+
+    const handleRequireQuizChange = async (requireQuizToComplete) => {
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/users/${user.uid}/settings`, 'preferences'), { requireQuizToComplete }, { merge: true });
+        } catch (e) {
+            console.error("Error saving preferences:", e);
+            setError("Could not save your preference. Please try again.");
+        }
+    };
+
+    // Keeps the published feed file in sync with the timetable (reorders, completions, reschedules).
+    useEffect(() => {
+        if (!calendarFeed?.enabled || !calendarFeed.path) return;
+        const timer = setTimeout(() => {
+            uploadCalendarFeed(calendarFeed.path, timetable)
+                .catch(err => console.error("Error updating calendar feed:", err));
+        }, 2000);
+        return () => clearTimeout(timer);
+    }, [timetable, calendarFeed]);
+
+    const getProblemsForTopic = (topicName) => {
+        const topic = allTopics.find(t => t.name === topicName);
+        return topic ? problems.filter(problem => problem.topicIds?.includes(topic.id)) : [];
+    };
+
+    const generateAITimetable = async () => {
+        if (selectedTopics.length === 0) { setError('Please select at least one topic.'); return; }
+        if (endDate < startDate) { setError("End date must be after start date."); return; }
+
+        let plan;
+        try {
+            plan = scheduleStudyPlan({ topics: currentSelectedTopics, startDate, endDate, studyWeekdays, restDays });
+        } catch (e) {
+            setError(e.message);
+            return;
+        }
+
+        setError(''); setPlanNotices([]); setIsLoading(true);
+
+        try {
+            const notices = [];
+            if (plan.scaled) notices.push(`The selected topics need ${plan.requiredDays} study days but only ${plan.availableDays} are available, so durations were scaled down.`);
+            missingPrerequisites.forEach(({ topic, requiredBy }) => notices.push(`${requiredBy.join(', ')} ${requiredBy.length === 1 ? 'depends' : 'depend'} on ${topic.name}, which is not in this plan.`));
+
+            let items;
+            try {
+                const aiItems = await fillSlotDetailsWithAI(plan.slots);
+                const validated = await buildValidatedPlan(aiItems, plan.slots, { startDate, endDate, topicNames: currentSelectedTopics.map(t => t.name) });
+                items = validated.items;
+                notices.push(...validated.corrections);
+            } catch (e) {
+                console.error("AI could not fill plan details, using defaults:", e);
+                items = plan.slots.map(slot => ({ date: slot.date, topic: slot.topic, session: slot.session, ...fallbackSlotDetails(slot) }));
+                notices.push("The AI was unavailable, so default descriptions and resource links were used.");
+            }
+
+            // The old plan is only replaced once the new one is ready, in the same batch.
+            const existingTimetable = await getDocs(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`));
+            const addBatch = writeBatch(db);
+            existingTimetable.forEach(doc => addBatch.delete(doc.ref));
+            items.forEach((item, index) => {
+                const docRef = doc(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`));
+                addBatch.set(docRef, { ...item, completed: false, order: index });
+            });
+            await addBatch.commit();
+            setPlanNotices(notices);
+            recordStudyActivity(user);
+
+        } catch (e) {
+            console.error(e);
+            setError(`Error: ${e.message}`);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+    
+    const previewReschedule = (mode) => {
+        setError('');
+        try {
+            const fromDate = toDateString(new Date());
+            const planEnd = timetable.reduce((latest, item) => item.date > latest ? item.date : latest, fromDate);
+            setRescheduleMode(mode);
+            setReschedulePreview(reschedulePlan({ items: timetable, fromDate, endDate: planEnd, studyWeekdays, restDays, mode }));
+        } catch (e) {
+            setError(e.message);
+            setReschedulePreview(null);
+        }
+    };
+
+    const cancelReschedule = () => {
+        setRescheduleMode(null);
+        setReschedulePreview(null);
+    };
+
+    const confirmReschedule = async () => {
+        if (!reschedulePreview) return;
+        try {
+            const batch = writeBatch(db);
+            reschedulePreview.items.forEach(item => {
+                const original = timetable.find(i => i.id === item.id);
+                if (original.date !== item.date || original.order !== item.order) {
+                    batch.update(doc(db, `artifacts/${appId}/users/${user.uid}/timetable`, item.id), { date: item.date, order: item.order });
+                }
+            });
+            await batch.commit();
+            cancelReschedule();
+        } catch (e) {
+            console.error("Error rescheduling timetable:", e);
+            setError("Could not save the rescheduled plan. Please try again.");
+        }
+    };
+
+    const toggleStudyWeekday = (weekday) => {
+        setStudyWeekdays(prev => prev.includes(weekday) ? prev.filter(d => d !== weekday) : [...prev, weekday].sort());
+    };
+
+    const addRestDay = () => {
+        if (!restDayInput || restDays.includes(restDayInput)) return;
+        setRestDays(prev => [...prev, restDayInput].sort());
+        setRestDayInput('');
+    };
+
+    const handleToggleComplete = async (itemId, isCompleted) => {
+        if (!user) return;
+        const itemRef = doc(db, `artifacts/${appId}/users/${user.uid}/timetable`, itemId);
+        await updateDoc(itemRef, { completed: isCompleted, completedAt: isCompleted ? Date.now() : null });
+        recordStudyActivity(user);
+
+        // The first completion of an item enters it into the review schedule.
+        const item = timetable.find(i => i.id === itemId);
+        if (isCompleted && item && !reviews.some(r => r.id === itemId)) {
+            const reviewRef = doc(db, `artifacts/${appId}/users/${user.uid}/reviews`, itemId);
+            await setDoc(reviewRef, createReviewSchedule(item, toDateString(new Date()))).catch(err => {
+                console.error("Error scheduling review:", err);
+            });
+        }
+    };
+
+    // Kept on the item so completed work can be told apart as unaided or hinted.
+    const handleHintUsed = async (itemId, level) => {
+        try {
+            await updateDoc(doc(db, `artifacts/${appId}/users/${user.uid}/timetable`, itemId), { hintLevel: level });
+        } catch (e) {
+            console.error("Error recording hint usage:", e);
+        }
+    };
+
+    // Every attempt is stored; the item keeps its best score, and a pass completes it when quizzes are required.
+    const handleQuizGraded = async (item, questions, answers, result) => {
+        try {
+            await addDoc(collection(db, `artifacts/${appId}/users/${user.uid}/quizResults`), {
+                itemId: item.id,
+                topic: item.topic,
+                questions,
+                answers: questions.map((_, i) => answers[i] ?? null),
+                score: result.score,
+                total: result.total,
+                percent: result.percent,
+                passed: result.passed,
+                createdAt: Date.now()
+            });
+            await updateDoc(doc(db, `artifacts/${appId}/users/${user.uid}/timetable`, item.id), {
+                quizBestPercent: Math.max(item.quizBestPercent ?? 0, result.percent),
+                quizPassed: Boolean(item.quizPassed || result.passed)
+            });
+            if (result.passed && preferences.requireQuizToComplete && !item.completed) {
+                await handleToggleComplete(item.id, true);
+            }
+        } catch (e) {
+            console.error("Error saving quiz result:", e);
+            setError("Could not save your quiz result. Please try again.");
+        }
+    };
+
+    const handleRateReview = async (review, quality) => {
+        const { id, ...data } = applySM2(review, quality, toDateString(new Date()));
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/users/${user.uid}/reviews`, id), data);
+        } catch (e) {
+            console.error("Error saving review:", e);
+            setError("Could not save your review. Please try again.");
+        }
+    };
+
+    const sensors = useSensors(useSensor(PointerSensor), useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates }));
+    
+    const handleDragEnd = async (event) => {
+        const { active, over } = event;
+        if (active.id !== over.id) {
+            const oldIndex = timetable.findIndex((item) => item.id === active.id);
+            const newIndex = timetable.findIndex((item) => item.id === over.id);
+            const newTimetable = arrayMove(timetable, oldIndex, newIndex);
+            setTimetable(newTimetable);
+            
+            const batch = writeBatch(db);
+            newTimetable.forEach((item, index) => {
+                const docRef = doc(db, `artifacts/${appId}/users/${user.uid}/timetable`, item.id);
+                batch.update(docRef, { order: index });
+            });
+            await batch.commit().catch(err => {
+                console.error("Error updating order:", err);
+                setError("Could not save the new order. Please try again.");
+                setTimetable(timetable);
+            });
+        }
+    };
+
+    const handleExportIcs = () => {
+        downloadTextFile('dsa-study-plan.ics', buildTimetableIcs(timetable), 'text/calendar');
+    };
+
+    const handleImportIcs = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !user) return;
+        setError(''); setCalendarMessage('');
+        try {
+            const imported = parseTimetableIcs(await file.text());
+            if (imported.length === 0) throw new Error("No events with a date and title were found in that file.");
+            const batch = writeBatch(db);
+            const nextOrder = timetable.reduce((max, item) => Math.max(max, item.order ?? 0), -1) + 1;
+            imported.forEach((item, index) => {
+                batch.set(doc(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`)), { ...item, order: nextOrder + index });
+            });
+            await batch.commit();
+            setCalendarMessage(`Imported ${imported.length} item${imported.length === 1 ? '' : 's'} from ${file.name}.`);
+        } catch (err) {
+            console.error("Error importing calendar:", err);
+            setError(`Could not import calendar: ${err.message}`);
+        }
+    };
+
+    const handleEnableCalendarFeed = async () => {
+        setError(''); setCalendarMessage('');
+        try {
+            // A random file name keeps the feed URL unguessable; the Storage rules never allow listing the folder.
+            const path = `calendars/${user.uid}/${crypto.randomUUID()}.ics`;
+            await uploadCalendarFeed(path, timetable);
+            const url = await getDownloadURL(storageRef(storage, path));
+            await setDoc(calendarFeedRef(user), { enabled: true, path, url });
+        } catch (err) {
+            console.error("Error enabling calendar feed:", err);
+            setError("Could not create the calendar feed. Please check your Firebase Storage rules.");
+        }
+    };
+
+    const handleDisableCalendarFeed = async () => {
+        try {
+            if (calendarFeed?.path) await deleteObject(storageRef(storage, calendarFeed.path)).catch(() => {});
+            await deleteDoc(calendarFeedRef(user));
+        } catch (err) {
+            console.error("Error disabling calendar feed:", err);
+            setError("Could not disable the calendar feed.");
+        }
+    };
+
+    const handleResetTimetable = async () => {
+        if (!user) return;
+        setError('');
+        try {
+            const existingTimetable = await getDocs(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`));
+            const deleteBatch = writeBatch(db);
+            existingTimetable.forEach(doc => deleteBatch.delete(doc.ref));
+            await deleteBatch.commit();
+        } catch (e) {
+            console.error("Error resetting timetable:", e);
+            setError("Could not reset the timetable. Please try again.");
+        }
+    };
+
+    const handleDeleteTopic = async (topicId) => {
+        const topic = allTopics.find(t => t.id === topicId);
+        if (isAdmin && topic) {
+            try {
+                // Dependent topics keep the id in their prerequisites so an undo restores the links too.
+                const batch = writeBatch(db);
+                const deleted = writeTopicChange(batch, { action: 'delete', topicId, before: topic, actor: user });
+                await batch.commit();
+                setSelectedTopics(prev => prev.filter(t => t.id !== topicId));
+                setRecentlyDeletedTopic(deleted);
+            } catch (e) {
+                console.error("Error deleting topic:", e);
+                setError("Could not delete the topic.");
+            }
+        }
+    };
+
+    const handleUndoDeleteTopic = async () => {
+        const topic = recentlyDeletedTopic;
+        setRecentlyDeletedTopic(null);
+        try {
+            const batch = writeBatch(db);
+            writeTopicChange(batch, { action: 'restore', topicId: topic.id, before: topic, after: topic, actor: user });
+            await batch.commit();
+        } catch (e) {
+            console.error("Error restoring topic:", e);
+            setError("Could not restore the topic.");
+        }
+    };
+
+    useEffect(() => {
+        if (!recentlyDeletedTopic) return;
+        const timer = setTimeout(() => setRecentlyDeletedTopic(null), TOPIC_UNDO_SECONDS * 1000);
+        return () => clearTimeout(timer);
+    }, [recentlyDeletedTopic]);
+
+    const filteredTopics = allTopics.filter(topic => topic.name.toLowerCase().includes(searchTerm.toLowerCase()));
+    // Selected topics are snapshots; prerequisites are read from the live topic list.
+    const currentSelectedTopics = selectedTopics.map(topic => allTopics.find(t => t.id === topic.id) || topic);
+    const missingPrerequisites = findMissingPrerequisites(currentSelectedTopics, allTopics);
+
+    const selectTopics = (topicsToAdd) => {
+        setSelectedTopics(prev => [...prev, ...topicsToAdd.filter(topic => !prev.some(t => t.id === topic.id))]);
+    };
+    
+    const today = new Date().toISOString().split('T')[0];
+    const todaysTopic = timetable.find(item => item.date === today);
+    const dueReviews = reviews.filter(review => review.dueDate <= today).sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+    useEffect(() => {
+        onTodayItemChange?.(todaysTopic || null);
+    }, [todaysTopic, onTodayItemChange]);
+
+    useEffect(() => {
+        if (!user || user.isAnonymous) return;
+        const unsubscribe = onSnapshot(collection(db, `artifacts/${appId}/users/${user.uid}/cohorts`), (snapshot) => {
+            setCohortIds(snapshot.docs.map(doc => doc.id));
+        }, (err) => console.error("Error fetching cohort memberships:", err));
+        return () => unsubscribe();
+    }, [user]);
+
+    // Other cohort members cannot read this timetable, so a summary of the items copied from
+    // each joined cohort's plan is published whenever it changes. Once a new plan or a reset
+    // removes a cohort's items, its summary is deleted so the leaderboard does not keep old progress.
+    const publishedCohortProgress = useRef({});
+    useEffect(() => {
+        if (!user || user.isAnonymous || !isTimetableLoaded) return;
+        cohortIds.forEach(cohortId => {
+            const items = timetable.filter(item => item.cohortId === cohortId);
+            const summary = items.length > 0 ? summarizeCohortProgress(items) : null;
+            const key = JSON.stringify(summary);
+            if (publishedCohortProgress.current[cohortId] === key) return;
+            publishedCohortProgress.current[cohortId] = key;
+            const progressRef = doc(db, `${cohortsPath}/${cohortId}/progress`, user.uid);
+            (summary ? setDoc(progressRef, { ...summary, updatedAt: Date.now() }) : deleteDoc(progressRef)).catch(err => {
+                console.error("Error publishing cohort progress:", err);
+            });
+        });
+    }, [timetable, isTimetableLoaded, cohortIds, user]);
+
+    if (permissionError) {
+        return (
+            <div className="bg-red-50 border-l-4 border-red-400 p-6 rounded-md shadow-lg">
+                <div className="flex">
+                    <div>
+                        <p className="text-xl font-bold text-red-800">Action Required: Update Firestore Security Rules</p>
+                        <div className="text-red-700 mt-3">
+                            <p className="mb-3">The app can't access the topic list due to restrictive database rules. To fix this, please update them in your Firebase project.</p>
+                            <ol className="list-decimal list-inside space-y-1.5">
+                                <li>Go to your <strong>Firebase Console</strong>.</li>
+                                <li>Navigate to <strong>Firestore Database &gt; Rules</strong> tab.</li>
+                                <li>Delete the existing rules and paste the code below:</li>
+                            </ol>
+                            <pre className="bg-gray-800 text-white p-4 rounded-md mt-3 text-xs overflow-x-auto">
+                                <code>
+                                    {buildSecurityRules()}
+                                </code>
+                            </pre>
+                             <p className="mt-3 text-sm"><strong>Note:</strong> If VITE_ADMIN_UID is not set, replace the placeholder in the <strong>isAdmin</strong> function with your actual Admin Google UID if you plan to use the admin panel.</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            {(todaysTopic || dueReviews.length > 0) && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                    {todaysTopic && (
+                        <div className="mb-8 bg-white p-6 rounded-xl shadow-lg border-l-4 border-green-500">
+                            <h2 className="text-2xl font-bold text-gray-800">Today's Focus: {todaysTopic.topic}</h2>
+                            <p className="text-gray-600 mt-2">{todaysTopic.goal}</p>
+                        </div>
+                    )}
+                    {dueReviews.length > 0 && <ReviewQueue reviews={dueReviews} onRate={handleRateReview} />}
+                </div>
+            )}
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg h-fit">
+                    <h2 className="text-2xl font-semibold mb-4 text-gray-700">1. Configure Your Plan</h2>
+                    <div className="grid grid-cols-2 gap-4 mb-6">
+                        <div>
+                            <label htmlFor="startDate" className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
+                            <input type="date" id="startDate" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"/>
+                        </div>
+                        <div>
+                            <label htmlFor="endDate" className="block text-sm font-medium text-gray-700 mb-2">End Date</label>
+                            <input type="date" id="endDate" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"/>
+                        </div>
+                    </div>
+                    <div className="mb-6">
+                        <span className="block text-sm font-medium text-gray-700 mb-2">Study Days</span>
+                        <div className="flex flex-wrap gap-1">
+                            {WEEKDAYS.map((name, weekday) => (
+                                <button key={name} onClick={() => toggleStudyWeekday(weekday)} className={`px-2 py-1 text-xs font-medium rounded-md border ${studyWeekdays.includes(weekday) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-500 border-gray-300'}`}>{name}</button>
+                            ))}
+                        </div>
+                        <label htmlFor="restDay" className="block text-sm font-medium text-gray-700 mt-4 mb-2">Rest Days</label>
+                        <div className="flex">
+                            <input type="date" id="restDay" value={restDayInput} onChange={(e) => setRestDayInput(e.target.value)} className="flex-1 p-2 border border-gray-300 rounded-l-md focus:ring-2 focus:ring-blue-500"/>
+                            <button onClick={addRestDay} className="bg-gray-200 text-gray-800 px-3 rounded-r-md hover:bg-gray-300">Add</button>
+                        </div>
+                        {restDays.length > 0 && (
+                            <div className="flex flex-wrap gap-1 mt-2">
+                                {restDays.map(day => (
+                                    <span key={day} className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-700">
+                                        {day} <button onClick={() => setRestDays(prev => prev.filter(d => d !== day))} className="ml-1 text-gray-400 hover:text-red-600">×</button>
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                    <h2 className="text-2xl font-semibold mb-4 text-gray-700">2. Select Topics</h2>
+                    <input 
+                        type="text" 
+                        placeholder="Search topics..."
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                        className="w-full p-2 mb-4 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                    />
+                    {recentlyDeletedTopic && (
+                        <div className="flex items-center justify-between p-2 mb-2 text-sm bg-gray-800 text-white rounded-md">
+                            <span>Deleted "{recentlyDeletedTopic.name}".</span>
+                            <button onClick={handleUndoDeleteTopic} className="font-semibold text-yellow-300 hover:underline">Undo</button>
+                        </div>
+                    )}
+                    <div className="space-y-1 max-h-[40vh] overflow-y-auto pr-2 -mr-2">
+                        {isGeneratingInitialTopics ? (
+                            <div className="text-center p-4">
+                                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+                                <p className="mt-2 text-gray-600">Generating initial topics with AI...</p>
+                            </div>
+                        ) : (
+                            filteredTopics.map(topic => <TopicItem key={topic.id} topic={topic} onSelect={(topic) => setSelectedTopics(prev => prev.find(t => t.id === topic.id) ? prev.filter(t => t.id !== topic.id) : [...prev, topic])} isSelected={selectedTopics.some(t => t.id === topic.id)} isAdmin={isAdmin} onDelete={handleDeleteTopic} />)
+                        )}
+                    </div>
+                    {missingPrerequisites.length > 0 && (
+                        <div className="mt-4 p-3 bg-orange-50 border border-orange-200 rounded-md">
+                            <p className="text-sm font-semibold text-orange-800">Missing prerequisites</p>
+                            <ul className="list-disc list-inside text-xs text-orange-700 mt-1 space-y-1">
+                                {missingPrerequisites.map(({ topic, requiredBy }) => <li key={topic.id}>{topic.name} (needed for {requiredBy.join(', ')})</li>)}
+                            </ul>
+                            <button onClick={() => selectTopics(missingPrerequisites.map(entry => entry.topic))} className="mt-2 px-3 py-1 text-xs font-semibold bg-orange-600 text-white rounded-md hover:bg-orange-700">Add missing prerequisites</button>
+                        </div>
+                    )}
+                    <div className="mt-6 space-y-3">
+                        <button onClick={generateAITimetable} disabled={isLoading} className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white font-bold py-3 px-4 rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300 shadow-md disabled:opacity-50 flex items-center justify-center">
+                            ✨ Generate with AI
+                        </button>
+                        <button onClick={() => previewReschedule('extend')} disabled={isLoading || timetable.length === 0} className="w-full bg-white text-blue-700 border border-blue-300 font-bold py-3 px-4 rounded-lg hover:bg-blue-50 transition-all duration-300 shadow-md disabled:opacity-50">
+                            ↻ Reschedule
+                        </button>
+                        <button onClick={handleResetTimetable} disabled={isLoading} className="w-full bg-gray-200 text-gray-800 font-bold py-3 px-4 rounded-lg hover:bg-gray-300 transition-all duration-300 shadow-md disabled:opacity-50">
+                            Reset Plan
+                        </button>
+                    </div>
+                    {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+                    {planNotices.length > 0 && (
+                        <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                            <p className="text-sm font-semibold text-yellow-800">Plan corrections</p>
+                            <ul className="list-disc list-inside text-xs text-yellow-700 mt-1 space-y-1">
+                                {planNotices.map((notice, i) => <li key={i}>{notice}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+                <div className="lg:col-span-2">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                        <h2 className="text-3xl font-bold text-gray-800">Your Personalized Timetable</h2>
+                        <div className="flex space-x-2 text-sm">
+                            <button onClick={() => setShowTopicGraph(!showTopicGraph)} className="px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">{showTopicGraph ? 'Hide topic graph' : '🕸 Topic graph'}</button>
+                            <button onClick={handleExportIcs} disabled={timetable.length === 0} className="px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50">⬇ Export .ics</button>
+                            <button onClick={() => importInputRef.current?.click()} className="px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">⬆ Import .ics</button>
+                            <input ref={importInputRef} type="file" accept=".ics,text/calendar" onChange={handleImportIcs} className="hidden"/>
+                            {calendarFeed?.enabled ? (
+                                <button onClick={handleDisableCalendarFeed} className="px-3 py-2 bg-white border border-red-300 text-red-600 rounded-lg hover:bg-red-50">Disable feed</button>
+                            ) : (
+                                <button onClick={handleEnableCalendarFeed} disabled={user.isAnonymous} className="px-3 py-2 bg-white border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50 disabled:opacity-50">📅 Calendar feed</button>
+                            )}
+                        </div>
+                    </div>
+                    {showTopicGraph && (
+                        <div className="mb-6 bg-white p-4 rounded-xl shadow-lg">
+                            <TopicGraph topics={allTopics} timetable={timetable} onSelectWithPrerequisites={selectTopics} />
+                        </div>
+                    )}
+                    {calendarFeed?.enabled && (
+                        <div className="mb-6 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+                            <p className="text-gray-700">Subscribe to this URL in your calendar app. It updates automatically when your plan changes.</p>
+                            <div className="flex mt-2">
+                                <input type="text" readOnly value={calendarFeed.url} onFocus={(e) => e.target.select()} className="flex-1 p-2 text-xs font-mono border border-gray-300 rounded-l-md bg-white"/>
+                                <button onClick={() => navigator.clipboard?.writeText(calendarFeed.url)} className="bg-blue-600 text-white px-3 rounded-r-md hover:bg-blue-700">Copy</button>
+                            </div>
+                        </div>
+                    )}
+                    <label className="flex items-center mb-4 text-sm text-gray-600">
+                        <input type="checkbox" checked={preferences.requireQuizToComplete || false} onChange={(e) => handleRequireQuizChange(e.target.checked)} className="h-4 w-4 mr-2 rounded border-gray-300 text-blue-600"/>
+                        Complete items only by passing their quiz ({QUIZ_PASS_PERCENT}% or more)
+                    </label>
+                    {calendarMessage && <p className="mb-4 text-green-600 text-sm">{calendarMessage}</p>}
+                    {isLoading && <div className="text-center p-10"><div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div><p className="mt-4 text-gray-600">AI is generating your plan...</p></div>}
+                    {reschedulePreview && (
+                        <div className="mb-6 bg-white p-6 rounded-xl shadow-lg border-l-4 border-blue-500">
+                            <div className="flex items-center justify-between">
+                                <h3 className="text-xl font-bold text-gray-800">Reschedule Preview</h3>
+                                <div className="flex space-x-2 text-sm">
+                                    <button onClick={() => previewReschedule('extend')} className={`px-3 py-1 rounded-md ${rescheduleMode === 'extend' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}>Extend end date</button>
+                                    <button onClick={() => previewReschedule('compress')} className={`px-3 py-1 rounded-md ${rescheduleMode === 'compress' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}>Keep end date</button>
+                                </div>
+                            </div>
+                            <p className="text-sm text-gray-600 mt-2">
+                                Completed items stay where they are. {reschedulePreview.changes.length} incomplete item{reschedulePreview.changes.length === 1 ? '' : 's'} will move; the plan ends on {reschedulePreview.newEndDate}.
+                            </p>
+                            {reschedulePreview.changes.length > 0 && (
+                                <table className="min-w-full mt-3 text-sm">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Topic</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Before</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">After</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {reschedulePreview.changes.map(change => (
+                                            <tr key={change.id}>
+                                                <td className="px-3 py-2 text-gray-800">{change.topic}</td>
+                                                <td className="px-3 py-2 text-gray-500 line-through">{change.from}</td>
+                                                <td className="px-3 py-2 text-blue-700 font-semibold">{change.to}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                            <div className="flex space-x-3 mt-4">
+                                <button onClick={confirmReschedule} disabled={reschedulePreview.changes.length === 0} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">Confirm</button>
+                                <button onClick={cancelReschedule} className="bg-gray-200 text-gray-800 font-bold py-2 px-4 rounded-lg hover:bg-gray-300">Cancel</button>
+                            </div>
+                        </div>
+                    )}
+                    
+                    {timetable.length > 0 ? (
+                        <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+                            <SortableContext items={timetable.map(i => i.id)} strategy={verticalListSortingStrategy}>
+                                {timetable.map((item, index) => <SortableTimetableItem key={item.id} id={item.id} item={item} index={index} onToggleComplete={handleToggleComplete} problems={getProblemsForTopic(item.topic)} solvedProblemIds={solvedProblemIds} onOpenProblem={onOpenProblem} user={user} code={codeContext?.code} languageName={codeContext?.language} onHintUsed={handleHintUsed} onQuizGraded={handleQuizGraded} requireQuiz={preferences.requireQuizToComplete} />)}
+                            </SortableContext>
+                        </DndContext>
+                    ) : !isLoading && (
+                        <div className="bg-white p-10 rounded-xl shadow-lg text-center"><h3 className="mt-2 text-sm font-medium text-gray-900">No timetable generated yet</h3><p className="mt-1 text-sm text-gray-500">Select your topics and use the AI generator to create a plan.</p></div>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
+
+// --- Mock Interview ---
+const interviewDurations = [30, 45, 60];
+
+const rubricCategories = [
+    { key: 'problemSolving', label: 'Problem Solving' },
+    { key: 'codeQuality', label: 'Code Quality' },
+    { key: 'communication', label: 'Communication' },
+    { key: 'complexity', label: 'Complexity Analysis' },
+];
+
+const interviewProblemSchema = { type: "OBJECT", properties: { title: { type: "STRING" }, topic: { type: "STRING" }, difficulty: { type: "STRING", enum: ["Easy", "Medium", "Hard"] }, statement: { type: "STRING" }, constraints: { type: "STRING" }, examples: { type: "STRING" } }, required: ["title", "topic", "difficulty", "statement", "constraints", "examples"] };
+
+const rubricEntrySchema = { type: "OBJECT", properties: { score: { type: "NUMBER" }, comments: { type: "STRING" } }, required: ["score", "comments"] };
+
+const interviewReportSchema = { type: "OBJECT", properties: {
+    overallScore: { type: "NUMBER" },
+    summary: { type: "STRING" },
+    ...Object.fromEntries(rubricCategories.map(category => [category.key, rubricEntrySchema])),
+    strengths: { type: "ARRAY", items: { type: "STRING" } },
+    improvements: { type: "ARRAY", items: { type: "STRING" } }
+}, required: ["overallScore", "summary", ...rubricCategories.map(category => category.key), "strengths", "improvements"] };
+
+const clampRubricScore = (score) => Math.min(5, Math.max(1, Math.round(Number(score) || 1)));
+
+// Scores are on a 1-5 scale; anything the model leaves out or overshoots is clamped.
+const normalizeInterviewReport = (raw) => ({
+    overallScore: clampRubricScore(raw?.overallScore),
+    summary: raw?.summary || '',
+    ...Object.fromEntries(rubricCategories.map(category => [category.key, {
+        score: clampRubricScore(raw?.[category.key]?.score),
+        comments: raw?.[category.key]?.comments || '',
+    }])),
+    strengths: Array.isArray(raw?.strengths) ? raw.strengths : [],
+    improvements: Array.isArray(raw?.improvements) ? raw.improvements : [],
+});
+
+const pickInterviewProblem = async (completedTopics) => {
+    const topicList = completedTopics.length ? completedTopics.join(', ') : 'arrays, strings and hashing';
+    const prompt = `You are a technical interviewer. Choose one coding interview problem that fits a candidate who has studied: ${topicList}. Pick a problem that can be solved in about 30 minutes and mainly uses one of those topics. Give a "title", the "topic" it tests, a "difficulty", the full "statement", its "constraints" and one or two worked "examples" with input and output. Do not include the solution.`;
+    return JSON.parse(await callGeminiAPI(prompt, true, interviewProblemSchema));
+};
+
+const formatTranscript = (messages) => messages.map(msg => `${msg.sender === 'candidate' ? 'Candidate' : 'Interviewer'}: ${msg.text}`).join('\n');
+
+const buildInterviewerPrompt = ({ problem, messages, code, languageName, instruction }) => [
+    "You are a friendly but rigorous technical interviewer running a live coding interview. Keep replies short and conversational. Never reveal the full solution; if the candidate is stuck, give a small hint.",
+    `The problem is "${problem.title}":\n${problem.statement}\nConstraints: ${problem.constraints}`,
+    code?.trim() ? `The candidate's current ${languageName} code:\n\`\`\`\n${code}\n\`\`\`` : "The candidate has not written any code yet.",
+    `Interview so far:\n${formatTranscript(trimHistoryToBudget(messages))}`,
+    instruction,
+].join('\n\n');
+
+const InterviewReport = ({ interview }) => {
+    const { report } = interview;
+    return (
+        <div className="space-y-4">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h3 className="text-xl font-bold text-gray-800">{interview.problem.title}</h3>
+                    <p className="text-sm text-gray-500">{new Date(interview.startedAt).toLocaleString()} · {Math.round((interview.endedAt - interview.startedAt) / 60000)} of {interview.durationMinutes} min · {languageMap[interview.languageId]}</p>
+                </div>
+                <span className="text-3xl font-bold text-blue-600">{report.overallScore} / 5</span>
+            </div>
+            <p className="text-gray-700">{report.summary}</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {rubricCategories.map(category => (
+                    <div key={category.key} className="p-3 bg-gray-50 rounded-lg">
+                        <div className="flex items-center justify-between">
+                            <h4 className="font-semibold text-gray-700">{category.label}</h4>
+                            <span className="font-bold text-gray-800">{report[category.key].score} / 5</span>
+                        </div>
+                        <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                            <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${report[category.key].score * 20}%` }}></div>
+                        </div>
+                        <p className="text-sm text-gray-600 mt-2">{report[category.key].comments}</p>
+                    </div>
+                ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+                <div>
+                    <h4 className="font-semibold text-green-700">Strengths</h4>
+                    <ul className="list-disc list-inside text-gray-700">{report.strengths.map((strength, i) => <li key={i}>{strength}</li>)}</ul>
+                </div>
+                <div>
+                    <h4 className="font-semibold text-orange-700">To improve</h4>
+                    <ul className="list-disc list-inside text-gray-700">{report.improvements.map((improvement, i) => <li key={i}>{improvement}</li>)}</ul>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const MockInterview = ({ user }) => {
+    // Phases: setup -> running -> ended (report pending or failed) -> done
+    const [phase, setPhase] = useState('setup');
+    const [durationMinutes, setDurationMinutes] = useState(45);
+    const [languageId, setLanguageId] = useState(54);
+    const [backendId, setBackendId] = useState(defaultBackendId);
+    const [problem, setProblem] = useState(null);
+    const [code, setCode] = useState(starterTemplates[54]);
+    const [messages, setMessages] = useState([]);
+    const [pendingReply, setPendingReply] = useState(null);
+    const [input, setInput] = useState('');
+    const [startedAt, setStartedAt] = useState(null);
+    const [endedAt, setEndedAt] = useState(null);
+    const [remainingMs, setRemainingMs] = useState(0);
+    const [runOutput, setRunOutput] = useState('');
+    const [isRunning, setIsRunning] = useState(false);
+    const [isWorking, setIsWorking] = useState(false);
+    const [report, setReport] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [selectedInterview, setSelectedInterview] = useState(null);
+    const [error, setError] = useState('');
+    const replyAbortRef = useRef(null);
+    // Ending the interview reads these, so the report includes a reply that is still streaming.
+    const messagesRef = useRef(messages);
+    messagesRef.current = messages;
+    const pendingReplyRef = useRef(null);
+
+    useEffect(() => () => replyAbortRef.current?.abort(), []);
+
+    useEffect(() => {
+        const q = query(collection(db, `artifacts/${appId}/users/${user.uid}/interviews`), orderBy("startedAt", "desc"), limit(20));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setHistory(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching interviews:", err));
+        return () => unsubscribe();
+    }, [user]);
+
+    const startInterview = async () => {
+        setIsWorking(true);
+        setError('');
+        setSelectedInterview(null);
+        try {
+            const snapshot = await getDocs(query(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`), where("completed", "==", true)));
+            const completedTopics = [...new Set(snapshot.docs.map(doc => doc.data().topic))];
+            const chosen = await pickInterviewProblem(completedTopics);
+            const now = Date.now();
+            setProblem(chosen);
+            setCode(starterTemplates[languageId]);
+            setMessages([{ sender: 'interviewer', text: `Hi, thanks for joining! Today's problem is "${chosen.title}". Take a minute to read it, ask any clarifying questions, and then talk me through your approach before you start coding.` }]);
+            setReport(null);
+            setRunOutput('');
+            setStartedAt(now);
+            setEndedAt(null);
+            setRemainingMs(durationMinutes * 60000);
+            setPhase('running');
+        } catch (err) {
+            console.error("Could not start interview:", err);
+            setError(`Could not start the interview: ${err.message}`);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const streamInterviewerReply = async (conversation, instruction) => {
+        setPendingReply('');
+        pendingReplyRef.current = '';
+        let reply = '';
+        const controller = new AbortController();
+        replyAbortRef.current = controller;
+        try {
+            await streamGeminiAPI(
+                buildInterviewerPrompt({ problem, messages: conversation, code, languageName: languageMap[languageId], instruction }),
+                (token) => { reply += token; pendingReplyRef.current = reply; setPendingReply(prev => prev + token); },
+                { signal: controller.signal }
+            );
+        } catch (err) {
+            // Ending the interview aborts the reply; whatever streamed so far is kept without an error note.
+            if (!isAbortError(err) && !controller.signal.aborted) {
+                console.error("Interviewer reply failed:", err);
+                reply = reply || `(The interviewer could not respond: ${err.message})`;
+            }
+        } finally {
+            replyAbortRef.current = null;
+            pendingReplyRef.current = null;
+        }
+        if (reply) setMessages(prev => [...prev, { sender: 'interviewer', text: reply }]);
+        setPendingReply(null);
+    };
+
+    const sendMessage = async (e) => {
+        e.preventDefault();
+        const text = input.trim();
+        if (!text || pendingReply !== null) return;
+        const next = [...messages, { sender: 'candidate', text }];
+        messagesRef.current = next;
+        setMessages(next);
+        setInput('');
+        await streamInterviewerReply(next, "Reply to the candidate's last message as the interviewer.");
+    };
+
+    const askFollowUp = () => streamInterviewerReply(messages, "Ask the candidate one follow-up question about their current code: its correctness, an edge case it misses, or its time and space complexity. Do not answer it yourself.");
+
+    const runInterviewCode = async () => {
+        setIsRunning(true);
+        setRunOutput('Running...');
+        try {
+            const data = await executeCode(backendId, { code, languageId });
+            setRunOutput(data.stdout || data.stderr || data.compile_output || data.message || 'No output');
+        } catch (err) {
+            console.error("Execution Error:", err.response?.data || err.message);
+            setRunOutput("Error: " + describeExecutionError(err));
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    const generateReport = async (finishedAt, transcript = messagesRef.current) => {
+        setIsWorking(true);
+        setError('');
+        try {
+            const prompt = `You were the interviewer in this coding interview. Assess the candidate on a 1-5 scale for ${rubricCategories.map(category => `"${category.key}"`).join(', ')}, each with a score and comments, plus an "overallScore", a short "summary", and lists of "strengths" and "improvements".
+
+Problem "${problem.title}":
+${problem.statement}
+
+Time used: ${Math.round((finishedAt - startedAt) / 60000)} of ${durationMinutes} minutes.
+
+Final ${languageMap[languageId]} code:
+\`\`\`
+${code}
+\`\`\`
+
+Transcript:
+${formatTranscript(trimHistoryToBudget(transcript, CHAT_HISTORY_TOKEN_BUDGET * 3))}`;
+            const result = normalizeInterviewReport(JSON.parse(await callGeminiAPI(prompt, true, interviewReportSchema)));
+            const interview = { problem, durationMinutes, languageId, startedAt, endedAt: finishedAt, transcript, code, report: result };
+            await addDoc(collection(db, `artifacts/${appId}/users/${user.uid}/interviews`), interview);
+            setReport(result);
+            setPhase('done');
+        } catch (err) {
+            console.error("Could not create interview report:", err);
+            setError(`Could not create the report: ${err.message}`);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const endInterview = () => {
+        if (phase !== 'running') return;
+        const partialReply = pendingReplyRef.current;
+        const transcript = partialReply ? [...messagesRef.current, { sender: 'interviewer', text: partialReply }] : messagesRef.current;
+        replyAbortRef.current?.abort();
+        const finishedAt = Date.now();
+        setEndedAt(finishedAt);
+        setPhase('ended');
+        generateReport(finishedAt, transcript);
+    };
+
+    // The timer callback is registered once per session, so it reads the latest endInterview from a ref.
+    const endInterviewRef = useRef(endInterview);
+    endInterviewRef.current = endInterview;
+
+    useEffect(() => {
+        if (phase !== 'running') return;
+        const endsAt = startedAt + durationMinutes * 60000;
+        const timer = setInterval(() => {
+            const left = Math.max(0, endsAt - Date.now());
+            setRemainingMs(left);
+            if (left === 0) endInterviewRef.current();
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [phase, startedAt, durationMinutes]);
+
+    const selectLanguage = (id) => {
+        setLanguageId(id);
+        setCode(starterTemplates[id]);
+    };
+
+    const minutes = Math.floor(remainingMs / 60000);
+    const seconds = Math.floor((remainingMs % 60000) / 1000);
+    const unsupportedLanguage = backendSupportError(backendId, languageId);
+
+    if (phase === 'setup' || phase === 'done') {
+        return (
+            <div className="space-y-6">
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h2 className="text-3xl font-bold mb-4 text-gray-800">🎤 Mock Interview</h2>
+                    {phase === 'done' && report && (
+                        <div className="mb-6 border-b border-gray-200 pb-6">
+                            <InterviewReport interview={{ problem, durationMinutes, languageId, startedAt, endedAt, report }} />
+                        </div>
+                    )}
+                    <p className="text-gray-600">The interviewer picks a problem based on the topics you have completed. Talk through your approach in the chat, write your solution in the editor, and get a rubric report when time is up.</p>
+                    <div className="flex flex-wrap items-center gap-4 mt-4">
+                        <label className="text-sm text-gray-600">Duration
+                            <select value={durationMinutes} onChange={(e) => setDurationMinutes(Number(e.target.value))} className="ml-2 p-2 border border-gray-300 rounded-md">
+                                {interviewDurations.map(duration => <option key={duration} value={duration}>{duration} minutes</option>)}
+                            </select>
+                        </label>
+                        <label className="text-sm text-gray-600">Language
+                            <select value={languageId} onChange={(e) => selectLanguage(Number(e.target.value))} className="ml-2 p-2 border border-gray-300 rounded-md">
+                                {Object.entries(languageMap).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                            </select>
+                        </label>
+                        <label className="text-sm text-gray-600">Run on
+                            <select value={backendId} onChange={(e) => setBackendId(e.target.value)} className="ml-2 p-2 border border-gray-300 rounded-md">
+                                {Object.entries(executionBackends).map(([id, backend]) => <option key={id} value={id}>{backend.label}</option>)}
+                            </select>
+                        </label>
+                        <button onClick={startInterview} disabled={isWorking} className="px-6 py-2 bg-blue-600 text-white rounded-lg shadow-md hover:bg-blue-700 disabled:opacity-50">
+                            {isWorking ? 'Choosing a problem...' : phase === 'done' ? 'Start another interview' : 'Start interview'}
+                        </button>
+                    </div>
+                    {unsupportedLanguage && <p className="mt-2 text-sm text-orange-600">{unsupportedLanguage} You can still write and discuss your code, but not run it.</p>}
+                    {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+                </div>
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-bold text-gray-800 mb-3">Past Interviews</h3>
+                    {history.length === 0 && <p className="text-sm text-gray-500">No interviews yet.</p>}
+                    <ul className="divide-y divide-gray-200">
+                        {history.map(interview => (
+                            <li key={interview.id}>
+                                <button onClick={() => setSelectedInterview(selectedInterview?.id === interview.id ? null : interview)} className="w-full flex items-center justify-between py-2 text-left hover:bg-gray-50">
+                                    <span className="text-gray-800">{interview.problem.title} <span className="text-sm text-gray-500">· {new Date(interview.startedAt).toLocaleDateString()}</span></span>
+                                    <span className="font-semibold text-blue-600">{interview.report.overallScore} / 5</span>
+                                </button>
+                                {selectedInterview?.id === interview.id && <div className="py-4"><InterviewReport interview={interview} /></div>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-white p-6 rounded-xl shadow-lg">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-2xl font-bold text-gray-800">{problem.title}</h2>
+                    <span className={`font-mono text-xl font-bold ${remainingMs < 5 * 60000 ? 'text-red-600' : 'text-gray-800'}`}>
+                        {phase === 'running' ? `${minutes}:${String(seconds).padStart(2, '0')}` : 'Time'}
+                    </span>
+                </div>
+                <p className="text-xs text-gray-500 mb-2">{problem.topic} · {problem.difficulty}</p>
+                <p className="text-gray-700 text-sm whitespace-pre-wrap">{problem.statement}</p>
+                <p className="text-gray-600 text-sm whitespace-pre-wrap mt-2"><strong>Constraints:</strong> {problem.constraints}</p>
+                <pre className="mt-2 bg-gray-50 p-2 rounded text-xs whitespace-pre-wrap">{problem.examples}</pre>
+                <div className="mt-4">
+                    <CodeEditor value={code} onChange={setCode} languageId={languageId} diagnostics={[]} />
+                </div>
+                <div className="flex items-center space-x-3 mt-3">
+                    <button onClick={runInterviewCode} disabled={isRunning || phase !== 'running' || !!unsupportedLanguage} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">{isRunning ? 'Running...' : '▶ Run'}</button>
+                    <button onClick={endInterview} disabled={phase !== 'running'} className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50">End interview</button>
+                </div>
+                {unsupportedLanguage && <p className="mt-2 text-sm text-orange-600">{unsupportedLanguage}</p>}
+                {runOutput && <pre className="bg-black text-white p-3 rounded mt-3 text-sm overflow-x-auto">{runOutput}</pre>}
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg flex flex-col h-[80vh]">
+                <h3 className="text-xl font-bold text-gray-800 mb-3">Interviewer</h3>
+                <div className="flex-1 overflow-y-auto space-y-3">
+                    {messages.map((msg, i) => (
+                        <div key={i} className={`flex ${msg.sender === 'candidate' ? 'justify-end' : 'justify-start'}`}>
+                            <div className={`max-w-xs md:max-w-md p-3 rounded-lg text-sm whitespace-pre-wrap ${msg.sender === 'candidate' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-800'}`}>{msg.text}</div>
+                        </div>
+                    ))}
+                    {pendingReply !== null && (
+                        <div className="flex justify-start">
+                            <div className="max-w-xs md:max-w-md p-3 rounded-lg text-sm whitespace-pre-wrap bg-gray-200 text-gray-800">{pendingReply || '...'}</div>
+                        </div>
+                    )}
+                </div>
+                {phase === 'running' ? (
+                    <>
+                        <button onClick={askFollowUp} disabled={pendingReply !== null} className="mt-3 self-start text-xs font-semibold px-3 py-1 rounded-full bg-purple-100 text-purple-800 hover:bg-purple-200 disabled:opacity-50">Ask me about my code</button>
+                        <form onSubmit={sendMessage} className="mt-3 flex">
+                            <input type="text" value={input} onChange={(e) => setInput(e.target.value)} placeholder="Talk to the interviewer..." className="flex-1 p-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-blue-500"/>
+                            <button type="submit" disabled={pendingReply !== null} className="bg-blue-600 text-white px-4 rounded-r-md hover:bg-blue-700 disabled:opacity-50">Send</button>
+                        </form>
+                    </>
+                ) : (
+                    <div className="mt-3 text-sm">
+                        {isWorking && <p className="text-gray-600">Writing your report...</p>}
+                        {error && (
+                            <div className="flex items-center space-x-3">
+                                <p className="text-red-500">{error}</p>
+                                <button onClick={() => generateReport(endedAt)} className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700">Retry</button>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const DASHBOARD_PAGE_SIZE = 25;
+
+const dashboardSortFields = {
+    name: 'nameLower',
+    percent: 'progress.percent',
+    streak: 'progress.streak',
+    lastActive: 'progress.lastActiveAt',
+};
+
+const dashboardFilters = {
+    all: { label: 'All users' },
+    inactive7: { label: 'Inactive for 7+ days', inactiveDays: 7 },
+    inactive30: { label: 'Inactive for 30+ days', inactiveDays: 30 },
+    noPlan: { label: 'No plan yet' },
+};
+
+// Every query here only needs Firestore's automatic single-field indexes. A search or an
+// inactivity filter sets its own order, so the column sort only applies without them.
+const buildDashboardQuery = ({ search, searchField, filter, sortKey, sortDirection }) => {
+    const users = collection(db, usersPath);
+    const term = search.trim().toLowerCase();
+    if (term) return query(users, where(searchField, '>=', term), where(searchField, '<=', `${term}\uf8ff`), orderBy(searchField));
+    const { inactiveDays } = dashboardFilters[filter];
+    if (inactiveDays) return query(users, where('progress.lastActiveAt', '<', Date.now() - inactiveDays * 86400000), orderBy('progress.lastActiveAt', 'desc'));
+    if (filter === 'noPlan') return query(users, where('progress.total', '==', 0));
+    return query(users, orderBy(dashboardSortFields[sortKey], sortDirection));
+};
+
+const dashboardCsvColumns = [
+    ['Name', (profile) => profile.displayName || ''],
+    ['Email', (profile) => profile.email || ''],
+    ['Completed', (profile) => profile.progress?.completed ?? 0],
+    ['Total', (profile) => profile.progress?.total ?? 0],
+    ['Completion %', (profile) => profile.progress?.percent ?? 0],
+    ['Streak', (profile, today) => currentStreak(profile.progress, today)],
+    ['Last active', (profile) => profile.progress?.lastActiveAt ? new Date(profile.progress.lastActiveAt).toISOString() : ''],
+];
+
+const UserDashboard = () => {
+    const [users, setUsers] = useState([]);
+    // The last document of each page before the current one; the next page starts after lastDocRef.
+    const [pageCursors, setPageCursors] = useState([]);
+    const [hasNextPage, setHasNextPage] = useState(false);
+    const [search, setSearch] = useState('');
+    const [searchField, setSearchField] = useState('nameLower');
+    const [filter, setFilter] = useState('all');
+    const [sortKey, setSortKey] = useState('name');
+    const [sortDirection, setSortDirection] = useState('asc');
+    const [isLoading, setIsLoading] = useState(true);
+    const [isExporting, setIsExporting] = useState(false);
+    const [isBackfilling, setIsBackfilling] = useState(false);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    const lastDocRef = useRef(null);
+
+    const dashboardQuery = useMemo(() => buildDashboardQuery({ search, searchField, filter, sortKey, sortDirection }), [search, searchField, filter, sortKey, sortDirection]);
+    const isCustomOrder = search.trim() !== '' || filter !== 'all';
+
+    const loadPage = useCallback(async (cursor) => {
+        setIsLoading(true);
+        setError('');
+        try {
+            // One extra document tells whether there is a next page.
+            const snapshot = await getDocs(query(dashboardQuery, ...(cursor ? [startAfter(cursor)] : []), limit(DASHBOARD_PAGE_SIZE + 1)));
+            const pageDocs = snapshot.docs.slice(0, DASHBOARD_PAGE_SIZE);
+            setUsers(pageDocs.map(doc => ({ uid: doc.id, ...doc.data() })));
+            setHasNextPage(snapshot.docs.length > DASHBOARD_PAGE_SIZE);
+            lastDocRef.current = pageDocs[pageDocs.length - 1] || null;
+        } catch (e) {
+            console.error("Error fetching users:", e);
+            setError("Could not load users.");
+        } finally {
+            setIsLoading(false);
+        }
+    }, [dashboardQuery]);
+
+    useEffect(() => {
+        setPageCursors([]);
+        loadPage(null);
+    }, [loadPage]);
+
+    const handleNextPage = () => {
+        setPageCursors(prev => [...prev, lastDocRef.current]);
+        loadPage(lastDocRef.current);
+    };
+
+    const handlePreviousPage = () => {
+        const cursors = pageCursors.slice(0, -1);
+        setPageCursors(cursors);
+        loadPage(cursors[cursors.length - 1] || null);
+    };
+
+    const handleSort = (key) => {
+        if (key === sortKey) setSortDirection(prev => prev === 'asc' ? 'desc' : 'asc');
+        else { setSortKey(key); setSortDirection(key === 'name' ? 'asc' : 'desc'); }
+    };
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        setError('');
+        try {
+            const snapshot = await getDocs(dashboardQuery);
+            const today = toDateString(new Date());
+            const csv = [
+                dashboardCsvColumns.map(([header]) => header).join(','),
+                ...snapshot.docs.map(doc => dashboardCsvColumns.map(([, value]) => escapeCsvField(String(value(doc.data(), today)))).join(',')),
+            ].join('\n');
+            downloadTextFile('dsa-users.csv', csv, 'text/csv');
+        } catch (e) {
+            console.error("Error exporting users:", e);
+            setError("Could not export users.");
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    // Profiles created before the counters existed are missing from sorted and searched queries
+    // until they get the fields. Counts fill in the next time each user opens the planner.
+    const handleBackfill = async () => {
+        setIsBackfilling(true);
+        setError('');
+        setNotice('');
+        try {
+            const snapshot = await getDocs(collection(db, usersPath));
+            const outdated = snapshot.docs.filter(doc => doc.data().nameLower === undefined || doc.data().progress?.lastActiveAt === undefined);
+            for (let i = 0; i < outdated.length; i += 400) {
+                const batch = writeBatch(db);
+                outdated.slice(i, i + 400).forEach(doc => {
+                    batch.update(doc.ref, { ...searchFieldsFor(doc.data()), progress: { ...emptyProgressCounters, ...doc.data().progress } });
+                });
+                await batch.commit();
+            }
+            setNotice(`Updated ${outdated.length} profile${outdated.length === 1 ? '' : 's'}.`);
+            loadPage(null);
+            setPageCursors([]);
+        } catch (e) {
+            console.error("Error backfilling profiles:", e);
+            setError("Could not update older profiles.");
+        } finally {
+            setIsBackfilling(false);
+        }
+    };
+
+    const today = toDateString(new Date());
+    const sortHeader = (key, label) => (
+        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+            <button onClick={() => handleSort(key)} disabled={isCustomOrder} className="uppercase tracking-wider hover:text-gray-800 disabled:hover:text-gray-500">
+                {label}{!isCustomOrder && sortKey === key && (sortDirection === 'asc' ? ' ▲' : ' ▼')}
+            </button>
+        </th>
+    );
+
+    return (
+        <div className="bg-white p-8 rounded-xl shadow-lg">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                <h2 className="text-3xl font-bold text-gray-800">User Dashboard</h2>
+                <div className="flex space-x-2 text-sm">
+                    <button onClick={handleBackfill} disabled={isBackfilling} className="px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50">{isBackfilling ? 'Updating...' : 'Update older profiles'}</button>
+                    <button onClick={handleExport} disabled={isExporting} className="px-3 py-2 bg-white border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50 disabled:opacity-50">{isExporting ? 'Exporting...' : '⬇ CSV'}</button>
+                </div>
+            </div>
+            <div className="flex flex-wrap gap-3 mb-4">
+                <div className="flex flex-1 min-w-[16rem]">
+                    <select value={searchField} onChange={(e) => setSearchField(e.target.value)} className="p-2 text-sm border border-gray-300 rounded-l-md bg-gray-50">
+                        <option value="nameLower">Name</option>
+                        <option value="emailLower">Email</option>
+                    </select>
+                    <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Starts with..." className="flex-1 p-2 text-sm border border-l-0 border-gray-300 rounded-r-md"/>
+                </div>
+                <select value={filter} onChange={(e) => setFilter(e.target.value)} disabled={search.trim() !== ''} className="p-2 text-sm border border-gray-300 rounded-md disabled:opacity-50">
+                    {Object.entries(dashboardFilters).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+            </div>
+            {isCustomOrder && <p className="text-xs text-gray-500 mb-2">{search.trim() ? 'Search results are sorted by the searched field; filters are ignored while searching.' : 'Filtered results use their own order.'}</p>}
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            {notice && <p className="text-green-500 text-sm mb-4">{notice}</p>}
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            {sortHeader('name', 'User')}
+                            {sortHeader('percent', 'Progress')}
+                            {sortHeader('streak', 'Streak')}
+                            {sortHeader('lastActive', 'Last active')}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {users.map(user => (
+                            <tr key={user.uid}>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                    <p className="font-medium text-gray-900">{user.displayName}</p>
+                                    <p className="text-gray-500">{user.email}</p>
+                                </td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                    {user.progress?.total > 0 ? `${user.progress.completed} / ${user.progress.total} topics completed (${user.progress.percent}%)` : 'No plan generated'}
+                                </td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{currentStreak(user.progress, today)} day{currentStreak(user.progress, today) === 1 ? '' : 's'}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{user.progress?.lastActiveAt ? new Date(user.progress.lastActiveAt).toLocaleDateString() : 'Never'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {isLoading && <div className="text-center p-6"><div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div></div>}
+            {!isLoading && users.length === 0 && <p className="text-sm text-gray-500 text-center p-6">No users match.</p>}
+            <div className="flex items-center justify-between mt-4 text-sm">
+                <button onClick={handlePreviousPage} disabled={isLoading || pageCursors.length === 0} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">← Previous</button>
+                <span className="text-gray-500">Page {pageCursors.length + 1}</span>
+                <button onClick={handleNextPage} disabled={isLoading || !hasNextPage} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">Next →</button>
+            </div>
+        </div>
+    );
+};
+
+
+// hiddenTests are saved to the problem's admin-only private/tests doc, not to the public problem doc.
+const emptyProblem = () => ({
+    title: '',
+    difficulty: 'Easy',
+    topicIds: [],
+    statement: '',
+    constraints: '',
+    sampleTests: [{ input: '', expected: '' }],
+    hiddenTests: [{ input: '', expected: '' }],
+    starterCode: {},
+    published: false,
+});
+
+const TestListEditor = ({ label, tests, onChange }) => (
+    <div className="mb-4">
+        <div className="flex items-center justify-between mb-2">
+            <span className="block text-sm font-medium text-gray-700">{label}</span>
+            <button type="button" onClick={() => onChange([...tests, { input: '', expected: '' }])} className="text-xs text-blue-600 hover:underline">+ Add test</button>
+        </div>
+        {tests.map((test, i) => (
+            <div key={i} className="grid grid-cols-[1fr_1fr_auto] gap-2 mb-2">
+                <textarea rows={2} value={test.input} onChange={(e) => onChange(tests.map((t, j) => j === i ? { ...t, input: e.target.value } : t))} placeholder="Input" className="p-2 font-mono text-xs border border-gray-300 rounded-md"/>
+                <textarea rows={2} value={test.expected} onChange={(e) => onChange(tests.map((t, j) => j === i ? { ...t, expected: e.target.value } : t))} placeholder="Expected output" className="p-2 font-mono text-xs border border-gray-300 rounded-md"/>
+                <button type="button" onClick={() => onChange(tests.filter((_, j) => j !== i))} className="text-xs text-gray-400 hover:text-red-600">Remove</button>
+            </div>
+        ))}
+    </div>
+);
+
+// Starter code keys used by the AI draft schema, mapped to Judge0 language ids.
+const starterCodeKeys = { cpp: 54, c: 52, python: 71, javascript: 63 };
+
+const ProblemBankAdmin = () => {
+    const [topics, setTopics] = useState([]);
+    const [problems, setProblems] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(emptyProblem());
+    const [starterLanguageId, setStarterLanguageId] = useState(54);
+    const [isDrafting, setIsDrafting] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const problemsPath = `artifacts/${appId}/public/data/problems`;
+    const problemTestsRef = (problemId) => doc(db, `${problemsPath}/${problemId}/private`, 'tests');
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, topicsPath), (snapshot) => {
+            setTopics(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isActiveTopic));
+        }, (err) => console.error("Error fetching topics:", err));
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, problemsPath), (snapshot) => {
+            setProblems(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching problems:", err));
+        return () => unsubscribe();
+    }, [problemsPath]);
+
+    const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const toggleTopic = (topicId) => {
+        setForm(prev => ({
+            ...prev,
+            topicIds: prev.topicIds.includes(topicId) ? prev.topicIds.filter(id => id !== topicId) : [...prev.topicIds, topicId]
+        }));
+    };
+
+    const resetForm = () => {
+        setEditingId(null);
+        setForm(emptyProblem());
+    };
+
+    const handleEdit = async (problem) => {
+        const { id, ...data } = problem;
+        setEditingId(id);
+        setForm({ ...emptyProblem(), ...data, hiddenTests: [] });
+        setError(''); setSuccess('');
+        try {
+            const tests = await getDoc(problemTestsRef(id));
+            // Problems saved before hidden tests moved to private/tests still carry them on the problem doc.
+            setForm(prev => ({ ...prev, hiddenTests: tests.data()?.hiddenTests || data.hiddenTests || [] }));
+        } catch (e) {
+            console.error("Error fetching hidden tests:", e);
+            setError("Could not load the hidden tests.");
+        }
+    };
+
+    // Fills the form with an AI draft; nothing is saved until the admin reviews it and publishes.
+    const handleAIDraft = async () => {
+        if (!form.title.trim()) { setError("Enter a problem idea or title first."); return; }
+        setIsDrafting(true); setError(''); setSuccess('');
+        try {
+            const topicNames = topics.filter(t => form.topicIds.includes(t.id)).map(t => t.name).join(', ') || 'general DSA';
+            const prompt = `You are a competitive programming problem setter. Draft a ${form.difficulty} problem titled or described as "${form.title}" practising these topics: ${topicNames}. Programs read from standard input and write to standard output. Provide a clear statement, constraints, 2 sample tests, 5 hidden tests covering edge cases, and starter code for C++, C, Python and JavaScript that reads the input but leaves the solution unimplemented.`;
+            const testSchema = { type: "ARRAY", items: { type: "OBJECT", properties: { input: { type: "STRING" }, expected: { type: "STRING" } }, required: ["input", "expected"] } };
+            const schema = {
+                type: "OBJECT",
+                properties: {
+                    title: { type: "STRING" },
+                    statement: { type: "STRING" },
+                    constraints: { type: "STRING" },
+                    sampleTests: testSchema,
+                    hiddenTests: testSchema,
+                    starterCode: { type: "OBJECT", properties: { cpp: { type: "STRING" }, c: { type: "STRING" }, python: { type: "STRING" }, javascript: { type: "STRING" } } }
+                },
+                required: ["title", "statement", "constraints", "sampleTests", "hiddenTests", "starterCode"]
+            };
+            const jsonString = await callGeminiAPI(prompt, true, schema);
+            const draft = JSON.parse(jsonString);
+            const starterCode = {};
+            Object.entries(starterCodeKeys).forEach(([key, languageId]) => {
+                if (draft.starterCode?.[key]) starterCode[languageId] = draft.starterCode[key];
+            });
+            setForm(prev => ({ ...prev, ...draft, starterCode, published: false }));
+            setSuccess("AI draft ready. Review every field before publishing.");
+        } catch (e) {
+            console.error(e);
+            setError(`Error drafting problem: ${e.message}`);
+        } finally {
+            setIsDrafting(false);
+        }
+    };
+
+    const handleSave = async (published) => {
+        if (!form.title.trim() || !form.statement.trim()) { setError("Title and statement are required."); return; }
+        if (form.topicIds.length === 0) { setError("Link the problem to at least one topic."); return; }
+        if (published && form.hiddenTests.length === 0) { setError("Add at least one hidden test before publishing."); return; }
+        setIsSaving(true); setError(''); setSuccess('');
+        try {
+            const { hiddenTests, ...problem } = form;
+            const problemRef = editingId ? doc(db, problemsPath, editingId) : doc(collection(db, problemsPath));
+            const batch = writeBatch(db);
+            batch.set(problemRef, { ...problem, published });
+            batch.set(problemTestsRef(problemRef.id), { hiddenTests });
+            await batch.commit();
+            setSuccess(published ? `Published: ${form.title}` : `Saved draft: ${form.title}`);
+            resetForm();
+        } catch (e) {
+            console.error(e);
+            setError(`Error saving problem: ${e.message}`);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDelete = async (problemId) => {
+        try {
+            const batch = writeBatch(db);
+            batch.delete(doc(db, problemsPath, problemId));
+            batch.delete(problemTestsRef(problemId));
+            await batch.commit();
+            if (problemId === editingId) resetForm();
+        } catch (e) {
+            console.error("Error deleting problem:", e);
+            setError("Could not delete the problem.");
+        }
+    };
+
+    return (
+        <div className="bg-white p-8 rounded-xl shadow-lg">
+            <h2 className="text-3xl font-bold mb-6 text-gray-800">{editingId ? 'Edit Problem' : 'New Problem'}</h2>
+            <div className="grid grid-cols-3 gap-4 mb-4">
+                <div className="col-span-2">
+                    <label htmlFor="problemTitle" className="block text-sm font-medium text-gray-700 mb-2">Title or idea</label>
+                    <input type="text" id="problemTitle" value={form.title} onChange={(e) => updateField('title', e.target.value)} className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500" placeholder="Two Sum"/>
+                </div>
+                <div>
+                    <label htmlFor="problemDifficulty" className="block text-sm font-medium text-gray-700 mb-2">Difficulty</label>
+                    <select id="problemDifficulty" value={form.difficulty} onChange={(e) => updateField('difficulty', e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
+                        <option>Easy</option><option>Medium</option><option>Hard</option>
+                    </select>
+                </div>
+            </div>
+            <div className="mb-4">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Topics</span>
+                <div className="flex flex-wrap gap-2">
+                    {topics.map(topic => (
+                        <button key={topic.id} type="button" onClick={() => toggleTopic(topic.id)} className={`px-3 py-1 text-xs rounded-full border ${form.topicIds.includes(topic.id) ? 'bg-blue-600 text-white border-blue-600' : 'bg-gray-50 text-gray-700 border-gray-200'}`}>{topic.name}</button>
+                    ))}
+                </div>
+            </div>
+            <button type="button" onClick={handleAIDraft} disabled={isDrafting} className="mb-4 w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white font-bold py-2 px-4 rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300 shadow-md disabled:opacity-50">
+                {isDrafting ? 'Drafting with AI...' : '✨ Draft with AI'}
+            </button>
+            <div className="mb-4">
+                <label htmlFor="problemStatement" className="block text-sm font-medium text-gray-700 mb-2">Statement</label>
+                <textarea id="problemStatement" rows={6} value={form.statement} onChange={(e) => updateField('statement', e.target.value)} className="w-full p-2 border border-gray-300 rounded-md"/>
+            </div>
+            <div className="mb-4">
+                <label htmlFor="problemConstraints" className="block text-sm font-medium text-gray-700 mb-2">Constraints</label>
+                <textarea id="problemConstraints" rows={3} value={form.constraints} onChange={(e) => updateField('constraints', e.target.value)} className="w-full p-2 border border-gray-300 rounded-md"/>
+            </div>
+            <TestListEditor label="Sample tests (shown to users)" tests={form.sampleTests} onChange={(tests) => updateField('sampleTests', tests)} />
+            <TestListEditor label="Hidden tests (admins only, graded on submit)" tests={form.hiddenTests} onChange={(tests) => updateField('hiddenTests', tests)} />
+            <div className="mb-4">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Starter code</span>
+                <nav className="flex space-x-4 mb-2">
+                    {Object.entries(languageMap).map(([id, name]) => (
+                        <button key={id} type="button" onClick={() => setStarterLanguageId(Number(id))} className={`text-sm ${starterLanguageId === Number(id) ? 'text-blue-600 font-semibold' : 'text-gray-500'}`}>{name}</button>
+                    ))}
+                </nav>
+                <textarea rows={8} value={form.starterCode[starterLanguageId] || ''} onChange={(e) => updateField('starterCode', { ...form.starterCode, [starterLanguageId]: e.target.value })} className="w-full p-2 bg-black text-green-400 font-mono text-sm rounded-md"/>
+            </div>
+            <div className="flex space-x-3">
+                <button type="button" onClick={() => handleSave(false)} disabled={isSaving} className="flex-1 bg-gray-200 text-gray-800 font-bold py-3 px-4 rounded-lg hover:bg-gray-300 disabled:opacity-50">Save Draft</button>
+                <button type="button" onClick={() => handleSave(true)} disabled={isSaving} className="flex-1 bg-gradient-to-r from-green-500 to-teal-500 text-white font-bold py-3 px-4 rounded-lg hover:from-green-600 hover:to-teal-600 disabled:opacity-50">Publish</button>
+                {editingId && <button type="button" onClick={resetForm} className="px-4 text-sm text-gray-500 hover:text-gray-800">Cancel</button>}
+            </div>
+            {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+            {success && <p className="text-green-500 text-sm mt-4">{success}</p>}
+
+            <h3 className="text-xl font-bold mt-8 mb-3 text-gray-800">Problem Bank</h3>
+            {problems.length === 0 && <p className="text-sm text-gray-500">No problems yet.</p>}
+            {problems.map(problem => (
+                <div key={problem.id} className="flex items-center justify-between p-3 my-2 rounded-lg bg-gray-50 border border-gray-200">
+                    <div>
+                        <span className="font-semibold text-gray-800">{problem.title}</span>
+                        <span className={`ml-2 px-2 py-1 text-xs font-medium rounded-full ${problem.published ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>{problem.published ? 'Published' : 'Draft'}</span>
+                        <p className="text-xs text-gray-500 mt-1">{topics.filter(t => problem.topicIds?.includes(t.id)).map(t => t.name).join(', ')}</p>
+                    </div>
+                    <div className="flex space-x-3 text-sm">
+                        <button onClick={() => handleEdit(problem)} className="text-blue-600 hover:underline">Edit</button>
+                        <button onClick={() => handleDelete(problem.id)} className="text-gray-400 hover:text-red-600">Delete</button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Form values are plain strings; lists are edited one entry per line (tags comma separated).
+const topicEditorFields = [
+    { key: 'name', label: 'Name' },
+    { key: 'duration', label: 'Duration (days)' },
+    { key: 'difficulty', label: 'Difficulty' },
+    { key: 'subtopics', label: 'Subtopics (one per line)', multiline: true },
+    { key: 'outcomes', label: 'Learning outcomes (one per line)', multiline: true },
+    { key: 'tags', label: 'Tags (comma separated)' },
+    { key: 'resources', label: 'Resources (one per line: label | url)', multiline: true },
+];
+
+const topicToForm = (topic) => ({
+    name: topic.name || '',
+    duration: String(topic.duration ?? ''),
+    difficulty: topic.difficulty || 'Medium',
+    subtopics: (topic.subtopics || []).join('\n'),
+    outcomes: (topic.outcomes || []).join('\n'),
+    tags: (topic.tags || []).join(', '),
+    resources: (topic.resources || []).map(formatResourceEntry).join('\n'),
+});
+
+const topicDetailsSchema = { type: "OBJECT", properties: {
+    duration: { type: "NUMBER" },
+    difficulty: { type: "STRING", enum: difficultyLevels },
+    subtopics: { type: "ARRAY", items: { type: "STRING" } },
+    outcomes: { type: "ARRAY", items: { type: "STRING" } },
+    tags: { type: "ARRAY", items: { type: "STRING" } },
+    resources: { type: "ARRAY", items: { type: "OBJECT", properties: { label: { type: "STRING" }, url: { type: "STRING" } }, required: ["label", "url"] } }
+}, required: ["duration", "difficulty", "subtopics", "outcomes", "tags", "resources"] };
+
+const TopicEditor = ({ user, topic, topics, onClose }) => {
+    const [form, setForm] = useState(() => topicToForm(topic));
+    const [suggestions, setSuggestions] = useState({});
+    const [isSuggesting, setIsSuggesting] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const updateField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+    const handleSuggest = async () => {
+        setIsSuggesting(true);
+        setError('');
+        try {
+            const prompt = `You are a DSA curriculum designer. For the topic "${form.name}", suggest an estimated "duration" in study days, a "difficulty", 3-8 "subtopics", 3-5 measurable "outcomes" (what a learner can do afterwards), a few lowercase "tags", and 2-4 "resources" (label and URL) from well-known sites such as GeeksforGeeks, LeetCode, CP-Algorithms or Wikipedia.`;
+            const { topic: suggested } = validateTopic({ name: form.name, ...JSON.parse(await callGeminiAPI(prompt, true, topicDetailsSchema)) });
+            const suggestedForm = topicToForm(suggested);
+            // Only fields where the AI proposes something different are offered.
+            setSuggestions(Object.fromEntries(topicEditorFields
+                .filter(field => field.key !== 'name' && suggestedForm[field.key] && suggestedForm[field.key] !== form[field.key])
+                .map(field => [field.key, suggestedForm[field.key]])));
+        } catch (e) {
+            console.error("Topic suggestion failed:", e);
+            setError(`Could not get suggestions: ${e.message}`);
+        } finally {
+            setIsSuggesting(false);
+        }
+    };
+
+    const resolveSuggestion = (key, accept) => {
+        if (accept) updateField(key, suggestions[key]);
+        setSuggestions(prev => { const next = { ...prev }; delete next[key]; return next; });
+    };
+
+    const handleSave = async () => {
+        const { topic: validated, corrections, errors } = validateTopic({ ...form, tags: cleanStringList(form.tags, /[\n;,]/) });
+        if (errors.length > 0) { setError(errors.join(' ')); return; }
+        if (topics.some(other => other.id !== topic.id && normalizeTopicName(other.name) === normalizeTopicName(validated.name))) {
+            setError(`Another topic is already named "${validated.name}".`);
+            return;
+        }
+        setIsSaving(true);
+        setError('');
+        try {
+            const { name, duration, difficulty, subtopics, outcomes, tags, resources } = validated;
+            const batch = writeBatch(db);
+            writeTopicChange(batch, { action: 'update', topicId: topic.id, before: topic, after: { ...topic, name, duration, difficulty, subtopics, outcomes, tags, resources }, actor: user });
+            await batch.commit();
+            if (corrections.length > 0) {
+                setForm(topicToForm(validated));
+                setNotice(`Saved with corrections: ${corrections.join(' ')}`);
+            } else {
+                onClose();
+            }
+        } catch (e) {
+            console.error("Error saving topic:", e);
+            setError("Could not save the topic.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="mt-3 space-y-3">
+            {topicEditorFields.map(field => (
+                <div key={field.key}>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">{field.label}</label>
+                    {field.key === 'difficulty' ? (
+                        <select value={form.difficulty} onChange={(e) => updateField('difficulty', e.target.value)} className="w-full p-2 text-sm border border-gray-300 rounded-md">
+                            {difficultyLevels.map(level => <option key={level} value={level}>{level}</option>)}
+                        </select>
+                    ) : field.multiline ? (
+                        <textarea rows={3} value={form[field.key]} onChange={(e) => updateField(field.key, e.target.value)} className="w-full p-2 text-sm border border-gray-300 rounded-md"/>
+                    ) : (
+                        <input type={field.key === 'duration' ? 'number' : 'text'} value={form[field.key]} onChange={(e) => updateField(field.key, e.target.value)} className="w-full p-2 text-sm border border-gray-300 rounded-md"/>
+                    )}
+                    {suggestions[field.key] !== undefined && (
+                        <div className="mt-1 p-2 bg-purple-50 border border-purple-200 rounded-md text-xs">
+                            <div className="flex items-start justify-between">
+                                <span className="text-purple-800 whitespace-pre-wrap">AI suggests: {suggestions[field.key]}</span>
+                                <span className="ml-3 space-x-2 whitespace-nowrap">
+                                    <button onClick={() => resolveSuggestion(field.key, true)} className="font-semibold text-purple-800 hover:underline">Accept</button>
+                                    <button onClick={() => resolveSuggestion(field.key, false)} className="text-gray-500 hover:underline">Reject</button>
+                                </span>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            ))}
+            <div className="flex items-center space-x-3">
+                <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 disabled:opacity-50">{isSaving ? 'Saving...' : 'Save'}</button>
+                <button onClick={handleSuggest} disabled={isSuggesting || !form.name.trim()} className="px-4 py-2 bg-purple-600 text-white text-sm rounded-lg hover:bg-purple-700 disabled:opacity-50">{isSuggesting ? 'Asking AI...' : '✨ Suggest with AI'}</button>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">Cancel</button>
+            </div>
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+            {notice && <p className="text-yellow-700 text-sm">{notice}</p>}
+        </div>
+    );
+};
+
+const importStatusStyles = {
+    new: 'bg-green-100 text-green-800',
+    changed: 'bg-blue-100 text-blue-800',
+    unchanged: 'bg-gray-100 text-gray-600',
+    duplicate: 'bg-yellow-100 text-yellow-800',
+    invalid: 'bg-red-100 text-red-800',
+};
+
+const TopicCatalogAdmin = ({ user }) => {
+    const [topics, setTopics] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [importPreview, setImportPreview] = useState(null);
+    const [isApplying, setIsApplying] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const importInputRef = useRef(null);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, topicsPath), (snapshot) => {
+            setTopics(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isActiveTopic).sort((a, b) => a.name.localeCompare(b.name)));
+        }, (err) => console.error("Error fetching topics:", err));
+        return () => unsubscribe();
+    }, []);
+
+    const handleExport = (format) => {
+        if (format === 'csv') downloadTextFile('dsa-topics.csv', serializeCatalogCsv(topics), 'text/csv');
+        else downloadTextFile('dsa-topics.json', serializeCatalogJson(topics), 'application/json');
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        setError('');
+        setSuccess('');
+        try {
+            const text = await file.text();
+            const rawEntries = /\.csv$/i.test(file.name) ? parseCatalogCsv(text) : parseCatalogJson(text);
+            if (rawEntries.length === 0) throw new Error("The file contains no topics.");
+            setImportPreview({ fileName: file.name, ...diffTopicCatalog(rawEntries, topics) });
+        } catch (err) {
+            console.error("Error reading topic catalog:", err);
+            setError(`Could not read ${file.name}: ${err.message}`);
+        }
+    };
+
+    const applyImport = async () => {
+        const toWrite = importPreview.entries.filter(entry => entry.status === 'new' || entry.status === 'changed');
+        setIsApplying(true);
+        setError('');
+        let written = 0;
+        try {
+            // New topics get their ids up front so prerequisites can point at topics in any batch.
+            const idByName = new Map(topics.map(topic => [normalizeTopicName(topic.name), topic.id]));
+            const ids = new Map(toWrite.map(entry => [entry, entry.existingId || doc(collection(db, topicsPath)).id]));
+            toWrite.forEach(entry => idByName.set(normalizeTopicName(entry.name), ids.get(entry)));
+            // Each topic takes two writes (the topic and its audit entry), so 200 topics stay well under
+            // Firestore's 500-write batch limit.
+            for (let i = 0; i < toWrite.length; i += 200) {
+                const chunk = toWrite.slice(i, i + 200);
+                const batch = writeBatch(db);
+                chunk.forEach(entry => {
+                    const data = { ...entry.topic, prerequisites: entry.topic.prerequisites.map(name => idByName.get(normalizeTopicName(name))).filter(Boolean) };
+                    const existing = topics.find(topic => topic.id === entry.existingId);
+                    writeTopicChange(batch, existing
+                        ? { action: 'update', topicId: existing.id, before: existing, after: { ...existing, ...data }, actor: user }
+                        : { action: 'create', topicId: ids.get(entry), before: null, after: data, actor: user });
+                });
+                await batch.commit();
+                written += chunk.length;
+            }
+            const added = toWrite.filter(entry => entry.status === 'new').length;
+            setSuccess(`Imported ${importPreview.fileName}: ${added} added, ${toWrite.length - added} updated.`);
+            setImportPreview(null);
+        } catch (err) {
+            console.error("Error importing topics:", err);
+            setError(written > 0
+                ? `Imported ${written} of ${toWrite.length} topics before an error. Import the file again to finish; topics already written will show as unchanged.`
+                : "Could not import the topics.");
+        } finally {
+            setIsApplying(false);
+        }
+    };
+
+    const counts = importPreview ? importPreview.entries.reduce((acc, entry) => ({ ...acc, [entry.status]: (acc[entry.status] || 0) + 1 }), {}) : {};
+    const canApply = importPreview && !importPreview.cycle && (counts.new || counts.changed);
+
+    return (
+        <div className="bg-white p-8 rounded-xl shadow-lg">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                <h2 className="text-3xl font-bold text-gray-800">Topic Catalog</h2>
+                <div className="flex space-x-2 text-sm">
+                    <button onClick={() => handleExport('json')} disabled={topics.length === 0} className="px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50">⬇ JSON</button>
+                    <button onClick={() => handleExport('csv')} disabled={topics.length === 0} className="px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50">⬇ CSV</button>
+                    <button onClick={() => importInputRef.current?.click()} className="px-3 py-2 bg-white border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50">⬆ Import</button>
+                    <input ref={importInputRef} type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImportFile} className="hidden"/>
+                </div>
+            </div>
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            {success && <p className="text-green-500 text-sm mb-4">{success}</p>}
+
+            {importPreview && (
+                <div className="mb-6 p-4 border-l-4 border-blue-500 bg-blue-50 rounded-lg">
+                    <h3 className="text-lg font-bold text-gray-800">Import preview: {importPreview.fileName}</h3>
+                    <p className="text-sm text-gray-600 mt-1">
+                        Dry run, nothing has been saved. {Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}.
+                    </p>
+                    {importPreview.cycle && <p className="text-sm text-red-700 mt-2">This import would create a circular dependency: {importPreview.cycle.join(' → ')}.</p>}
+                    <table className="min-w-full mt-3 text-sm bg-white">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Topic</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {importPreview.entries.map(entry => (
+                                <tr key={entry.row} className="align-top">
+                                    <td className="px-3 py-2 text-gray-500">{entry.row}</td>
+                                    <td className="px-3 py-2 text-gray-800">{entry.name}</td>
+                                    <td className="px-3 py-2"><span className={`px-2 py-1 text-xs font-medium rounded-full ${importStatusStyles[entry.status]}`}>{entry.status}</span></td>
+                                    <td className="px-3 py-2 text-xs text-gray-600 space-y-1">
+                                        {entry.changes?.map(change => (
+                                            <div key={change.field}><strong>{change.field}:</strong> <span className="line-through text-gray-400">{change.from}</span> → <span className="text-blue-700">{change.to}</span></div>
+                                        ))}
+                                        {entry.errors?.map((message, i) => <div key={i} className="text-red-600">{message}</div>)}
+                                        {entry.corrections?.map((message, i) => <div key={i} className="text-yellow-700">{message}</div>)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <div className="flex space-x-3 mt-4">
+                        <button onClick={applyImport} disabled={!canApply || isApplying} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">{isApplying ? 'Importing...' : 'Apply import'}</button>
+                        <button onClick={() => setImportPreview(null)} className="bg-gray-200 text-gray-800 font-bold py-2 px-4 rounded-lg hover:bg-gray-300">Cancel</button>
+                    </div>
+                </div>
+            )}
+
+            {topics.length === 0 && <p className="text-sm text-gray-500">No topics yet.</p>}
+            {topics.map(topic => (
+                <div key={topic.id} className="p-3 my-2 rounded-lg bg-gray-50 border border-gray-200">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <span className="font-semibold text-gray-800">{topic.name}</span>
+                            <span className="ml-2 text-xs text-gray-500">{topic.duration} days · {topic.difficulty}</span>
+                            {topic.tags?.length > 0 && <span className="ml-2 text-xs text-gray-500">#{topic.tags.join(' #')}</span>}
+                        </div>
+                        {editingId !== topic.id && <button onClick={() => setEditingId(topic.id)} className="text-sm text-blue-600 hover:underline">Edit</button>}
+                    </div>
+                    {editingId === topic.id && <TopicEditor user={user} topic={topic} topics={topics} onClose={() => setEditingId(null)} />}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const TopicPrerequisitesAdmin = ({ user }) => {
+    const [topics, setTopics] = useState([]);
+    // Unsaved edits, keyed by topic id; topics without an entry keep their stored prerequisites.
+    const [edits, setEdits] = useState({});
+    const [suggestions, setSuggestions] = useState({});
+    const [isSuggesting, setIsSuggesting] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, topicsPath), (snapshot) => {
+            setTopics(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isActiveTopic).sort((a, b) => a.name.localeCompare(b.name)));
+        }, (err) => console.error("Error fetching topics:", err));
+        return () => unsubscribe();
+    }, []);
+
+    const draftTopics = topics.map(topic => edits[topic.id] ? { ...topic, prerequisites: edits[topic.id] } : topic);
+    const cycle = findPrerequisiteCycle(draftTopics);
+    const nameOf = (id) => topics.find(topic => topic.id === id)?.name || 'Deleted topic';
+
+    const setPrerequisites = (topicId, prerequisites) => {
+        setEdits(prev => ({ ...prev, [topicId]: prerequisites }));
+        setSuccess('');
+    };
+
+    const handleSuggest = async () => {
+        setIsSuggesting(true);
+        setError('');
+        try {
+            const suggested = await suggestPrerequisitesWithAI(topics);
+            // Only keep suggestions that differ from what is already set.
+            const current = Object.fromEntries(draftTopics.map(topic => [topic.id, prerequisiteIdsOf(topic)]));
+            setSuggestions(Object.fromEntries(Object.entries(suggested).filter(([id, ids]) =>
+                ids.length !== current[id].length || ids.some(pid => !current[id].includes(pid)))));
+        } catch (e) {
+            console.error("Prerequisite suggestion failed:", e);
+            setError(`Could not get suggestions: ${e.message}`);
+        } finally {
+            setIsSuggesting(false);
+        }
+    };
+
+    const acceptSuggestion = (topicId) => {
+        setPrerequisites(topicId, suggestions[topicId]);
+        dismissSuggestion(topicId);
+    };
+
+    const dismissSuggestion = (topicId) => {
+        setSuggestions(prev => { const next = { ...prev }; delete next[topicId]; return next; });
+    };
+
+    const handleSave = async () => {
+        if (cycle) { setError(`Cannot save a circular dependency: ${cycle.join(' → ')}.`); return; }
+        setIsSaving(true);
+        setError('');
+        try {
+            const batch = writeBatch(db);
+            Object.entries(edits).forEach(([topicId, prerequisites]) => {
+                const topic = topics.find(t => t.id === topicId);
+                writeTopicChange(batch, { action: 'update', topicId, before: topic, after: { ...topic, prerequisites }, actor: user });
+            });
+            await batch.commit();
+            setSuccess(`Saved prerequisites for ${Object.keys(edits).length} topic${Object.keys(edits).length === 1 ? '' : 's'}.`);
+            setEdits({});
+        } catch (e) {
+            console.error("Error saving prerequisites:", e);
+            setError("Could not save prerequisites.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-8 rounded-xl shadow-lg">
+            <div className="flex items-center justify-between mb-6">
+                <h2 className="text-3xl font-bold text-gray-800">Topic Prerequisites</h2>
+                <button onClick={handleSuggest} disabled={isSuggesting || topics.length < 2} className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50">
+                    {isSuggesting ? 'Asking AI...' : '✨ Suggest with AI'}
+                </button>
+            </div>
+            {cycle && <p className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">Circular dependency: {cycle.join(' → ')}. Remove one of these links before saving.</p>}
+            <div className="space-y-3">
+                {draftTopics.map(topic => (
+                    <div key={topic.id} className={`p-3 rounded-lg border ${edits[topic.id] ? 'border-blue-300 bg-blue-50' : 'border-gray-200 bg-gray-50'}`}>
+                        <div className="flex items-center justify-between">
+                            <span className="font-semibold text-gray-800">{topic.name}</span>
+                            <select value="" onChange={(e) => e.target.value && setPrerequisites(topic.id, [...prerequisiteIdsOf(topic), e.target.value])} className="p-1 text-sm border border-gray-300 rounded-md">
+                                <option value="">+ Add prerequisite</option>
+                                {topics.filter(other => other.id !== topic.id && !prerequisiteIdsOf(topic).includes(other.id)).map(other => (
+                                    <option key={other.id} value={other.id}>{other.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="flex flex-wrap gap-1 mt-2">
+                            {prerequisiteIdsOf(topic).length === 0 && <span className="text-xs text-gray-400">No prerequisites</span>}
+                            {prerequisiteIdsOf(topic).map(id => (
+                                <span key={id} className="px-2 py-1 text-xs rounded-full bg-white border border-gray-300 text-gray-700">
+                                    {nameOf(id)} <button onClick={() => setPrerequisites(topic.id, prerequisiteIdsOf(topic).filter(pid => pid !== id))} className="ml-1 text-gray-400 hover:text-red-600">×</button>
+                                </span>
+                            ))}
+                        </div>
+                        {suggestions[topic.id] && (
+                            <div className="flex items-center justify-between mt-2 text-xs text-purple-800">
+                                <span>AI suggests: {suggestions[topic.id].length ? suggestions[topic.id].map(nameOf).join(', ') : 'no prerequisites'}</span>
+                                <span className="space-x-2">
+                                    <button onClick={() => acceptSuggestion(topic.id)} className="font-semibold hover:underline">Accept</button>
+                                    <button onClick={() => dismissSuggestion(topic.id)} className="text-gray-500 hover:underline">Dismiss</button>
+                                </span>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+            <div className="flex space-x-3 mt-6">
+                <button onClick={handleSave} disabled={isSaving || Object.keys(edits).length === 0 || !!cycle} className="flex-1 bg-gradient-to-r from-green-500 to-teal-500 text-white font-bold py-3 px-4 rounded-lg hover:from-green-600 hover:to-teal-600 disabled:opacity-50">
+                    {isSaving ? 'Saving...' : 'Save Prerequisites'}
+                </button>
+                {Object.keys(edits).length > 0 && <button onClick={() => setEdits({})} className="px-4 text-sm text-gray-500 hover:text-gray-800">Discard changes</button>}
+            </div>
+            {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+            {success && <p className="text-green-500 text-sm mt-4">{success}</p>}
+            <h3 className="text-xl font-bold mt-8 mb-3 text-gray-800">Graph</h3>
+            <TopicGraph topics={draftTopics} timetable={[]} />
+        </div>
+    );
+};
+
+const topicActionStyles = {
+    create: 'bg-green-100 text-green-800',
+    update: 'bg-blue-100 text-blue-800',
+    delete: 'bg-red-100 text-red-800',
+    restore: 'bg-purple-100 text-purple-800',
+};
+
+const TopicAuditLog = ({ user }) => {
+    const [entries, setEntries] = useState([]);
+    // Includes deleted topics, which is what restores are checked against.
+    const [topics, setTopics] = useState([]);
+    const [topicFilter, setTopicFilter] = useState('');
+    const [actorFilter, setActorFilter] = useState('');
+    const [restoringId, setRestoringId] = useState(null);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        const q = query(collection(db, topicAuditPath), orderBy("timestamp", "desc"), limit(500));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            // Older entries stored Date.now() numbers; newer ones store server timestamps.
+            setEntries(snapshot.docs.map(doc => {
+                const data = doc.data({ serverTimestamps: 'estimate' });
+                return { id: doc.id, ...data, timestamp: data.timestamp?.toMillis?.() ?? data.timestamp };
+            }));
+        }, (err) => {
+            console.error("Error fetching topic audit log:", err);
+            setError("Could not load the audit log.");
+        });
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, topicsPath), (snapshot) => {
+            setTopics(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching topics:", err));
+        return () => unsubscribe();
+    }, []);
+
+    // Filter options come from the log so deleted and renamed topics can still be found.
+    const topicOptions = [...new Map(entries.map(entry => [entry.topicId, topics.find(topic => topic.id === entry.topicId)?.name || entry.topicName])).entries()]
+        .sort((a, b) => a[1].localeCompare(b[1]));
+    const actorOptions = [...new Map(entries.map(entry => [entry.actorUid, entry.actorName])).entries()]
+        .sort((a, b) => a[1].localeCompare(b[1]));
+    const visibleEntries = entries.filter(entry => (!topicFilter || entry.topicId === topicFilter) && (!actorFilter || entry.actorUid === actorFilter));
+
+    const isCurrentVersion = (entry) => {
+        const topic = topics.find(t => t.id === entry.topicId);
+        return !!topic && isActiveTopic(topic) && topic.version === entry.version && entry.action !== 'delete';
+    };
+
+    const handleRestore = async (entry) => {
+        const current = topics.find(topic => topic.id === entry.topicId) || null;
+        const otherTopics = topics.filter(topic => isActiveTopic(topic) && topic.id !== entry.topicId);
+        if (otherTopics.some(topic => normalizeTopicName(topic.name) === normalizeTopicName(entry.snapshot.name))) {
+            setError(`Another topic is already named "${entry.snapshot.name}".`);
+            return;
+        }
+        const cycle = findPrerequisiteCycle([...otherTopics, { id: entry.topicId, ...entry.snapshot }]);
+        if (cycle) {
+            setError(`Restoring this version would create a circular dependency: ${cycle.join(' → ')}.`);
+            return;
+        }
+        setRestoringId(entry.id);
+        setError('');
+        setSuccess('');
+        try {
+            const batch = writeBatch(db);
+            writeTopicChange(batch, { action: 'restore', topicId: entry.topicId, before: current, after: entry.snapshot, actor: user });
+            await batch.commit();
+            setSuccess(`Restored "${entry.snapshot.name}" to version ${entry.version}.`);
+        } catch (e) {
+            console.error("Error restoring topic version:", e);
+            setError("Could not restore this version.");
+        } finally {
+            setRestoringId(null);
+        }
+    };
+
+    return (
+        <div className="bg-white p-8 rounded-xl shadow-lg">
+            <h2 className="text-3xl font-bold mb-6 text-gray-800">Topic History</h2>
+            <div className="flex flex-wrap gap-3 mb-4">
+                <select value={topicFilter} onChange={(e) => setTopicFilter(e.target.value)} className="p-2 text-sm border border-gray-300 rounded-md">
+                    <option value="">All topics</option>
+                    {topicOptions.map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                </select>
+                <select value={actorFilter} onChange={(e) => setActorFilter(e.target.value)} className="p-2 text-sm border border-gray-300 rounded-md">
+                    <option value="">All admins</option>
+                    {actorOptions.map(([uid, name]) => <option key={uid} value={uid}>{name}</option>)}
+                </select>
+            </div>
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            {success && <p className="text-green-500 text-sm mb-4">{success}</p>}
+            {visibleEntries.length === 0 && <p className="text-sm text-gray-500">No changes recorded yet.</p>}
+            <div className="space-y-2">
+                {visibleEntries.map(entry => (
+                    <div key={entry.id} className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+                        <div className="flex items-center justify-between">
+                            <div className="text-sm">
+                                <span className={`px-2 py-1 mr-2 text-xs font-medium rounded-full ${topicActionStyles[entry.action]}`}>{entry.action}</span>
+                                <span className="font-semibold text-gray-800">{entry.topicName}</span>
+                                <span className="ml-2 text-gray-500">v{entry.version} · {entry.actorName} · {new Date(entry.timestamp).toLocaleString()}</span>
+                            </div>
+                            {isCurrentVersion(entry) ? (
+                                <span className="text-xs text-gray-400">Current</span>
+                            ) : (
+                                <button onClick={() => handleRestore(entry)} disabled={restoringId !== null} className="text-sm text-blue-600 hover:underline disabled:opacity-50">
+                                    {restoringId === entry.id ? 'Restoring...' : 'Restore'}
+                                </button>
+                            )}
+                        </div>
+                        {entry.changes.length > 0 && (
+                            <div className="mt-2 text-xs text-gray-600 space-y-1">
+                                {entry.changes.map(change => (
+                                    <div key={change.field}>
+                                        <strong>{change.field}:</strong>{' '}
+                                        {change.from !== null && <><span className="line-through text-gray-400">{formatTopicValue(change.field, change.from, topics)}</span> → </>}
+                                        <span className="text-blue-700">{formatTopicValue(change.field, change.to, topics)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Pages through profiles with the dashboard's queries and only listens to the role docs of the
+// visible page, plus the mentor role docs that fill the mentor picker.
+const RoleManager = ({ user }) => {
+    const [profiles, setProfiles] = useState([]);
+    const [roleDocs, setRoleDocs] = useState({});
+    const [mentors, setMentors] = useState([]);
+    const [pageCursors, setPageCursors] = useState([]);
+    const [hasNextPage, setHasNextPage] = useState(false);
+    const [search, setSearch] = useState('');
+    const [searchField, setSearchField] = useState('nameLower');
+    const [isLoading, setIsLoading] = useState(true);
+    const [savingUid, setSavingUid] = useState(null);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const lastDocRef = useRef(null);
+
+    const profilesQuery = useMemo(() => buildDashboardQuery({ search, searchField, filter: 'all', sortKey: 'name', sortDirection: 'asc' }), [search, searchField]);
+
+    const loadPage = useCallback(async (cursor) => {
+        setIsLoading(true);
+        setError('');
+        try {
+            const snapshot = await getDocs(query(profilesQuery, ...(cursor ? [startAfter(cursor)] : []), limit(DASHBOARD_PAGE_SIZE + 1)));
+            const pageDocs = snapshot.docs.slice(0, DASHBOARD_PAGE_SIZE);
+            setProfiles(pageDocs.map(doc => ({ uid: doc.id, ...doc.data() })));
+            setHasNextPage(snapshot.docs.length > DASHBOARD_PAGE_SIZE);
+            lastDocRef.current = pageDocs[pageDocs.length - 1] || null;
+        } catch (e) {
+            console.error("Error fetching users:", e);
+            setError("Could not load users.");
+        } finally {
+            setIsLoading(false);
+        }
+    }, [profilesQuery]);
+
+    useEffect(() => {
+        setPageCursors([]);
+        loadPage(null);
+    }, [loadPage]);
+
+    const handleNextPage = () => {
+        setPageCursors(prev => [...prev, lastDocRef.current]);
+        loadPage(lastDocRef.current);
+    };
+
+    const handlePreviousPage = () => {
+        const cursors = pageCursors.slice(0, -1);
+        setPageCursors(cursors);
+        loadPage(cursors[cursors.length - 1] || null);
+    };
+
+    // A page is never larger than the 30 ids an 'in' query accepts.
+    const pageUids = profiles.map(profile => profile.uid).join(',');
+    useEffect(() => {
+        setRoleDocs({});
+        if (!pageUids) return;
+        const unsubscribe = onSnapshot(query(collection(db, rolesPath), where(documentId(), 'in', pageUids.split(','))), (snapshot) => {
+            setRoleDocs(Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data()])));
+        }, (err) => console.error("Error fetching roles:", err));
+        return () => unsubscribe();
+    }, [pageUids]);
+
+    useEffect(() => {
+        let isCurrent = true;
+        const unsubscribe = onSnapshot(query(collection(db, rolesPath), where('role', '==', 'mentor')), async (snapshot) => {
+            try {
+                const mentorUids = snapshot.docs.map(doc => doc.id).filter(uid => uid !== ADMIN_UID);
+                const mentorProfiles = await Promise.all(mentorUids.map(uid => getDoc(doc(db, usersPath, uid))));
+                if (!isCurrent) return;
+                setMentors(mentorProfiles.map(profile => ({ uid: profile.id, ...profile.data() })).sort((a, b) => (a.displayName || '').localeCompare(b.displayName || '')));
+            } catch (e) {
+                console.error("Error fetching mentors:", e);
+            }
+        }, (err) => console.error("Error fetching mentors:", err));
+        return () => { isCurrent = false; unsubscribe(); };
+    }, []);
+
+    const saveRole = async (profile, changes) => {
+        const current = { role: roleOf(profile.uid, roleDocs[profile.uid]), mentorUid: roleDocs[profile.uid]?.mentorUid || null };
+        const next = { ...current, ...changes };
+        // Only students have a mentor.
+        if (next.role !== 'student') next.mentorUid = null;
+        setSavingUid(profile.uid);
+        setError('');
+        setSuccess('');
+        try {
+            const batch = writeBatch(db);
+            batch.set(doc(db, rolesPath, profile.uid), { ...next, updatedBy: user.uid, updatedAt: Date.now() });
+            // A mentor who loses the role no longer has access to their students.
+            if (current.role === 'mentor' && next.role !== 'mentor') {
+                const students = await getDocs(query(collection(db, rolesPath), where('mentorUid', '==', profile.uid)));
+                students.docs.forEach(student => {
+                    batch.update(student.ref, { mentorUid: null, updatedBy: user.uid, updatedAt: Date.now() });
+                });
+            }
+            await batch.commit();
+            setSuccess(`Updated ${profile.displayName || profile.email}.`);
+        } catch (e) {
+            console.error("Error saving role:", e);
+            setError("Could not save the role.");
+        } finally {
+            setSavingUid(null);
+        }
+    };
+
+    return (
+        <div className="bg-white p-8 rounded-xl shadow-lg">
+            <h2 className="text-3xl font-bold mb-2 text-gray-800">Roles</h2>
+            <p className="text-sm text-gray-500 mb-6">Admins manage topics, problems and roles. Mentors can view the progress of the students assigned to them. Everyone else is a student.</p>
+            <div className="flex mb-2">
+                <select value={searchField} onChange={(e) => setSearchField(e.target.value)} className="p-2 text-sm border border-gray-300 rounded-l-md bg-gray-50">
+                    <option value="nameLower">Name</option>
+                    <option value="emailLower">Email</option>
+                </select>
+                <input type="text" placeholder="Starts with..." value={search} onChange={(e) => setSearch(e.target.value)} className="flex-1 p-2 text-sm border border-l-0 border-gray-300 rounded-r-md focus:ring-2 focus:ring-blue-500"/>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">Users missing from this list need the "Update older profiles" step on the User Dashboard.</p>
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            {success && <p className="text-green-500 text-sm mb-4">{success}</p>}
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                            <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                            <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Mentor</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {profiles.map(profile => {
+                            const role = roleOf(profile.uid, roleDocs[profile.uid]);
+                            // The VITE_ADMIN_UID account and your own account cannot be changed here, so admins cannot lock themselves out.
+                            const isLocked = profile.uid === ADMIN_UID || profile.uid === user.uid;
+                            return (
+                                <tr key={profile.uid}>
+                                    <td className="px-4 py-3 text-sm">
+                                        <p className="font-medium text-gray-900">{profile.displayName}</p>
+                                        <p className="text-gray-500">{profile.email}</p>
+                                    </td>
+                                    <td className="px-4 py-3 text-sm">
+                                        <select value={role} disabled={isLocked || savingUid === profile.uid} onChange={(e) => saveRole(profile, { role: e.target.value })} className="p-1 border border-gray-300 rounded-md disabled:opacity-50">
+                                            {roles.map(option => <option key={option} value={option}>{option}</option>)}
+                                        </select>
+                                        {profile.uid === ADMIN_UID && <span className="ml-2 text-xs text-gray-400">owner</span>}
+                                    </td>
+                                    <td className="px-4 py-3 text-sm">
+                                        {role === 'student' ? (
+                                            <select value={roleDocs[profile.uid]?.mentorUid || ''} disabled={savingUid === profile.uid} onChange={(e) => saveRole(profile, { mentorUid: e.target.value || null })} className="p-1 border border-gray-300 rounded-md disabled:opacity-50">
+                                                <option value="">No mentor</option>
+                                                {mentors.map(mentor => <option key={mentor.uid} value={mentor.uid}>{mentor.displayName || mentor.email}</option>)}
+                                            </select>
+                                        ) : <span className="text-gray-400">—</span>}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            {isLoading && <div className="text-center p-6"><div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div></div>}
+            {!isLoading && profiles.length === 0 && <p className="text-sm text-gray-500 text-center p-6">No users match.</p>}
+            <div className="flex items-center justify-between mt-4 text-sm">
+                <button onClick={handlePreviousPage} disabled={isLoading || pageCursors.length === 0} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">← Previous</button>
+                <span className="text-gray-500">Page {pageCursors.length + 1}</span>
+                <button onClick={handleNextPage} disabled={isLoading || !hasNextPage} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">Next →</button>
+            </div>
+            <details className="mt-8">
+                <summary className="cursor-pointer text-sm font-medium text-gray-700">Firestore security rules</summary>
+                <p className="text-sm text-gray-500 mt-2">Roles are enforced by these rules. Publish them in Firestore Database &gt; Rules after upgrading.</p>
+                <button onClick={() => navigator.clipboard?.writeText(buildSecurityRules())} className="mt-2 px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700">Copy rules</button>
+                <pre className="bg-gray-800 text-white p-4 rounded-md mt-3 text-xs overflow-x-auto">{buildSecurityRules()}</pre>
+            </details>
+        </div>
+    );
+};
+
+const AdminPage = ({ user }) => {
+    const [adminView, setAdminView] = useState('addTopic');
+
+    const AddTopicForm = () => {
+        const [topicName, setTopicName] = useState('');
+        const [isLoading, setIsLoading] = useState(false);
+        const [error, setError] = useState('');
+        const [success, setSuccess] = useState('');
+    
+        const handleAddTopic = async (e) => {
+            e.preventDefault();
+            if (!topicName.trim()) { setError("Topic name cannot be empty."); return; }
+            
+            setIsLoading(true); setError(''); setSuccess('');
+            try {
+                const prompt = `Generate a detailed learning plan for the topic: "${topicName}". The output must be a valid JSON object with keys: "name", "duration" (an integer number of study days), "difficulty" ("Easy", "Medium", or "Hard"), "subtopics", "outcomes" (what a learner can do afterwards), lowercase "tags", and "resources" (label and URL from well-known sites such as GeeksforGeeks or LeetCode).`;
+                const schema = { ...topicDetailsSchema, properties: { name: { type: "STRING" }, ...topicDetailsSchema.properties }, required: ["name", ...topicDetailsSchema.required] };
+                
+                const jsonString = await callGeminiAPI(prompt, true, schema);
+                let parsedTopic;
+                try {
+                    parsedTopic = JSON.parse(jsonString);
+                } catch {
+                    console.error("AI returned invalid JSON:", jsonString);
+                    throw new Error("The AI returned an invalid response. Please try rephrasing your topic.");
+                }
+                const { topic: newTopic, corrections, errors } = validateTopic(parsedTopic);
+                if (errors.length > 0) throw new Error(errors.join(' '));
+    
+                const batch = writeBatch(db);
+                writeTopicChange(batch, { action: 'create', before: null, after: newTopic, actor: user });
+                await batch.commit();
+                setSuccess(`Successfully added topic: ${newTopic.name}${corrections.length > 0 ? `. Corrected: ${corrections.join(' ')}` : ''}`);
+                setTopicName('');
+            } catch (e) {
+                console.error(e);
+                setError(`Error adding topic: ${e.message}`);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+    
+        return (
+            <div className="bg-white p-8 rounded-xl shadow-lg">
+                <h2 className="text-3xl font-bold mb-6 text-gray-800">Add New Topic</h2>
+                <form onSubmit={handleAddTopic}>
+                    <div className="mb-4">
+                        <label htmlFor="topicName" className="block text-sm font-medium text-gray-700 mb-2">New Topic Name (e.g., OOPS)</label>
+                        <input type="text" id="topicName" value={topicName} onChange={(e) => setTopicName(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500" placeholder="Object-Oriented Programming"/>
+                    </div>
+                    <button type="submit" disabled={isLoading} className="w-full bg-gradient-to-r from-green-500 to-teal-500 text-white font-bold py-3 px-4 rounded-lg hover:from-green-600 hover:to-teal-600 transition-all duration-300 shadow-md disabled:opacity-50">
+                        {isLoading ? 'Generating with AI...' : '✨ Add Topic with AI'}
+                    </button>
+                    {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+                    {success && <p className="text-green-500 text-sm mt-4">{success}</p>}
+                </form>
+            </div>
+        );
+    };
+
+    return (
+        <div className="max-w-4xl mx-auto">
+            <div className="mb-6 border-b border-gray-200">
+                <nav className="-mb-px flex space-x-6 overflow-x-auto" aria-label="Tabs">
+                    <button onClick={() => setAdminView('addTopic')} className={`${adminView === 'addTopic' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-lg`}>Add Topic</button>
+                    <button onClick={() => setAdminView('catalog')} className={`${adminView === 'catalog' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-lg`}>Catalog</button>
+                    <button onClick={() => setAdminView('prerequisites')} className={`${adminView === 'prerequisites' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-lg`}>Prerequisites</button>
+                    <button onClick={() => setAdminView('history')} className={`${adminView === 'history' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-lg`}>History</button>
+                    <button onClick={() => setAdminView('problems')} className={`${adminView === 'problems' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-lg`}>Problems</button>
+                    <button onClick={() => setAdminView('roles')} className={`${adminView === 'roles' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-lg`}>Roles</button>
+                    <button onClick={() => setAdminView('dashboard')} className={`${adminView === 'dashboard' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-lg`}>Dashboard</button>
+                </nav>
+            </div>
+            {adminView === 'addTopic' && <AddTopicForm />}
+            {adminView === 'catalog' && <TopicCatalogAdmin user={user} />}
+            {adminView === 'prerequisites' && <TopicPrerequisitesAdmin user={user} />}
+            {adminView === 'history' && <TopicAuditLog user={user} />}
+            {adminView === 'problems' && <ProblemBankAdmin />}
+            {adminView === 'roles' && <RoleManager user={user} />}
+            {adminView === 'dashboard' && <UserDashboard />}
+        </div>
+    );
+};
+
+// --- Progress Analytics ---
+const ANALYTICS_HEATMAP_WEEKS = 16;
+
+// Items completed before completion times were recorded count as done on their planned date.
+const completionDateOf = (item) => {
+    if (!item.completed) return null;
+    return item.completedAt ? toDateString(new Date(item.completedAt)) : item.date;
+};
+
+// Items left per day: "planned" if every item were done on its date, "actual" from completion
+// dates (only up to today).
+const buildBurndown = (timetable, today) => {
+    const plannedDates = timetable.map(item => item.date).filter(Boolean).sort();
+    if (plannedDates.length === 0) return [];
+    const completionDates = timetable.map(completionDateOf).filter(Boolean).sort();
+    const start = [plannedDates[0], completionDates[0]].filter(Boolean).sort()[0];
+    const end = plannedDates[plannedDates.length - 1] > today ? plannedDates[plannedDates.length - 1] : today;
+    const total = timetable.length;
+    const points = [];
+    for (let date = start, planned = 0, done = 0; date <= end; date = addDays(date, 1)) {
+        while (planned < plannedDates.length && plannedDates[planned] <= date) planned++;
+        while (done < completionDates.length && completionDates[done] <= date) done++;
+        points.push({ date, planned: total - planned, actual: date <= today ? total - done : null });
+    }
+    return points;
+};
 
-  const runCode = async () => {
-    setIsRunning(true);
-    setOutput("Running...");
+// A streak is a run of days with at least one completion; the current one may end yesterday.
+const completionStreaks = (completionDates, today) => {
+    const days = [...new Set(completionDates)].sort();
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, i) => {
+        run = i > 0 && addDays(days[i - 1], 1) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+    const daySet = new Set(days);
+    let current = 0;
+    for (let day = daySet.has(today) ? today : addDays(today, -1); daySet.has(day); day = addDays(day, -1)) current++;
+    return { current, longest };
+};
 
-    try {
-      const { data } = await axios.post(
-        "https://ce.judge0.com/submissions?base64_encoded=false&wait=true",
-        {
-          source_code: code,
-          language_id: languageId,
-        },
-        { headers: { "Content-Type": "application/json" } }
-      );
+const completionByDifficulty = (timetable, topics) => {
+    const difficultyOf = new Map(topics.map(topic => [topic.name, topic.difficulty]));
+    return [...difficultyLevels, 'Other']
+        .map(difficulty => {
+            const items = timetable.filter(item => (difficultyLevels.includes(difficultyOf.get(item.topic)) ? difficultyOf.get(item.topic) : 'Other') === difficulty);
+            const completed = items.filter(item => item.completed).length;
+            return { difficulty, completed, total: items.length, percent: items.length ? Math.round((completed / items.length) * 100) : 0 };
+        })
+        .filter(entry => entry.total > 0);
+};
 
-      const result =
-        data.stdout || data.stderr || data.compile_output || "No output";
-      setOutput(result);
-    } catch (err) {
-      console.error("Judge0 Error:", err.response?.data || err.message);
-      setOutput("Error: " + (err.response?.data?.message || err.message));
-    } finally {
-      setIsRunning(false);
+// Weeks as columns (Sunday first), ending with the current week.
+const buildCompletionHeatmap = (completionDates, today, weeks) => {
+    const counts = completionDates.reduce((acc, date) => ({ ...acc, [date]: (acc[date] || 0) + 1 }), {});
+    const firstSunday = addDays(today, -new Date(`${today}T00:00:00Z`).getUTCDay() - (weeks - 1) * 7);
+    return Array.from({ length: weeks }, (_, week) => Array.from({ length: 7 }, (_, weekday) => {
+        const date = addDays(firstSunday, week * 7 + weekday);
+        return { date, count: counts[date] || 0, isFuture: date > today };
+    }));
+};
+
+const completionCellClass = (count) => {
+    if (count >= 3) return 'bg-green-600';
+    if (count === 2) return 'bg-green-400';
+    if (count === 1) return 'bg-green-200';
+    return 'bg-gray-100';
+};
+
+const BurndownChart = ({ points }) => {
+    const width = 560;
+    const height = 220;
+    const pad = 36;
+    const maxY = Math.max(...points.map(point => point.planned), ...points.map(point => point.actual ?? 0)) || 1;
+    const x = (i) => pad + (i / (points.length - 1 || 1)) * (width - 2 * pad);
+    const y = (value) => height - pad - (value / maxY) * (height - 2 * pad);
+    const line = (key) => points.map((point, i) => point[key] === null ? null : `${x(i)},${y(point[key])}`).filter(Boolean).join(' ');
+    const todayIndex = points.findIndex(point => point.actual === null) - 1;
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-white border border-gray-200 rounded">
+            <line x1={pad} y1={height - pad} x2={width - pad} y2={height - pad} stroke="#9ca3af" />
+            <line x1={pad} y1={pad} x2={pad} y2={height - pad} stroke="#9ca3af" />
+            <text x={pad} y={height - pad + 16} fontSize="10" fill="#6b7280">{points[0].date}</text>
+            <text x={width - pad} y={height - pad + 16} fontSize="10" fill="#6b7280" textAnchor="end">{points[points.length - 1].date}</text>
+            <text x={pad - 4} y={pad - 8} fontSize="10" fill="#6b7280">{maxY} items</text>
+            {todayIndex >= 0 && <line x1={x(todayIndex)} y1={pad} x2={x(todayIndex)} y2={height - pad} stroke="#d1d5db" strokeDasharray="2 3" />}
+            <polyline fill="none" stroke="#9ca3af" strokeWidth="2" strokeDasharray="6 4" points={line('planned')} />
+            <polyline fill="none" stroke="#2563eb" strokeWidth="2" points={line('actual')} />
+        </svg>
+    );
+};
+
+const ProgressAnalytics = ({ user }) => {
+    const [timetable, setTimetable] = useState([]);
+    const [topics, setTopics] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const q = query(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`), orderBy("order"));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setTimetable(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching timetable:", err);
+            setError("Could not load your timetable.");
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [user.uid]);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, topicsPath), (snapshot) => {
+            setTopics(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching topics:", err));
+        return () => unsubscribe();
+    }, []);
+
+    if (isLoading) {
+        return <div className="text-center p-10"><div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div></div>;
     }
-  };
 
-  return (
-    <div className="bg-white p-6 rounded-xl shadow-lg h-full flex flex-col">
-      <h2 className="text-3xl font-bold mb-4 text-gray-800">
-        Code Editor & Compiler
-      </h2>
+    const today = toDateString(new Date());
+    const completionDates = timetable.map(completionDateOf).filter(Boolean);
+    const completed = completionDates.length;
+    const overdue = timetable.filter(item => !item.completed && item.date < today).length;
+    const streaks = completionStreaks(completionDates, today);
+    const burndown = buildBurndown(timetable, today);
+    const byDifficulty = completionByDifficulty(timetable, topics);
+    const heatmap = buildCompletionHeatmap(completionDates, today, ANALYTICS_HEATMAP_WEEKS);
+    const stats = [
+        { label: 'Completed', value: `${completed} / ${timetable.length}` },
+        { label: 'Current streak', value: `${streaks.current} day${streaks.current === 1 ? '' : 's'}` },
+        { label: 'Longest streak', value: `${streaks.longest} day${streaks.longest === 1 ? '' : 's'}` },
+        { label: 'Overdue', value: overdue, highlight: overdue > 0 },
+    ];
 
-      <div className="mb-4 border-b border-gray-200">
-        <nav className="-mb-px flex space-x-6" aria-label="Tabs">
-          <button onClick={() => setLanguageId(54)} className={`${languageId === 54 ? "border-blue-500 text-blue-600" : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"} whitespace-nowrap py-2 px-3 border-b-2 font-medium text-sm`}>C++</button>
-          <button onClick={() => setLanguageId(52)} className={`${languageId === 52 ? "border-blue-500 text-blue-600" : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"} whitespace-nowrap py-2 px-3 border-b-2 font-medium text-sm`}>C</button>
-          <button onClick={() => setLanguageId(71)} className={`${languageId === 71 ? "border-blue-500 text-blue-600" : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"} whitespace-nowrap py-2 px-3 border-b-2 font-medium text-sm`}>Python</button>
-          <button onClick={() => setLanguageId(63)} className={`${languageId === 63 ? "border-blue-500 text-blue-600" : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"} whitespace-nowrap py-2 px-3 border-b-2 font-medium text-sm`}>JavaScript</button>
-        </nav>
-      </div>
+    return (
+        <div className="max-w-4xl mx-auto space-y-6">
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {stats.map(stat => (
+                    <div key={stat.label} className="bg-white p-5 rounded-xl shadow-lg">
+                        <p className="text-sm text-gray-500">{stat.label}</p>
+                        <p className={`text-2xl font-bold mt-1 ${stat.highlight ? 'text-red-600' : 'text-gray-800'}`}>{stat.value}</p>
+                    </div>
+                ))}
+            </div>
 
-      <textarea rows={12} value={code} onChange={(e) => setCode(e.target.value)} className="w-full flex-grow p-3 bg-black text-green-400 font-mono rounded-lg border border-gray-700"/>
+            <div className="bg-white p-8 rounded-xl shadow-lg">
+                <h3 className="text-2xl font-bold text-gray-800 mb-1">Plan vs. actual</h3>
+                <p className="text-sm text-gray-500 mb-4">Items left to do each day. <span className="text-gray-400">- - planned</span> · <span className="text-blue-600">— actual</span></p>
+                {burndown.length > 1 ? <BurndownChart points={burndown} /> : <p className="text-sm text-gray-500">Generate a plan in the Planner to see your burndown.</p>}
+            </div>
 
-      <div className="flex items-center space-x-4 mt-4">
-        <button onClick={runCode} disabled={isRunning} className="px-6 py-2 bg-blue-600 text-white rounded-lg shadow-md hover:bg-blue-700 disabled:opacity-50">
-            {isRunning ? "Running..." : "▶ Run Code"}
-        </button>
-        <button onClick={handleExplainCode} disabled={isExplainLoading} className="px-6 py-2 bg-purple-600 text-white rounded-lg shadow-md hover:bg-purple-700 disabled:opacity-50">
-            ✨ {isExplainLoading ? "Analyzing..." : "Explain Code with AI"}
-        </button>
-      </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="bg-white p-8 rounded-xl shadow-lg">
+                    <h3 className="text-2xl font-bold text-gray-800 mb-4">By difficulty</h3>
+                    {byDifficulty.length === 0 && <p className="text-sm text-gray-500">No items yet.</p>}
+                    <div className="space-y-3">
+                        {byDifficulty.map(entry => (
+                            <div key={entry.difficulty}>
+                                <div className="flex justify-between text-sm text-gray-700">
+                                    <span>{entry.difficulty}</span>
+                                    <span>{entry.completed} / {entry.total} · {entry.percent}%</span>
+                                </div>
+                                <div className="w-full bg-gray-200 rounded-full h-2 mt-1">
+                                    <div className="bg-green-500 h-2 rounded-full" style={{ width: `${entry.percent}%` }}></div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
 
-      <h3 className="text-lg font-semibold mt-6 text-gray-800">Output:</h3>
-      <pre className="bg-black text-white p-4 rounded mt-2 overflow-x-auto">
-        {output}
-      </pre>
-      {explanation && (
-        <div className="mt-6">
-            <h3 className="text-lg font-semibold text-gray-800">✨ AI Code Explanation:</h3>
-            <div className="bg-gray-100 text-gray-800 p-4 rounded mt-2 overflow-x-auto whitespace-pre-wrap">
-                {explanation}
+                <div className="bg-white p-8 rounded-xl shadow-lg">
+                    <h3 className="text-2xl font-bold text-gray-800 mb-4">Completions</h3>
+                    <div className="flex gap-1 overflow-x-auto">
+                        {heatmap.map((week, i) => (
+                            <div key={i} className="flex flex-col gap-1">
+                                {week.map(cell => (
+                                    <div key={cell.date} title={`${cell.date}: ${cell.count} completed`} className={`w-3 h-3 rounded-sm ${cell.isFuture ? 'bg-white' : completionCellClass(cell.count)}`}></div>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-3">Last {ANALYTICS_HEATMAP_WEEKS} weeks, one square per day.</p>
+                </div>
             </div>
         </div>
-      )}
-    </div>
-  );
+    );
 };
 
-const TimetablePlanner = ({ user }) => {
-    const [allTopics, setAllTopics] = useState([]);
-    const [selectedTopics, setSelectedTopics] = useState([]);
-    const [startDate, setStartDate] = useState(new Date().toISOString().split('T')[0]);
-    const [endDate, setEndDate] = useState(() => { const d = new Date(); d.setDate(d.getDate() + 29); return d.toISOString().split('T')[0]; });
+// --- Mentor Dashboard ---
+// Read-only view of the students assigned to a mentor. The security rules only let mentors
+// read their own students' progress collections.
+const MenteeProgress = ({ student }) => {
     const [timetable, setTimetable] = useState([]);
+    const [solvedCount, setSolvedCount] = useState(0);
+    const [quizResults, setQuizResults] = useState([]);
+    const [isExpanded, setIsExpanded] = useState(false);
     const [error, setError] = useState('');
-    const [isLoading, setIsLoading] = useState(false);
-    const [permissionError, setPermissionError] = useState(false);
-    const [isGeneratingInitialTopics, setIsGeneratingInitialTopics] = useState(false);
-    const [searchTerm, setSearchTerm] = useState('');
-    
-    const securityRulesText = `rules_version = '2';
-service cloud.firestore {
-  match /databases/{database}/documents {
-    // Public topics collection
-    match /artifacts/{appId}/public/data/topics/{topicId} {
-      allow read: if request.auth != null;
-      allow write: if request.auth != null && request.auth.uid == 'REPLACE_WITH_YOUR_ADMIN_GOOGLE_UID';
-    }
 
-    // Public users collection for the dashboard
-    match /artifacts/{appId}/public/data/users/{userId} {
-      allow read: if request.auth != null && request.auth.uid == 'REPLACE_WITH_YOUR_ADMIN_GOOGLE_UID';
-      allow create: if request.auth != null && request.auth.uid == userId;
-    }
+    useEffect(() => {
+        const basePath = `artifacts/${appId}/users/${student.uid}`;
+        const handleError = (err) => {
+            console.error("Error fetching student progress:", err);
+            setError("Could not load this student's progress.");
+        };
+        const unsubscribers = [
+            onSnapshot(query(collection(db, `${basePath}/timetable`), orderBy("order")), (snapshot) => {
+                setTimetable(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, handleError),
+            onSnapshot(collection(db, `${basePath}/solvedProblems`), (snapshot) => setSolvedCount(snapshot.size), handleError),
+            onSnapshot(query(collection(db, `${basePath}/quizResults`), orderBy("createdAt", "desc"), limit(20)), (snapshot) => {
+                setQuizResults(snapshot.docs.map(doc => doc.data()));
+            }, handleError),
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [student.uid]);
 
-    // User-specific timetables
-    match /artifacts/{appId}/users/{userId}/timetable/{timetableId} {
-      allow read, write: if request.auth != null && request.auth.uid == userId;
-    }
-  }
-}`;
+    const today = toDateString(new Date());
+    const completed = timetable.filter(item => item.completed).length;
+    const overdue = timetable.filter(item => !item.completed && item.date < today).length;
+    const quizAverage = quizResults.length ? Math.round(quizResults.reduce((sum, result) => sum + result.percent, 0) / quizResults.length) : null;
+    const percent = timetable.length ? Math.round((completed / timetable.length) * 100) : 0;
 
-    useEffect(() => {
-        const topicsCollection = collection(db, `artifacts/${appId}/public/data/topics`);
-        
-        const unsubscribe = onSnapshot(topicsCollection, async (snapshot) => {
-            setPermissionError(false);
-            if (snapshot.empty) {
-                console.log("No topics found in Firestore. Generating with AI.");
-                setIsGeneratingInitialTopics(true);
-                try {
-                    const prompt = "You are a DSA expert. Generate a list of 10 fundamental Data Structures and Algorithms topics for a beginner. The output must be a valid JSON array of objects. Each object must have keys: 'name' (string), 'duration' (integer representing days), and 'difficulty' (string: 'Easy', 'Medium', or 'Hard').";
-                    const schema = { type: "ARRAY", items: { type: "OBJECT", properties: { name: { type: "STRING" }, duration: { type: "NUMBER" }, difficulty: { type: "STRING" } }, required: ["name", "duration", "difficulty"] } };
-                    
-                    const jsonString = await callGeminiAPI(prompt, true, schema);
-                    const generatedTopics = JSON.parse(jsonString);
+    return (
+        <div className="p-4 rounded-lg bg-gray-50 border border-gray-200">
+            <div className="flex items-center justify-between">
+                <div>
+                    <p className="font-semibold text-gray-800">{student.displayName || student.email || student.uid}</p>
+                    <p className="text-sm text-gray-500">{student.email}</p>
+                </div>
+                <button onClick={() => setIsExpanded(prev => !prev)} disabled={timetable.length === 0} className="text-sm text-blue-600 hover:underline disabled:opacity-50">
+                    {isExpanded ? 'Hide plan' : 'Show plan'}
+                </button>
+            </div>
+            {error ? <p className="text-red-500 text-sm mt-2">{error}</p> : (
+                <>
+                    <div className="w-full bg-gray-200 rounded-full h-2 mt-3">
+                        <div className="bg-green-500 h-2 rounded-full" style={{ width: `${percent}%` }}></div>
+                    </div>
+                    <p className="text-sm text-gray-600 mt-2">
+                        {timetable.length > 0 ? `${completed} / ${timetable.length} items completed` : 'No plan generated'}
+                        {overdue > 0 && <span className="text-red-600"> · {overdue} overdue</span>}
+                        {` · ${solvedCount} problem${solvedCount === 1 ? '' : 's'} solved`}
+                        {quizAverage !== null && ` · quiz average ${quizAverage}%`}
+                    </p>
+                </>
+            )}
+            {isExpanded && (
+                <ul className="mt-3 space-y-1 text-sm">
+                    {timetable.map(item => (
+                        <li key={item.id} className="flex justify-between">
+                            <span className={item.completed ? 'text-gray-400 line-through' : 'text-gray-700'}>{item.date} · {item.topic}</span>
+                            {item.quizBestPercent !== undefined && <span className="text-xs text-gray-500">quiz {item.quizBestPercent}%</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
 
-                    const batch = writeBatch(db);
-                    generatedTopics.forEach(topic => {
-                        const docRef = doc(collection(db, `artifacts/${appId}/public/data/topics`));
-                        batch.set(docRef, topic);
-                    });
-                    await batch.commit();
-                    
-                } catch (e) {
-                    console.error("Failed to generate or save initial topics:", e);
-                    setError("Could not generate initial topics with AI. Please check your API key and try again.");
-                    setAllTopics([]);
-                } finally {
-                    setIsGeneratingInitialTopics(false);
-                }
-            } else {
-                const topicsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                setAllTopics(topicsData);
-            }
-        }, (err) => {
-            console.error("Error fetching topics:", err);
-            if (err.code === 'permission-denied') {
-                setPermissionError(true);
-            } else {
-                setError("Could not fetch topics. An unknown error occurred.");
-                setAllTopics([]);
-            }
-        });
-        return () => unsubscribe();
-    }, []);
+const MentorDashboard = ({ user }) => {
+    const [students, setStudents] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
 
     useEffect(() => {
-        if (!user) return;
-        const timetableCollection = collection(db, `artifacts/${appId}/users/${user.uid}/timetable`);
-        const q = query(timetableCollection, orderBy("order"));
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const timetableData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setTimetable(timetableData);
+        const q = query(collection(db, rolesPath), where("mentorUid", "==", user.uid));
+        const unsubscribe = onSnapshot(q, async (snapshot) => {
+            try {
+                const profiles = await Promise.all(snapshot.docs.map(async (roleDoc) => {
+                    const profile = await getDoc(doc(db, `artifacts/${appId}/public/data/users`, roleDoc.id));
+                    return { uid: roleDoc.id, ...profile.data() };
+                }));
+                setStudents(profiles.sort((a, b) => (a.displayName || '').localeCompare(b.displayName || '')));
+            } catch (e) {
+                console.error("Error fetching students:", e);
+                setError("Could not load your students.");
+            } finally {
+                setIsLoading(false);
+            }
         }, (err) => {
-            console.error("Error fetching timetable:", err);
-            setError("Could not fetch your timetable. Please check your Firestore security rules.");
+            console.error("Error fetching students:", err);
+            setError("Could not load your students.");
+            setIsLoading(false);
         });
         return () => unsubscribe();
-    }, [user]);
+    }, [user.uid]);
 
-    const generateAITimetable = async () => {
-        if (selectedTopics.length === 0) { setError('Please select at least one topic.'); return; }
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
-        if (days <= 0) { setError("End date must be after start date."); return; }
+    if (isLoading) {
+        return <div className="text-center p-10"><div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div></div>;
+    }
 
-        setError(''); setIsLoading(true);
-        
-        const existingTimetable = await getDocs(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`));
-        const deleteBatch = writeBatch(db);
-        existingTimetable.forEach(doc => deleteBatch.delete(doc.ref));
-        await deleteBatch.commit();
+    return (
+        <div className="max-w-4xl mx-auto bg-white p-8 rounded-xl shadow-lg">
+            <h2 className="text-3xl font-bold mb-6 text-gray-800">My Students</h2>
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            {!error && students.length === 0 && <p className="text-sm text-gray-500">No students are assigned to you yet. An admin can assign them in the Roles tab.</p>}
+            <div className="space-y-3">
+                {students.map(student => <MenteeProgress key={student.uid} student={student} />)}
+            </div>
+        </div>
+    );
+};
 
-        try {
-            const topicDetails = selectedTopics.map(t => `${t.name} (Difficulty: ${t.difficulty}, Estimated Duration: ${t.duration} days)`).join('; ');
-            const prompt = `You are a DSA expert. Create a study plan from ${startDate} to ${endDate} (${days} days) for ONLY these topics: ${topicDetails}. Do not include any other topics besides the ones listed. The output must be a valid JSON array of objects. Each object must have "date", "topic", "goal", "what", "how", and a "resources" object with "articles from githubs, geekforgeeks or other sources", "search on youtube links in one code for each topic ", and "practice links from geekforgeeks or leetcode" keys. Arrange topics logically. Fill all ${days} days, using only the provided topics and adding revision sessions where appropriate.`;
-            const schema = { type: "ARRAY", items: { type: "OBJECT", properties: { date: { type: "STRING" }, topic: { type: "STRING" }, goal: { type: "STRING" }, what: { type: "STRING" }, how: { type: "STRING" }, resources: { type: "OBJECT", properties: { article: { type: "STRING" }, video: { type: "STRING" }, practice: { type: "STRING" } } } }, required: ["date", "topic", "goal", "what", "how", "resources"] } };
-            
-            const jsonString = await callGeminiAPI(prompt, true, schema);
-            const parsedResponse = JSON.parse(jsonString);
+// --- Cohorts ---
+// A cohort doc holds its name, owner and shared plan template. Members, the invite code,
+// progress summaries and announcements live in subcollections. Members' timetables stay private,
+// so each member's planner publishes a progress summary for the leaderboard. Email invitations
+// and invite link previews are top-level so invitees can find them before they can read the cohort.
+const cohortsPath = `artifacts/${appId}/public/data/cohorts`;
+const cohortInvitationsPath = `artifacts/${appId}/public/data/cohortInvitations`;
+const cohortLinksPath = `artifacts/${appId}/public/data/cohortLinks`;
+const planTemplateFields = ['topic', 'session', 'goal', 'what', 'how', 'resources'];
 
-            const addBatch = writeBatch(db);
-            parsedResponse.forEach((item, index) => {
-                const docRef = doc(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`));
-                addBatch.set(docRef, { ...item, completed: false, order: index });
-            });
-            await addBatch.commit();
+const createInviteCode = () => Array.from(crypto.getRandomValues(new Uint8Array(12)), byte => byte.toString(16).padStart(2, '0')).join('');
 
-        } catch (e) {
-            console.error(e);
-            setError(`Error: ${e.message}`);
-        } finally {
-            setIsLoading(false);
-        }
-    };
-    
-    const handleToggleComplete = async (itemId, isCompleted) => {
-        if (!user) return;
-        const itemRef = doc(db, `artifacts/${appId}/users/${user.uid}/timetable`, itemId);
-        await updateDoc(itemRef, { completed: isCompleted });
-    };
+const cohortInviteLink = (cohortId, code) => `${window.location.origin}${window.location.pathname}?cohort=${cohortId}&invite=${code}`;
 
-    const sensors = useSensors(useSensor(PointerSensor), useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates }));
-    
-    const handleDragEnd = async (event) => {
-        const { active, over } = event;
-        if (active.id !== over.id) {
-            const oldIndex = timetable.findIndex((item) => item.id === active.id);
-            const newIndex = timetable.findIndex((item) => item.id === over.id);
-            const newTimetable = arrayMove(timetable, oldIndex, newIndex);
-            setTimetable(newTimetable);
-            
-            const batch = writeBatch(db);
-            newTimetable.forEach((item, index) => {
-                const docRef = doc(db, `artifacts/${appId}/users/${user.uid}/timetable`, item.id);
-                batch.update(docRef, { order: index });
-            });
-            await batch.commit().catch(err => {
-                console.error("Error updating order:", err);
-                setError("Could not save the new order. Please try again.");
-                setTimetable(timetable);
-            });
-        }
-    };
+// The link preview only carries the name and owner, which is all an invitee sees before joining.
+const writeInviteLink = (batch, cohort, code) => {
+    batch.set(doc(db, `${cohortsPath}/${cohort.id}/private`, 'invite'), { code, updatedAt: Date.now() });
+    batch.set(doc(db, cohortLinksPath, code), { cohortId: cohort.id, name: cohort.name, ownerName: cohort.ownerName });
+};
 
-    const handleResetTimetable = async () => {
-        if (!user) return;
-        setError('');
-        try {
-            const existingTimetable = await getDocs(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`));
-            const deleteBatch = writeBatch(db);
-            existingTimetable.forEach(doc => deleteBatch.delete(doc.ref));
-            await deleteBatch.commit();
+// Template items keep their offset from the first day of the plan so the template can start on any date.
+const buildPlanTemplate = (timetable) => {
+    const sorted = [...timetable].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    const firstDate = sorted.reduce((earliest, item) => item.date < earliest ? item.date : earliest, sorted[0]?.date);
+    return sorted.map(item => ({
+        dayOffset: daysBetween(firstDate, item.date),
+        ...Object.fromEntries(planTemplateFields.filter(field => item[field] !== undefined).map(field => [field, item[field]])),
+    }));
+};
+
+const instantiatePlanTemplate = (templateItems, startDate, cohortId) => templateItems.map(({ dayOffset, ...details }, index) => ({
+    ...details,
+    date: addDays(startDate, dayOffset),
+    completed: false,
+    order: index,
+    cohortId,
+}));
+
+const summarizeCohortProgress = (items) => {
+    const topics = {};
+    items.forEach(item => {
+        topics[item.topic] = topics[item.topic] || { completed: 0, total: 0 };
+        topics[item.topic].total += 1;
+        if (item.completed) topics[item.topic].completed += 1;
+    });
+    return { completed: items.filter(item => item.completed).length, total: items.length, topics };
+};
+
+const progressPercent = ({ completed, total }) => total ? Math.round((completed / total) * 100) : 0;
+
+const heatmapCellClass = (entry) => {
+    if (!entry) return 'bg-gray-50 text-gray-300';
+    const ratio = entry.completed / entry.total;
+    if (ratio >= 1) return 'bg-green-600 text-white';
+    if (ratio >= 0.5) return 'bg-green-400 text-white';
+    if (ratio > 0) return 'bg-green-200 text-green-900';
+    return 'bg-gray-100 text-gray-500';
+};
+
+const CohortPage = ({ user, initialCohort, canManage, isMember, joinedCohortIds, onBack, onLeave }) => {
+    const [cohort, setCohort] = useState(initialCohort);
+    const [members, setMembers] = useState([]);
+    const [progress, setProgress] = useState([]);
+    const [announcements, setAnnouncements] = useState([]);
+    const [inviteCode, setInviteCode] = useState(null);
+    const [invitedEmails, setInvitedEmails] = useState([]);
+    const [inviteEmail, setInviteEmail] = useState('');
+    const [announcementText, setAnnouncementText] = useState('');
+    const [templateStartDate, setTemplateStartDate] = useState(cohort.template?.startDate || toDateString(new Date()));
+    const [isConfirmingCopy, setIsConfirmingCopy] = useState(false);
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const cohortPath = `${cohortsPath}/${cohort.id}`;
+    const canView = canManage || isMember;
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(doc(db, cohortPath), (snapshot) => {
+            if (snapshot.exists()) setCohort({ id: snapshot.id, ...snapshot.data() });
+        }, (err) => console.error("Error fetching cohort:", err));
+        return () => unsubscribe();
+    }, [cohortPath]);
+
+    useEffect(() => {
+        if (!canView) return;
+        const handleError = (err) => console.error("Error fetching cohort data:", err);
+        const unsubscribers = [
+            onSnapshot(collection(db, `${cohortPath}/members`), (snapshot) => setMembers(snapshot.docs.map(doc => ({ uid: doc.id, ...doc.data() }))), handleError),
+            onSnapshot(collection(db, `${cohortPath}/progress`), (snapshot) => setProgress(snapshot.docs.map(doc => ({ uid: doc.id, ...doc.data() }))), handleError),
+            onSnapshot(query(collection(db, `${cohortPath}/announcements`), orderBy("createdAt", "desc"), limit(50)), (snapshot) => {
+                setAnnouncements(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, handleError),
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [cohortPath, canView]);
+
+    useEffect(() => {
+        if (!canManage) return;
+        const unsubscribe = onSnapshot(doc(db, `${cohortPath}/private`, 'invite'), (snapshot) => {
+            setInviteCode(snapshot.exists() ? snapshot.data().code : null);
+        }, (err) => console.error("Error fetching invite code:", err));
+        return () => unsubscribe();
+    }, [cohortPath, canManage]);
+
+    useEffect(() => {
+        if (!canManage) return;
+        const q = query(collection(db, cohortInvitationsPath), where("cohortId", "==", cohort.id), where("ownerUid", "==", cohort.ownerUid));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setInvitedEmails(snapshot.docs.map(doc => doc.data().email).sort());
+        }, (err) => console.error("Error fetching cohort invitations:", err));
+        return () => unsubscribe();
+    }, [cohort.id, cohort.ownerUid, canManage]);
+
+    const runAction = async (action, successMessage, errorMessage) => {
+        setIsBusy(true);
+        setError('');
+        setSuccess('');
+        try {
+            await action();
+            if (successMessage) setSuccess(successMessage);
         } catch (e) {
-            console.error("Error resetting timetable:", e);
-            setError("Could not reset the timetable. Please try again.");
+            console.error(errorMessage, e);
+            setError(errorMessage);
+        } finally {
+            setIsBusy(false);
         }
     };
 
-    const handleDeleteTopic = async (topicId) => {
-        if (user && user.uid === ADMIN_UID) {
-            try {
-                await deleteDoc(doc(db, `artifacts/${appId}/public/data/topics`, topicId));
-            } catch (e) {
-                console.error("Error deleting topic:", e);
-                setError("Could not delete the topic.");
-            }
-        }
+    const handleNewInviteLink = () => runAction(
+        () => {
+            const batch = writeBatch(db);
+            if (inviteCode) batch.delete(doc(db, cohortLinksPath, inviteCode));
+            writeInviteLink(batch, cohort, createInviteCode());
+            return batch.commit();
+        },
+        'Created a new invite link. The old link no longer works.',
+        'Could not create an invite link.'
+    );
+
+    const handleInviteEmail = (e) => {
+        e.preventDefault();
+        const email = inviteEmail.trim().toLowerCase();
+        if (!/^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/.test(email)) { setError('Enter a valid email address.'); return; }
+        if (invitedEmails.includes(email)) { setError(`${email} is already invited.`); return; }
+        runAction(async () => {
+            await setDoc(doc(db, cohortInvitationsPath, `${cohort.id}_${email}`), {
+                cohortId: cohort.id,
+                cohortName: cohort.name,
+                ownerUid: cohort.ownerUid,
+                ownerName: cohort.ownerName,
+                email,
+                invitedBy: user.uid,
+                createdAt: Date.now(),
+            });
+            setInviteEmail('');
+        }, `Invited ${email}. They will see the invitation on their Cohorts page after logging in with that address.`, 'Could not save the invitation.');
     };
 
-    const filteredTopics = allTopics.filter(topic => topic.name.toLowerCase().includes(searchTerm.toLowerCase()));
-    
-    const today = new Date().toISOString().split('T')[0];
-    const todaysTopic = timetable.find(item => item.date === today);
+    const handleRemoveInvite = (email) => runAction(
+        () => deleteDoc(doc(db, cohortInvitationsPath, `${cohort.id}_${email}`)),
+        null,
+        'Could not remove the invitation.'
+    );
 
-    if (permissionError) {
-        return (
-            <div className="bg-red-50 border-l-4 border-red-400 p-6 rounded-md shadow-lg">
-                <div className="flex">
+    const handleSetTemplate = () => runAction(async () => {
+        const timetableSnapshot = await getDocs(collection(db, `artifacts/${appId}/users/${user.uid}/timetable`));
+        if (timetableSnapshot.empty) throw new Error('Your timetable is empty.');
+        const items = buildPlanTemplate(timetableSnapshot.docs.map(doc => doc.data()));
+        await updateDoc(doc(db, cohortsPath, cohort.id), { template: { items, startDate: templateStartDate, updatedAt: Date.now() } });
+    }, 'Saved your current plan as the cohort template.', 'Could not save the template. Generate a plan in the Planner first.');
+
+    // Like generating a new plan, copying the template replaces the member's timetable in one batch.
+    // The same batch publishes the new progress summary and clears the summaries of other joined
+    // cohorts, whose items the copy removes.
+    const handleCopyTemplate = () => runAction(async () => {
+        const timetablePath = `artifacts/${appId}/users/${user.uid}/timetable`;
+        const existingTimetable = await getDocs(collection(db, timetablePath));
+        const items = instantiatePlanTemplate(cohort.template.items, cohort.template.startDate, cohort.id)
+            .map(item => ({ ...item, id: doc(collection(db, timetablePath)).id }));
+        const batch = writeBatch(db);
+        existingTimetable.forEach(doc => batch.delete(doc.ref));
+        items.forEach(({ id, ...item }) => batch.set(doc(db, timetablePath, id), item));
+        batch.set(doc(db, `${cohortPath}/progress`, user.uid), { ...summarizeCohortProgress(items), updatedAt: Date.now() });
+        joinedCohortIds.filter(cohortId => cohortId !== cohort.id).forEach(cohortId => {
+            batch.delete(doc(db, `${cohortsPath}/${cohortId}/progress`, user.uid));
+        });
+        await batch.commit();
+        await publishCalendarFeed(user, items).catch(err => console.error("Error updating calendar feed:", err));
+        setIsConfirmingCopy(false);
+    }, 'The cohort plan is now in your Planner.', 'Could not copy the cohort plan.');
+
+    const handlePostAnnouncement = (e) => {
+        e.preventDefault();
+        if (!announcementText.trim()) return;
+        runAction(async () => {
+            await addDoc(collection(db, `${cohortPath}/announcements`), {
+                text: announcementText.trim(),
+                authorUid: user.uid,
+                authorName: user.displayName || user.email,
+                createdAt: Date.now(),
+            });
+            setAnnouncementText('');
+        }, null, 'Could not post the announcement.');
+    };
+
+    const handleLeave = () => runAction(async () => {
+        const batch = writeBatch(db);
+        batch.delete(doc(db, `${cohortPath}/progress`, user.uid));
+        batch.delete(doc(db, `${cohortPath}/members`, user.uid));
+        batch.delete(doc(db, `artifacts/${appId}/users/${user.uid}/cohorts`, cohort.id));
+        await batch.commit();
+        onLeave();
+    }, null, 'Could not leave the cohort.');
+
+    const progressByUid = new Map(progress.map(entry => [entry.uid, entry]));
+    const leaderboard = members
+        .map(member => ({ ...member, progress: progressByUid.get(member.uid) || { completed: 0, total: 0, topics: {} } }))
+        .sort((a, b) => progressPercent(b.progress) - progressPercent(a.progress) || b.progress.completed - a.progress.completed);
+    const templateTopics = [...new Set((cohort.template?.items || []).map(item => item.topic))];
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-8 rounded-xl shadow-lg">
+                <button onClick={onBack} className="text-sm text-blue-600 hover:underline mb-3">← All cohorts</button>
+                <div className="flex items-start justify-between">
                     <div>
-                        <p className="text-xl font-bold text-red-800">Action Required: Update Firestore Security Rules</p>
-                        <div className="text-red-700 mt-3">
-                            <p className="mb-3">The app can't access the topic list due to restrictive database rules. To fix this, please update them in your Firebase project.</p>
-                            <ol className="list-decimal list-inside space-y-1.5">
-                                <li>Go to your <strong>Firebase Console</strong>.</li>
-                                <li>Navigate to <strong>Firestore Database &gt; Rules</strong> tab.</li>
-                                <li>Delete the existing rules and paste the code below:</li>
-                            </ol>
-                            <pre className="bg-gray-800 text-white p-4 rounded-md mt-3 text-xs overflow-x-auto">
-                                <code>
-                                    {securityRulesText}
-                                </code>
-                            </pre>
-                             <p className="mt-3 text-sm"><strong>Note:</strong> Remember to replace the placeholder in the <strong>allow write</strong> rule with your actual Admin Google UID if you plan to use the admin panel.</p>
-                        </div>
+                        <h2 className="text-3xl font-bold text-gray-800">{cohort.name}</h2>
+                        {cohort.description && <p className="text-gray-600 mt-1">{cohort.description}</p>}
+                        <p className="text-sm text-gray-500 mt-1">Run by {cohort.ownerName} · {members.length} member{members.length === 1 ? '' : 's'}</p>
                     </div>
+                    {isMember && <button onClick={handleLeave} disabled={isBusy} className="text-sm text-gray-500 hover:text-red-600 disabled:opacity-50">Leave cohort</button>}
                 </div>
-            </div>
-        );
-    }
+                {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+                {success && <p className="text-green-500 text-sm mt-4">{success}</p>}
 
-    return (
-        <>
-            {todaysTopic && (
-                <div className="mb-8 bg-white p-6 rounded-xl shadow-lg border-l-4 border-green-500">
-                    <h2 className="text-2xl font-bold text-gray-800">Today's Focus: {todaysTopic.topic}</h2>
-                    <p className="text-gray-600 mt-2">{todaysTopic.goal}</p>
-                </div>
-            )}
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-                <div className="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg h-fit">
-                    <h2 className="text-2xl font-semibold mb-4 text-gray-700">1. Configure Your Plan</h2>
-                    <div className="grid grid-cols-2 gap-4 mb-6">
-                        <div>
-                            <label htmlFor="startDate" className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
-                            <input type="date" id="startDate" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"/>
-                        </div>
-                        <div>
-                            <label htmlFor="endDate" className="block text-sm font-medium text-gray-700 mb-2">End Date</label>
-                            <input type="date" id="endDate" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"/>
+                <div className="mt-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                    <h3 className="font-semibold text-gray-800">Shared plan</h3>
+                    {cohort.template ? (
+                        <p className="text-sm text-gray-600 mt-1">
+                            {cohort.template.items.length} items starting {cohort.template.startDate}: {templateTopics.join(', ')}
+                        </p>
+                    ) : <p className="text-sm text-gray-500 mt-1">No plan has been shared yet.</p>}
+                    {isMember && cohort.template && (
+                        isConfirmingCopy ? (
+                            <div className="flex items-center space-x-3 mt-3 text-sm">
+                                <span className="text-gray-700">This replaces your current plan.</span>
+                                <button onClick={handleCopyTemplate} disabled={isBusy} className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50">Replace my plan</button>
+                                <button onClick={() => setIsConfirmingCopy(false)} className="text-gray-500 hover:text-gray-800">Cancel</button>
+                            </div>
+                        ) : <button onClick={() => setIsConfirmingCopy(true)} className="mt-3 px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700">Copy plan into my timetable</button>
+                    )}
+                    {canManage && (
+                        <div className="flex flex-wrap items-center gap-3 mt-3 text-sm">
+                            <label className="text-gray-700">Start date <input type="date" value={templateStartDate} onChange={(e) => setTemplateStartDate(e.target.value)} className="ml-1 p-1 border border-gray-300 rounded-md"/></label>
+                            <button onClick={handleSetTemplate} disabled={isBusy} className="px-3 py-1 bg-white border border-blue-300 text-blue-700 rounded-md hover:bg-blue-50 disabled:opacity-50">Use my current plan as the template</button>
                         </div>
-                    </div>
-                    <h2 className="text-2xl font-semibold mb-4 text-gray-700">2. Select Topics</h2>
-                    <input 
-                        type="text" 
-                        placeholder="Search topics..."
-                        value={searchTerm}
-                        onChange={(e) => setSearchTerm(e.target.value)}
-                        className="w-full p-2 mb-4 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
-                    />
-                    <div className="space-y-1 max-h-[40vh] overflow-y-auto pr-2 -mr-2">
-                        {isGeneratingInitialTopics ? (
-                            <div className="text-center p-4">
-                                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
-                                <p className="mt-2 text-gray-600">Generating initial topics with AI...</p>
+                    )}
+                </div>
+
+                {canManage && (
+                    <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+                        <h3 className="font-semibold text-gray-800 text-base">Invite members</h3>
+                        {inviteCode ? (
+                            <div className="flex mt-2">
+                                <input readOnly value={cohortInviteLink(cohort.id, inviteCode)} className="flex-1 p-2 text-xs border border-gray-300 rounded-l-md bg-white"/>
+                                <button onClick={() => navigator.clipboard?.writeText(cohortInviteLink(cohort.id, inviteCode))} className="bg-blue-600 text-white px-3 rounded-r-md hover:bg-blue-700">Copy</button>
                             </div>
-                        ) : (
-                            filteredTopics.map(topic => <TopicItem key={topic.id} topic={topic} onSelect={(topic) => setSelectedTopics(prev => prev.find(t => t.id === topic.id) ? prev.filter(t => t.id !== topic.id) : [...prev, topic])} isSelected={selectedTopics.some(t => t.id === topic.id)} user={user} onDelete={handleDeleteTopic} />)
+                        ) : <p className="text-gray-500 mt-2">No invite link yet.</p>}
+                        <button onClick={handleNewInviteLink} disabled={isBusy} className="mt-2 text-blue-600 hover:underline disabled:opacity-50">{inviteCode ? 'Replace invite link' : 'Create invite link'}</button>
+                        <form onSubmit={handleInviteEmail} className="flex mt-3">
+                            <input type="email" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} placeholder="name@example.com" className="flex-1 p-2 border border-gray-300 rounded-l-md"/>
+                            <button type="submit" disabled={isBusy} className="bg-blue-600 text-white px-3 rounded-r-md hover:bg-blue-700 disabled:opacity-50">Invite by email</button>
+                        </form>
+                        {invitedEmails.length > 0 && (
+                            <ul className="mt-2 space-y-1">
+                                {invitedEmails.map(email => (
+                                    <li key={email} className="flex items-center justify-between">
+                                        <span className="text-gray-700">{email}{members.some(member => member.email?.toLowerCase() === email) && <span className="ml-2 text-xs text-green-600">joined</span>}</span>
+                                        <span className="space-x-3">
+                                            {inviteCode && <a href={`mailto:${email}?subject=${encodeURIComponent(`Join ${cohort.name} on DSA Prep Hub`)}&body=${encodeURIComponent(cohortInviteLink(cohort.id, inviteCode))}`} className="text-blue-600 hover:underline">Send email</a>}
+                                            <button onClick={() => handleRemoveInvite(email)} className="text-gray-400 hover:text-red-600">×</button>
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
                         )}
                     </div>
-                    <div className="mt-6 space-y-3">
-                        <button onClick={generateAITimetable} disabled={isLoading} className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white font-bold py-3 px-4 rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300 shadow-md disabled:opacity-50 flex items-center justify-center">
-                            ✨ Generate with AI
-                        </button>
-                        <button onClick={handleResetTimetable} disabled={isLoading} className="w-full bg-gray-200 text-gray-800 font-bold py-3 px-4 rounded-lg hover:bg-gray-300 transition-all duration-300 shadow-md disabled:opacity-50">
-                            Reset Plan
-                        </button>
+                )}
+            </div>
+
+            <div className="bg-white p-8 rounded-xl shadow-lg">
+                <h3 className="text-2xl font-bold text-gray-800 mb-4">Leaderboard</h3>
+                {leaderboard.length === 0 ? <p className="text-sm text-gray-500">No members yet.</p> : (
+                    <table className="min-w-full text-sm">
+                        <tbody className="divide-y divide-gray-200">
+                            {leaderboard.map((member, index) => (
+                                <tr key={member.uid} className={member.uid === user.uid ? 'bg-blue-50' : ''}>
+                                    <td className="py-2 pr-3 font-bold text-gray-500 w-8">{index + 1}</td>
+                                    <td className="py-2 pr-3 text-gray-800">{member.displayName || member.email}</td>
+                                    <td className="py-2 pr-3 w-1/2">
+                                        <div className="w-full bg-gray-200 rounded-full h-2">
+                                            <div className="bg-green-500 h-2 rounded-full" style={{ width: `${progressPercent(member.progress)}%` }}></div>
+                                        </div>
+                                    </td>
+                                    <td className="py-2 text-gray-600 whitespace-nowrap">{member.progress.completed} / {member.progress.total} · {progressPercent(member.progress)}%</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {templateTopics.length > 0 && leaderboard.length > 0 && (
+                <div className="bg-white p-8 rounded-xl shadow-lg">
+                    <h3 className="text-2xl font-bold text-gray-800 mb-4">Topic completion</h3>
+                    <div className="overflow-x-auto">
+                        <table className="text-xs">
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    {templateTopics.map(topic => <th key={topic} className="px-1 pb-2 font-medium text-gray-600 align-bottom"><div className="w-20 break-words">{topic}</div></th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {leaderboard.map(member => (
+                                    <tr key={member.uid}>
+                                        <td className="pr-3 py-1 text-gray-700 whitespace-nowrap">{member.displayName || member.email}</td>
+                                        {templateTopics.map(topic => {
+                                            const entry = member.progress.topics?.[topic];
+                                            return (
+                                                <td key={topic} className="p-0.5">
+                                                    <div title={entry ? `${entry.completed} of ${entry.total} days` : 'Not in plan'} className={`w-20 h-8 rounded flex items-center justify-center ${heatmapCellClass(entry)}`}>
+                                                        {entry ? `${progressPercent(entry)}%` : '–'}
+                                                    </div>
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
                     </div>
-                    {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
                 </div>
-                <div className="lg:col-span-2">
-                    <h2 className="text-3xl font-bold mb-6 text-gray-800">Your Personalized Timetable</h2>
-                    {isLoading && <div className="text-center p-10"><div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div><p className="mt-4 text-gray-600">AI is generating your plan...</p></div>}
-                    
-                    {timetable.length > 0 ? (
-                        <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
-                            <SortableContext items={timetable.map(i => i.id)} strategy={verticalListSortingStrategy}>
-                                {timetable.map((item, index) => <SortableTimetableItem key={item.id} id={item.id} item={item} index={index} onToggleComplete={handleToggleComplete} />)}
-                            </SortableContext>
-                        </DndContext>
-                    ) : !isLoading && (
-                        <div className="bg-white p-10 rounded-xl shadow-lg text-center"><h3 className="mt-2 text-sm font-medium text-gray-900">No timetable generated yet</h3><p className="mt-1 text-sm text-gray-500">Select your topics and use the AI generator to create a plan.</p></div>
-                    )}
+            )}
+
+            <div className="bg-white p-8 rounded-xl shadow-lg">
+                <h3 className="text-2xl font-bold text-gray-800 mb-4">Announcements</h3>
+                {canManage && (
+                    <form onSubmit={handlePostAnnouncement} className="mb-4">
+                        <textarea rows={3} value={announcementText} onChange={(e) => setAnnouncementText(e.target.value)} placeholder="Share an update with the cohort..." className="w-full p-2 text-sm border border-gray-300 rounded-md"/>
+                        <button type="submit" disabled={isBusy || !announcementText.trim()} className="mt-2 px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50">Post</button>
+                    </form>
+                )}
+                {announcements.length === 0 && <p className="text-sm text-gray-500">No announcements yet.</p>}
+                <div className="space-y-3">
+                    {announcements.map(announcement => (
+                        <div key={announcement.id} className="p-3 bg-gray-50 rounded-lg border border-gray-200">
+                            <p className="text-sm text-gray-800 whitespace-pre-wrap">{announcement.text}</p>
+                            <p className="text-xs text-gray-500 mt-1">{announcement.authorName} · {new Date(announcement.createdAt).toLocaleString()}</p>
+                        </div>
+                    ))}
                 </div>
             </div>
-        </>
+        </div>
     );
 };
 
-const UserDashboard = () => {
-    const [users, setUsers] = useState([]);
-    const [isLoading, setIsLoading] = useState(true);
+const CohortsView = ({ user, role, invite, onInviteHandled }) => {
+    const [joined, setJoined] = useState([]);
+    const [managed, setManaged] = useState([]);
+    const [invitations, setInvitations] = useState([]);
+    const [invitedCohort, setInvitedCohort] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [newCohort, setNewCohort] = useState({ name: '', description: '' });
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const canCreate = role === 'admin' || role === 'mentor';
+    const email = user.email?.toLowerCase();
 
     useEffect(() => {
-        const usersCollection = collection(db, `artifacts/${appId}/public/data/users`);
-        const unsubscribe = onSnapshot(usersCollection, async (snapshot) => {
-            const usersData = await Promise.all(snapshot.docs.map(async (userDoc) => {
-                const userData = userDoc.data();
-                const timetableCollection = collection(db, `artifacts/${appId}/users/${userDoc.id}/timetable`);
-                const timetableSnapshot = await getDocs(timetableCollection);
-                const total = timetableSnapshot.size;
-                const completed = timetableSnapshot.docs.filter(doc => doc.data().completed).length;
-                return {
-                    ...userData,
-                    progress: { total, completed }
-                };
+        const unsubscribe = onSnapshot(collection(db, `artifacts/${appId}/users/${user.uid}/cohorts`), async (snapshot) => {
+            try {
+                const cohorts = await Promise.all(snapshot.docs.map(async (membership) => {
+                    const cohortDoc = await getDoc(doc(db, cohortsPath, membership.id));
+                    return cohortDoc.exists() ? { id: cohortDoc.id, ...cohortDoc.data() } : null;
+                }));
+                setJoined(cohorts.filter(Boolean));
+            } catch (e) {
+                console.error("Error fetching cohorts:", e);
+            }
+        }, (err) => console.error("Error fetching cohort memberships:", err));
+        return () => unsubscribe();
+    }, [user.uid]);
+
+    useEffect(() => {
+        if (!canCreate) return;
+        // Admins manage every cohort; mentors only their own.
+        const q = role === 'admin' ? collection(db, cohortsPath) : query(collection(db, cohortsPath), where("ownerUid", "==", user.uid));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setManaged(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Error fetching managed cohorts:", err));
+        return () => unsubscribe();
+    }, [canCreate, role, user.uid]);
+
+    useEffect(() => {
+        if (!email) return;
+        const q = query(collection(db, cohortInvitationsPath), where("email", "==", email));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setInvitations(snapshot.docs.map(doc => {
+                const { cohortId, cohortName, ownerName } = doc.data();
+                return { id: cohortId, name: cohortName, ownerName };
             }));
-            setUsers(usersData);
-            setIsLoading(false);
-        });
+        }, (err) => console.error("Error fetching cohort invitations:", err));
         return () => unsubscribe();
-    }, []);
+    }, [email]);
 
-    if (isLoading) {
-        return <div className="text-center p-10"><div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div></div>;
-    }
+    // Guests cannot join, so the invite is kept until they log in with Google.
+    useEffect(() => {
+        if (!invite || user.isAnonymous) return;
+        getDoc(doc(db, cohortLinksPath, invite.code)).then(snapshot => {
+            const link = snapshot.data();
+            if (link?.cohortId === invite.cohortId) setInvitedCohort({ id: link.cohortId, name: link.name, ownerName: link.ownerName, inviteCode: invite.code });
+            else setError('That invite link is no longer valid.');
+        }).catch(err => {
+            console.error("Error opening invite link:", err);
+            setError('Could not open that invite link.');
+        }).finally(onInviteHandled);
+    }, [invite, onInviteHandled, user.isAnonymous]);
 
-    return (
-        <div className="bg-white p-8 rounded-xl shadow-lg">
-            <h2 className="text-3xl font-bold mb-6 text-gray-800">User Dashboard</h2>
-            <div className="overflow-x-auto">
-                <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                        <tr>
-                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
-                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
-                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Progress</th>
-                        </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                        {users.map(user => (
-                            <tr key={user.uid}>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{user.displayName}</td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{user.email}</td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                    {user.progress.total > 0 ? `${user.progress.completed} / ${user.progress.total} topics completed` : 'No plan generated'}
-                                </td>
-                            </tr>
-                        ))}
-                    </tbody>
-                </table>
-            </div>
-        </div>
-    );
-};
+    const joinedIds = new Set(joined.map(cohort => cohort.id));
+    const managedIds = new Set(managed.map(cohort => cohort.id));
+    const pendingInvitations = [...invitations, ...(invitedCohort ? [invitedCohort] : [])].filter(cohort => !joinedIds.has(cohort.id));
+    const allCohorts = [...joined, ...managed.filter(cohort => !joinedIds.has(cohort.id))];
+    const selectedCohort = allCohorts.find(cohort => cohort.id === selectedId);
 
+    const handleJoin = async (cohort) => {
+        setIsBusy(true);
+        setError('');
+        try {
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${cohortsPath}/${cohort.id}/members`, user.uid), {
+                displayName: user.displayName || user.email,
+                email: user.email,
+                joinedAt: Date.now(),
+                ...(cohort.inviteCode ? { inviteCode: cohort.inviteCode } : {}),
+            });
+            batch.set(doc(db, `artifacts/${appId}/users/${user.uid}/cohorts`, cohort.id), { name: cohort.name, joinedAt: Date.now() });
+            await batch.commit();
+            setInvitedCohort(null);
+            setSelectedId(cohort.id);
+        } catch (e) {
+            console.error("Error joining cohort:", e);
+            setError(`Could not join ${cohort.name}. The invitation may have been withdrawn.`);
+        } finally {
+            setIsBusy(false);
+        }
+    };
 
-const AdminPage = () => {
-    const [adminView, setAdminView] = useState('addTopic');
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!newCohort.name.trim()) { setError('Cohort name cannot be empty.'); return; }
+        setIsBusy(true);
+        setError('');
+        try {
+            const cohortRef = await addDoc(collection(db, cohortsPath), {
+                name: newCohort.name.trim(),
+                description: newCohort.description.trim(),
+                ownerUid: user.uid,
+                ownerName: user.displayName || user.email,
+                template: null,
+                createdAt: Date.now(),
+            });
+            // Written after the cohort exists, since the rules check the owner on the cohort doc.
+            const batch = writeBatch(db);
+            writeInviteLink(batch, { id: cohortRef.id, name: newCohort.name.trim(), ownerName: user.displayName || user.email }, createInviteCode());
+            await batch.commit();
+            setNewCohort({ name: '', description: '' });
+            setSelectedId(cohortRef.id);
+        } catch (e) {
+            console.error("Error creating cohort:", e);
+            setError("Could not create the cohort.");
+        } finally {
+            setIsBusy(false);
+        }
+    };
 
-    const AddTopicForm = () => {
-        const [topicName, setTopicName] = useState('');
-        const [isLoading, setIsLoading] = useState(false);
-        const [error, setError] = useState('');
-        const [success, setSuccess] = useState('');
-    
-        const handleAddTopic = async (e) => {
-            e.preventDefault();
-            if (!topicName.trim()) { setError("Topic name cannot be empty."); return; }
-            
-            setIsLoading(true); setError(''); setSuccess('');
-            try {
-                const prompt = `Generate a detailed learning plan for the topic: "${topicName}". The output must be a valid JSON object with keys: "name", "duration" (an integer), "difficulty" ("Easy", "Medium", or "Hard"). Just generate these 3 fields.`;
-                const schema = { type: "OBJECT", properties: { name: { type: "STRING" }, duration: { type: "NUMBER" }, difficulty: { type: "STRING" } }, required: ["name", "duration", "difficulty"] };
-                
-                const jsonString = await callGeminiAPI(prompt, true, schema);
-                let newTopic;
-                try {
-                    newTopic = JSON.parse(jsonString);
-                } catch (parseError) {
-                    console.error("AI returned invalid JSON:", jsonString);
-                    throw new Error("The AI returned an invalid response. Please try rephrasing your topic.");
-                }
-    
-                await addDoc(collection(db, `artifacts/${appId}/public/data/topics`), newTopic);
-                setSuccess(`Successfully added topic: ${newTopic.name}`);
-                setTopicName('');
-            } catch (e) {
-                console.error(e);
-                setError(`Error adding topic: ${e.message}`);
-            } finally {
-                setIsLoading(false);
-            }
-        };
-    
+    if (user.isAnonymous) {
+        return <p className="text-center text-gray-600">{invite ? 'Log in with Google to accept your cohort invitation.' : 'Log in with Google to join or run a cohort.'}</p>;
+    }
+
+    if (selectedCohort) {
         return (
-            <div className="bg-white p-8 rounded-xl shadow-lg">
-                <h2 className="text-3xl font-bold mb-6 text-gray-800">Add New Topic</h2>
-                <form onSubmit={handleAddTopic}>
-                    <div className="mb-4">
-                        <label htmlFor="topicName" className="block text-sm font-medium text-gray-700 mb-2">New Topic Name (e.g., OOPS)</label>
-                        <input type="text" id="topicName" value={topicName} onChange={(e) => setTopicName(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500" placeholder="Object-Oriented Programming"/>
-                    </div>
-                    <button type="submit" disabled={isLoading} className="w-full bg-gradient-to-r from-green-500 to-teal-500 text-white font-bold py-3 px-4 rounded-lg hover:from-green-600 hover:to-teal-600 transition-all duration-300 shadow-md disabled:opacity-50">
-                        {isLoading ? 'Generating with AI...' : '✨ Add Topic with AI'}
-                    </button>
-                    {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
-                    {success && <p className="text-green-500 text-sm mt-4">{success}</p>}
-                </form>
+            <div className="max-w-4xl mx-auto">
+                <CohortPage
+                    key={selectedCohort.id}
+                    user={user}
+                    initialCohort={selectedCohort}
+                    canManage={role === 'admin' || selectedCohort.ownerUid === user.uid}
+                    isMember={joinedIds.has(selectedCohort.id)}
+                    joinedCohortIds={[...joinedIds]}
+                    onBack={() => setSelectedId(null)}
+                    onLeave={() => setSelectedId(null)}
+                />
             </div>
         );
-    };
+    }
 
     return (
-        <div className="max-w-4xl mx-auto">
-            <div className="mb-6 border-b border-gray-200">
-                <nav className="-mb-px flex space-x-6" aria-label="Tabs">
-                    <button onClick={() => setAdminView('addTopic')} className={`${adminView === 'addTopic' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-lg`}>Add Topic</button>
-                    <button onClick={() => setAdminView('dashboard')} className={`${adminView === 'dashboard' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} whitespace-nowrap py-4 px-1 border-b-2 font-medium text-lg`}>Dashboard</button>
-                </nav>
+        <div className="max-w-4xl mx-auto space-y-6">
+            {pendingInvitations.length > 0 && (
+                <div className="bg-blue-50 border-l-4 border-blue-500 p-6 rounded-xl">
+                    <h3 className="text-lg font-bold text-gray-800 mb-3">Invitations</h3>
+                    {pendingInvitations.map(cohort => (
+                        <div key={cohort.id} className="flex items-center justify-between py-2">
+                            <div>
+                                <p className="font-semibold text-gray-800">{cohort.name}</p>
+                                <p className="text-sm text-gray-500">Run by {cohort.ownerName}</p>
+                            </div>
+                            <button onClick={() => handleJoin(cohort)} disabled={isBusy} className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50">Join</button>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div className="bg-white p-8 rounded-xl shadow-lg">
+                <h2 className="text-3xl font-bold mb-6 text-gray-800">Cohorts</h2>
+                {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+                {allCohorts.length === 0 && <p className="text-sm text-gray-500">You are not in any cohorts yet. Ask your mentor for an invite link.</p>}
+                <div className="space-y-2">
+                    {allCohorts.map(cohort => (
+                        <button key={cohort.id} onClick={() => setSelectedId(cohort.id)} className="w-full text-left p-4 rounded-lg bg-gray-50 border border-gray-200 hover:bg-gray-100">
+                            <span className="font-semibold text-gray-800">{cohort.name}</span>
+                            <span className="ml-2 text-xs text-gray-500">{managedIds.has(cohort.id) ? 'Managing' : 'Member'} · run by {cohort.ownerName}</span>
+                            {cohort.description && <p className="text-sm text-gray-600 mt-1">{cohort.description}</p>}
+                        </button>
+                    ))}
+                </div>
+                {canCreate && (
+                    <form onSubmit={handleCreate} className="mt-8 pt-6 border-t border-gray-200">
+                        <h3 className="text-lg font-bold text-gray-800 mb-3">New cohort</h3>
+                        <input type="text" value={newCohort.name} onChange={(e) => setNewCohort(prev => ({ ...prev, name: e.target.value }))} placeholder="Cohort name" className="w-full p-2 mb-2 border border-gray-300 rounded-md"/>
+                        <textarea rows={2} value={newCohort.description} onChange={(e) => setNewCohort(prev => ({ ...prev, description: e.target.value }))} placeholder="Description (optional)" className="w-full p-2 border border-gray-300 rounded-md"/>
+                        <button type="submit" disabled={isBusy} className="mt-2 px-4 py-2 bg-gradient-to-r from-green-500 to-teal-500 text-white font-bold rounded-lg hover:from-green-600 hover:to-teal-600 disabled:opacity-50">Create cohort</button>
+                    </form>
+                )}
             </div>
-            {adminView === 'addTopic' ? <AddTopicForm /> : <UserDashboard />}
         </div>
     );
 };
 
 // --- Main App Component ---
+// Invite links look like ?cohort=<id>&invite=<code>.
+const readCohortInviteFromUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('cohort') && params.get('invite') ? { cohortId: params.get('cohort'), code: params.get('invite') } : null;
+};
+
 export default function App() {
-    const [activeView, setActiveView] = useState('planner');
+    const [cohortInvite, setCohortInvite] = useState(readCohortInviteFromUrl);
+    const [activeView, setActiveView] = useState(() => cohortInvite ? 'cohorts' : 'planner');
     const [user, setUser] = useState(null);
     const [authLoading, setAuthLoading] = useState(true);
+    const [activeProblem, setActiveProblem] = useState(null);
+    const [assistantContext, setAssistantContext] = useState({ todayItem: null, code: '', language: '' });
+    const [roleDoc, setRoleDoc] = useState(null);
+
+    const handleOpenProblem = (problem) => {
+        setActiveProblem(problem);
+        setActiveView('compiler');
+    };
+
+    const handleCohortInviteHandled = useCallback(() => {
+        window.history.replaceState(null, '', window.location.pathname);
+        setCohortInvite(null);
+    }, []);
+
+    const handleTodayItemChange = useCallback((todayItem) => setAssistantContext(prev => ({ ...prev, todayItem })), []);
+    const handleCompilerContextChange = useCallback(({ code, language }) => setAssistantContext(prev => ({ ...prev, code, language })), []);
 
     useEffect(() => {
         const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
@@ -827,6 +6712,18 @@ export default function App() {
         return () => unsubscribe();
     }, []);
 
+    useEffect(() => {
+        if (!user || user.isAnonymous) return;
+        const unsubscribe = onSnapshot(doc(db, rolesPath, user.uid), (snapshot) => {
+            setRoleDoc({ uid: user.uid, ...snapshot.data() });
+        }, (err) => console.error("Error fetching role:", err));
+        return () => unsubscribe();
+    }, [user]);
+
+    // Guests are always students; the role document is ignored until it belongs to the signed-in user.
+    const role = user && !user.isAnonymous ? roleOf(user.uid, roleDoc?.uid === user.uid ? roleDoc : null) : 'student';
+    const isAdmin = role === 'admin';
+
     const handleLogin = async () => {
         const provider = new GoogleAuthProvider();
         try {
@@ -839,7 +6736,9 @@ export default function App() {
                 await setDoc(userDocRef, {
                     displayName: user.displayName,
                     email: user.email,
-                    uid: user.uid
+                    uid: user.uid,
+                    ...searchFieldsFor(user),
+                    progress: emptyProgressCounters
                 });
             }
         } catch (error) {
@@ -875,7 +6774,11 @@ export default function App() {
                                 <nav className="flex space-x-2 bg-gray-100 p-1 rounded-lg">
                                     <button onClick={() => setActiveView('planner')} className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${activeView === 'planner' ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:bg-gray-200'}`}>Planner</button>
                                     <button onClick={() => setActiveView('compiler')} className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${activeView === 'compiler' ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:bg-gray-200'}`}>Compiler</button>
-                                    {!user.isAnonymous && user.uid === ADMIN_UID && <button onClick={() => setActiveView('admin')} className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${activeView === 'admin' ? 'bg-white text-red-600 shadow' : 'text-gray-600 hover:bg-gray-200'}`}>Admin</button>}
+                                    <button onClick={() => setActiveView('interview')} className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${activeView === 'interview' ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:bg-gray-200'}`}>Interview</button>
+                                    <button onClick={() => setActiveView('progress')} className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${activeView === 'progress' ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:bg-gray-200'}`}>Progress</button>
+                                    <button onClick={() => setActiveView('cohorts')} className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${activeView === 'cohorts' ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:bg-gray-200'}`}>Cohorts</button>
+                                    {role === 'mentor' && <button onClick={() => setActiveView('mentees')} className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${activeView === 'mentees' ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:bg-gray-200'}`}>Mentees</button>}
+                                    {isAdmin && <button onClick={() => setActiveView('admin')} className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${activeView === 'admin' ? 'bg-white text-red-600 shadow' : 'text-gray-600 hover:bg-gray-200'}`}>Admin</button>}
                                 </nav>
                                 { user.photoURL ? 
                                     <img src={user.photoURL} alt="User profile" className="w-10 h-10 rounded-full" /> :
@@ -905,15 +6808,19 @@ export default function App() {
                     </div>
                 ) : (
                     <>
-                        {activeView === 'planner' && <TimetablePlanner user={user} />}
-                        {activeView === 'compiler' && <Compiler />}
-                        {activeView === 'admin' && !user.isAnonymous && user.uid === ADMIN_UID && <AdminPage />}
-                        {activeView === 'admin' && (user.isAnonymous || user.uid !== ADMIN_UID) && <p className="text-center text-red-500">You do not have administrative access.</p>}
+                        {activeView === 'planner' && <TimetablePlanner user={user} isAdmin={isAdmin} onTodayItemChange={handleTodayItemChange} onOpenProblem={handleOpenProblem} codeContext={assistantContext} />}
+                        {activeView === 'compiler' && <Compiler key={activeProblem?.id || 'scratch'} user={user} problem={activeProblem} onCloseProblem={() => setActiveProblem(null)} onContextChange={handleCompilerContextChange} />}
+                        {activeView === 'interview' && <MockInterview user={user} />}
+                        {activeView === 'progress' && <ProgressAnalytics key={user.uid} user={user} />}
+                        {activeView === 'cohorts' && <CohortsView key={user.uid} user={user} role={role} invite={cohortInvite} onInviteHandled={handleCohortInviteHandled} />}
+                        {activeView === 'mentees' && role === 'mentor' && <MentorDashboard user={user} />}
+                        {activeView === 'admin' && isAdmin && <AdminPage user={user} />}
+                        {activeView === 'admin' && !isAdmin && <p className="text-center text-red-500">You do not have administrative access.</p>}
                     </>
                 )}
             </main>
             
-            {user && <Chatbot />}
+            {user && <Chatbot key={user.uid} user={user} context={assistantContext} />}
         </div>
     );
 }